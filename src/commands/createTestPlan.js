@@ -10,6 +10,9 @@
  * - --ci-tag-id      Tag ID to select test cases
  * - --assignee-id    User ID to assign the plan
  * - --api-url        (defaults to https://api.testcollab.io)
+ * - --build-url, --commit, --branch
+ *                    Override the CI build details recorded in the plan
+ *                    description (detected from CI env vars by default)
  */
 
 import fs from 'fs';
@@ -23,6 +26,11 @@ import {
   TestCasesApi,
   ProjectUsersApi
 } from 'testcollab-sdk';
+import {
+  describeBuildMetadata,
+  formatBuildMetadataHtml,
+  resolveBuildMetadata
+} from '../utils/ciMetadata.js';
 
 function getDate() {
   const now = new Date();
@@ -39,7 +47,10 @@ export async function createTestPlan(options) {
     project,
     ciTagId,
     assigneeId,
-    apiUrl
+    apiUrl,
+    buildUrl,
+    commit,
+    branch
   } = options;
 
   // Resolve API key: --api-key flag takes precedence, then TESTCOLLAB_TOKEN env var
@@ -183,13 +194,20 @@ export async function createTestPlan(options) {
     process.exit(1);
   }
 
+  const buildMetadata = resolveBuildMetadata({ buildUrl, commit, branch });
+  if (buildMetadata) {
+    console.log(`CI build: ${describeBuildMetadata(buildMetadata)}`);
+  }
+
   try {
     console.log('Step 1: Creating a new test plan...');
     const createResponse = await testPlansApi.addTestPlan({
       testPlanPayload: {
         project: parsedProjectId,
         title: `CI Test: ${getDate()}`,
-        description: 'This is a test plan created using the Node.js SDK',
+        description: buildMetadata
+          ? `<p>This is a test plan created using the Node.js SDK</p>${formatBuildMetadataHtml(buildMetadata)}`
+          : 'This is a test plan created using the Node.js SDK',
         status: 1,
         priority: 1,
         testPlanFolder: null,
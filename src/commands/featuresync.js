@@ -9,6 +9,14 @@
  * 3. Calculate hashes for old and new file versions
  * 4. Resolve IDs for existing items
  * 5. Build and send GherkinSyncDelta payload
+ *
+ * With --dry-run, step 5 stops after building the payload and prints which
+ * suites and test cases the sync would create, rename, update or delete.
+ *
+ * Scenario Outline examples are synced with the outline as one case with its
+ * Examples tables (--examples table, the default) or as one case per row
+ * (--examples rows). Steps are synced as a flat list (--steps flat, the
+ * default) or as actions with expected results (--steps structured).
  */
 
 import { simpleGit } from 'simple-git';
@@ -18,10 +26,39 @@ import { createHash } from 'crypto';
 import path from 'path';
 // fs - file
 import fs from 'fs';
+import { escapeHtml, escapeHtmlText } from '../utils/html.js';
 
 // Enable extra debug logs by setting BDD_SYNC_DEBUG=1
 const DEBUG_BDD_SYNC = process.env.BDD_SYNC_DEBUG === '1';
 
+export const EXAMPLES_MODES = ['table', 'rows'];
+
+/**
+ * Parse --examples: `table` syncs a Scenario Outline as one case with its
+ * Examples tables, `rows` as one case per example row.
+ */
+export function parseExamplesMode(value = 'table') {
+  const mode = String(value).trim().toLowerCase();
+  if (!EXAMPLES_MODES.includes(mode)) {
+    throw new Error(`Invalid --examples "${value}": use table or rows`);
+  }
+  return mode;
+}
+
+export const STEP_MODES = ['flat', 'structured'];
+
+/**
+ * Parse --steps: `flat` syncs every step line as a step, `structured` makes
+ * each Then block the expected result of the step before it.
+ */
+export function parseStepsMode(value = 'flat') {
+  const mode = String(value).trim().toLowerCase();
+  if (!STEP_MODES.includes(mode)) {
+    throw new Error(`Invalid --steps "${value}": use flat or structured`);
+  }
+  return mode;
+}
+
 /**
  * Main featuresync command handler
  * @param {Object} options - Command options from commander
@@ -36,6 +73,17 @@ export async function featuresync(options) {
       process.exit(1);
     }
 
+    let parseOptions;
+    try {
+      parseOptions = {
+        examples: parseExamplesMode(options.examples),
+        steps: parseStepsMode(options.steps)
+      };
+    } catch (error) {
+      console.error(`❌ Error: ${error.message}`);
+      process.exit(1);
+    }
+
     // Initialize Git
     const git = simpleGit();
     
@@ -110,7 +158,7 @@ export async function featuresync(options) {
     const oldHashes = { features: [], scenarios: [] };
 
     for (const change of changes) {
-      const processed = await processChange(git, change, lastSyncedCommit);
+      const processed = await processChange(git, change, lastSyncedCommit, parseOptions);
       if (processed) {
         processedChanges.push(processed);
         
@@ -157,11 +205,19 @@ export async function featuresync(options) {
       processedChanges,
       resolvedIds
     );
-    //console.log({payload});
-    // log payload in file
-    //const payloadFilePath = path.join(process.cwd(), 'sync-payload.json');
-    //fs.writeFileSync(payloadFilePath, JSON.stringify(payload, null, 2));
-    //console.log(`📂 Payload written to ${payloadFilePath}`);
+
+    if (options.payloadFile) {
+      const payloadFilePath = path.resolve(process.cwd(), String(options.payloadFile));
+      fs.mkdirSync(path.dirname(payloadFilePath), { recursive: true });
+      fs.writeFileSync(payloadFilePath, JSON.stringify(payload, null, 2));
+      console.log(`📂 Payload written to ${payloadFilePath}`);
+    }
+
+    if (options.dryRun) {
+      printSyncPlan(buildSyncPlan(payload, processedChanges, resolvedIds));
+      console.log('\n🔎 Dry run: nothing was sent to TestCollab');
+      return;
+    }
 
     // Step 7: Send to TestCollab
     console.log('🚀 Syncing with TestCollab...');
@@ -239,7 +295,7 @@ function parseDiffOutput(diffOutput) {
 /**
  * Process a single change from git diff
  */
-async function processChange(git, change, lastSyncedCommit) {
+async function processChange(git, change, lastSyncedCommit, parseOptions = {}) {
   const processed = {
     status: change.status,
     oldPath: change.oldPath,
@@ -252,9 +308,10 @@ async function processChange(git, change, lastSyncedCommit) {
       const oldPathForLookup = change.oldPath || change.newPath;
       if (oldPathForLookup) {
         const oldContent = await git.show([`${lastSyncedCommit}:${oldPathForLookup}`]);
-        const oldParsed = parseGherkinFile(oldContent, oldPathForLookup);
+        const oldParsed = parseGherkinFile(oldContent, oldPathForLookup, parseOptions);
       if (oldParsed) {
         processed.oldFeatureHash = oldParsed.featureHash;
+        processed.oldFeatureContentHash = oldParsed.featureContentHash;
         processed.oldScenarioHashes = oldParsed.scenarios.map(s => s.hash);
         processed.oldScenarios = oldParsed.scenarios; // keep titles and hashes for smarter mapping
       }
@@ -264,14 +321,16 @@ async function processChange(git, change, lastSyncedCommit) {
     // Get new file content for A, M, R changes
     if (change.newPath) {
       const newContent = await git.show([`HEAD:${change.newPath}`]);
-      const newParsed = parseGherkinFile(newContent, change.newPath);
+      const newParsed = parseGherkinFile(newContent, change.newPath, parseOptions);
       if (newParsed) {
         processed.feature = {
           hash: newParsed.featureHash,
+          ...(newParsed.featureContentHash !== newParsed.featureHash ? { contentHash: newParsed.featureContentHash } : {}),
           title: newParsed.feature.name,
           description: newParsed.feature.FeatureDescription,
           background: newParsed.feature.background,
-          backgroundText: newParsed.feature.backgroundText
+          backgroundText: newParsed.feature.backgroundText,
+          rules: newParsed.feature.rules
         };
         processed.scenarios = newParsed.scenarios;
       }
@@ -301,7 +360,7 @@ function extractFeatureDescription(content) {
     }
     
     if (inDescription) {
-      if (line.startsWith('Background:') || line.startsWith('Scenario:')) {
+      if (line.startsWith('Background:') || line.startsWith('Scenario:') || line.startsWith('Rule:')) {
         break;
       }
       
@@ -316,7 +375,9 @@ function extractFeatureDescription(content) {
 }
 
 /**
- * Extract any textual content inside Background: block (including non-step lines)
+ * Extract any textual content inside the feature's Background: block
+ * (including non-step lines). Backgrounds after the first Rule: belong to
+ * that Rule.
  */
 function extractBackgroundText(content) {
   const lines = content.split('\n');
@@ -324,6 +385,9 @@ function extractBackgroundText(content) {
   const backgroundLines = [];
   for (let i = 0; i < lines.length; i++) {
     const line = lines[i].trim();
+    if (!inBackground && line.startsWith('Rule:')) {
+      break;
+    }
     if (line.startsWith('Background:')) {
       inBackground = true;
       continue;
@@ -345,10 +409,225 @@ function extractBackgroundText(content) {
   return backgroundLines;
 }
 
+function getTagNames(tags) {
+  return (tags || [])
+    .map(tag => (tag.name || '').trim())
+    .filter(Boolean)
+    .map(tagName => (tagName.startsWith('@') ? tagName.slice(1) : tagName));
+}
+
+/**
+ * Read the Examples tables of a Scenario Outline. Rows keep their line so
+ * `rows` mode can point each case at its row.
+ */
+function getExamplesTables(scenario) {
+  return (scenario.examples || [])
+    .filter(examples => examples.tableHeader)
+    .map(examples => ({
+      name: examples.name || '',
+      tags: getTagNames(examples.tags),
+      header: examples.tableHeader.cells.map(cell => cell.value),
+      rows: (examples.tableBody || []).map(row => ({
+        values: row.cells.map(cell => cell.value),
+        line: row.location ? row.location.line : null
+      }))
+    }));
+}
+
+/**
+ * Render Examples tables as Gherkin text, for the content hash
+ */
+function examplesToText(examplesTables) {
+  return examplesTables.map((examples) => {
+    const rows = [examples.header, ...examples.rows.map(row => row.values)];
+    return [`Examples: ${examples.name}`.trim(), ...rows.map(cells => `| ${cells.join(' | ')} |`)].join('\n');
+  }).join('\n');
+}
+
+const keepText = text => text;
+
+/**
+ * Render a step with its argument as Gherkin text, for the content hash: a
+ * doc string between its delimiters, a data table as | cell | rows
+ */
+function stepToText(step, fill = keepText) {
+  const lines = [`${step.keyword}${fill(step.text)}`];
+  if (step.docString) {
+    const delimiter = step.docString.delimiter || '"""';
+    lines.push(`${delimiter}${step.docString.mediaType || ''}`, fill(step.docString.content), delimiter);
+  }
+  if (step.dataTable) {
+    lines.push(...step.dataTable.rows.map(row => `| ${row.cells.map(cell => fill(cell.value)).join(' | ')} |`));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Render a step for the synced test case as HTML: the escaped step line,
+ * followed by its doc string as a code block or its data table as a table
+ */
+function formatStep(step, fill = keepText) {
+  const line = escapeHtmlText(`${step.keyword}${fill(step.text)}`);
+  let argument = '';
+  if (step.docString) {
+    const language = step.docString.mediaType ? ` class="language-${escapeHtml(step.docString.mediaType)}"` : '';
+    argument = `<pre><code${language}>${escapeHtmlText(fill(step.docString.content))}</code></pre>`;
+  } else if (step.dataTable) {
+    const rows = step.dataTable.rows
+      .map(row => `<tr>${row.cells.map(cell => `<td>${escapeHtmlText(fill(cell.value))}</td>`).join('')}</tr>`)
+      .join('');
+    argument = `<table>${rows}</table>`;
+  }
+  return `${line}${argument}`;
+}
+
+/**
+ * Replace <placeholders> with the values of one example row
+ */
+function fillPlaceholders(text, values) {
+  return String(text || '').replace(/<([^<>]+)>/g, (match, name) => (values.has(name) ? values.get(name) : match));
+}
+
+/**
+ * Group steps for --steps structured: every Given/When step (and the And/But
+ * steps after it) is an action, and the Then block that follows an action
+ * (Then, And, But) is its expected result. Returns lists of step indices,
+ * the action first.
+ */
+function groupStepsByOutcome(steps) {
+  const groups = [];
+  let previousType = null;
+  steps.forEach((step, index) => {
+    const type = ['Conjunction', 'Unknown'].includes(step.keywordType) && previousType
+      ? previousType
+      : step.keywordType;
+    previousType = type;
+    if (type === 'Outcome' && groups.length > 0) {
+      groups[groups.length - 1].push(index);
+    } else {
+      groups.push([index]);
+    }
+  });
+  return groups;
+}
+
+/**
+ * Turn one Scenario (or Scenario Outline) into the scenarios to sync: one,
+ * or one per example row in `rows` mode
+ */
+function parseScenario(scenario, filePath, { examplesMode = 'table', stepsMode = 'flat' } = {}) {
+  const steps = scenario.steps || [];
+  const stepGroups = stepsMode === 'structured' ? groupStepsByOutcome(steps) : null;
+  const scenarioTags = getTagNames(scenario.tags);
+  const examplesTables = getExamplesTables(scenario);
+
+  // The steps to sync, the text their hash covers (the step lines, whatever
+  // the --steps mode) and the text their content hash covers (with doc
+  // strings and data tables, and structured steps as blocks of an action and
+  // its expected result)
+  const renderSteps = (fill = keepText) => {
+    const lines = steps.map(step => `${step.keyword}${fill(step.text)}`);
+    const texts = steps.map(step => stepToText(step, fill));
+    const rendered = steps.map(step => formatStep(step, fill));
+    if (!stepGroups) {
+      return { text: lines.join('\n'), content: texts.join('\n'), steps: rendered };
+    }
+    return {
+      text: lines.join('\n'),
+      content: stepGroups.map(group => group.map(index => texts[index]).join('\n')).join('\n\n'),
+      // Rendered steps are escaped HTML, so their lines can be joined with <br>
+      steps: stepGroups.map(([action, ...expected]) => ({
+        step: rendered[action],
+        expectedResult: expected.map(index => rendered[index]).join('<br>')
+      })),
+      stepGroups
+    };
+  };
+
+  // Only set when content outside the hash is synced too
+  const withContentHash = (hash, content) => {
+    const contentHash = calculateHash(content, filePath);
+    return contentHash !== hash ? { contentHash } : {};
+  };
+
+  if (examplesTables.length === 0) {
+    const synced = renderSteps();
+    const hash = calculateHash(synced.text, filePath);
+    return [{
+      hash,
+      ...withContentHash(hash, synced.content),
+      title: scenario.name,
+      steps: synced.steps,
+      ...(synced.stepGroups ? { stepGroups: synced.stepGroups } : {}),
+      tags: scenarioTags,
+      line: scenario.location ? scenario.location.line : null
+    }];
+  }
+
+  if (examplesMode === 'rows') {
+    // One scenario per example row, with the row's values filled in. Rows
+    // that fill in the same steps would share a hash, so a repeat gets its
+    // occurrence number added to its identity; the first keeps the plain hash
+    const occurrences = new Map();
+    return examplesTables.flatMap(examples => examples.rows.map((row) => {
+      const values = new Map(examples.header.map((name, index) => [name, row.values[index] ?? '']));
+      const fill = text => fillPlaceholders(text, values);
+      const filledTitle = fill(scenario.name);
+      const title = filledTitle !== scenario.name
+        ? filledTitle
+        : `${scenario.name} (${examples.header.map(name => `${name}: ${values.get(name)}`).join(', ')})`;
+      const synced = renderSteps(fill);
+      const occurrence = (occurrences.get(synced.text) || 0) + 1;
+      occurrences.set(synced.text, occurrence);
+      const hash = calculateHash(occurrence > 1 ? `${synced.text}\n#${occurrence}` : synced.text, filePath);
+
+      return {
+        hash,
+        ...withContentHash(hash, synced.content),
+        title,
+        steps: synced.steps,
+        ...(synced.stepGroups ? { stepGroups: synced.stepGroups } : {}),
+        tags: [...new Set([...scenarioTags, ...examples.tags])],
+        line: row.line
+      };
+    }));
+  }
+
+  // The hash stays on the steps so outlines keep resolving to their case;
+  // the content hash covers the Examples tables so changed test data shows
+  const synced = renderSteps();
+  const hash = calculateHash(synced.text, filePath);
+  return [{
+    hash,
+    ...withContentHash(hash, `${synced.content}\n${examplesToText(examplesTables)}`),
+    title: scenario.name,
+    steps: synced.steps,
+    ...(synced.stepGroups ? { stepGroups: synced.stepGroups } : {}),
+    examples: examplesTables.map(examples => ({
+      name: examples.name,
+      tags: examples.tags,
+      header: examples.header,
+      rows: examples.rows.map(row => row.values)
+    })),
+    tags: scenarioTags,
+    line: scenario.location ? scenario.location.line : null
+  }];
+}
+
 /**
  * Parse a Gherkin file and extract structured data
+ *
+ * Also used by `tc report --format cucumber` to recompute scenario hashes.
+ * `examples` is the --examples mode: `table` keeps a Scenario Outline as one
+ * scenario carrying its Examples tables, `rows` returns one scenario per row.
+ * `hash` identifies a scenario (its step lines, as in the first releases, so
+ * synced cases keep resolving); `contentHash`, when present, also covers
+ * content outside it.
+ * `steps` is the --steps mode: in `structured` mode steps are
+ * { step, expectedResult } pairs and `stepGroups` lists the Gherkin steps
+ * (by index) each pair was built from.
  */
-function parseGherkinFile(content, filePath) {
+export function parseGherkinFile(content, filePath, { examples: examplesMode = 'table', steps: stepsMode = 'flat' } = {}) {
   try {
     // Use the v33 syntax with proper Parser/AstBuilder approach
     const uuidFn = messages.IdGenerator.uuid();
@@ -371,27 +650,34 @@ function parseGherkinFile(content, filePath) {
     const featureDescription = extractFeatureDescription(content);
   const backgroundText = extractBackgroundText(content);
     
-    // Process children to find scenarios and background
+    // Process children to find scenarios and background; a Rule becomes a
+    // child suite of the feature, and its scenarios name it
+    const rules = [];
+    const scenarioStepCounts = [];
     for (const child of feature.children || []) {
       if (child.scenario) {
-        const scenario = child.scenario;
-        const steps = scenario.steps || [];
-        const stepsText = steps.map(step => `${step.keyword}${step.text}`).join('\n');
-        const scenarioTags = (scenario.tags || [])
-          .map(tag => (tag.name || '').trim())
-          .filter(Boolean)
-          .map(tagName => (tagName.startsWith('@') ? tagName.slice(1) : tagName));
-        const normalizedSteps = steps.map(step => `${step.keyword}${step.text}`);
-        
-        scenarios.push({
-          hash: calculateHash(stepsText, filePath),
-          title: scenario.name,
-          steps: normalizedSteps,
-          tags: scenarioTags
-        });
+        scenarioStepCounts.push(child.scenario.steps.length);
+        scenarios.push(...parseScenario(child.scenario, filePath, { examplesMode, stepsMode }));
       } else if (child.background) {
         // Background is in children, not directly on feature
         background = child.background;
+      } else if (child.rule) {
+        const rule = child.rule;
+        let ruleBackground = null;
+        for (const ruleChild of rule.children || []) {
+          if (ruleChild.scenario) {
+            scenarios.push(...parseScenario(ruleChild.scenario, filePath, { examplesMode, stepsMode })
+              .map(scenario => ({ ...scenario, rule: rule.name })));
+          } else if (ruleChild.background) {
+            ruleBackground = ruleChild.background;
+          }
+        }
+        rules.push({
+          name: rule.name,
+          description: (rule.description || '').split('\n').map(line => line.trim()).filter(Boolean).join('\n'),
+          background: ruleBackground ? ruleBackground.steps.map(step => formatStep(step)) : undefined,
+          line: rule.location ? rule.location.line : null
+        });
       }
     }
     
@@ -404,16 +690,30 @@ function parseGherkinFile(content, filePath) {
       const bgSteps = background.steps || [];
       featureContent += bgSteps.map(step => `${step.keyword}${step.text}`).join('\n');
     }
-    featureContent += scenarios.map(s => s.steps.map(step => `${step.keyword}${step.text}`).join('\n')).join('\n');
+    // Earlier releases built one line per synced step string here, and a
+    // string has no keyword or text; keep those lines, one per Gherkin step of
+    // the scenarios outside Rules, so the feature hash does not depend on
+    // --steps or --examples
+    featureContent += scenarioStepCounts.map(count => Array(count).fill('undefinedundefined').join('\n')).join('\n');
+    // The content hash also covers the Background's doc strings and data
+    // tables, and the Rules
+    let extraContent = background
+      ? (background.steps || []).filter(step => step.docString || step.dataTable).map(step => stepToText(step)).join('\n')
+      : '';
+    for (const rule of rules) {
+      extraContent += `\nRule: ${rule.name}\n${rule.description}\n${(rule.background || []).join('\n')}`;
+    }
     
     return {
       feature: {
         name: feature.name,
       FeatureDescription: featureDescription || '',
-      background: background ? background.steps.map(step => `${step.keyword}${step.text}`) : undefined,
-      backgroundText: backgroundText && backgroundText.length > 0 ? backgroundText : undefined
+      background: background ? background.steps.map(step => formatStep(step)) : undefined,
+      backgroundText: backgroundText && backgroundText.length > 0 ? backgroundText : undefined,
+      rules: rules.length > 0 ? rules : undefined
       },
       featureHash: calculateHash(featureContent, filePath),
+      featureContentHash: calculateHash(extraContent ? `${featureContent}\n${extraContent}` : featureContent, filePath),
       scenarios
     };
   } catch (error) {
@@ -433,7 +733,7 @@ function calculateHash(content, filePath) {
 /**
  * Resolve old hashes to existing TestCollab IDs
  */
-async function resolveIds(projectId, hashes, apiUrl, token) {
+export async function resolveIds(projectId, hashes, apiUrl, token) {
   if (hashes.features.length === 0 && hashes.scenarios.length === 0) {
     return { suites: {}, cases: {} };
   }
@@ -534,6 +834,11 @@ function buildSyncPayload(projectId, prevCommit, headCommit, changes, resolvedId
         if (scenario.tags && scenario.tags.length > 0) {
           payloadScenario.tags = scenario.tags;
         }
+
+        // Scenarios under a Rule go into the Rule's child suite
+        if (scenario.rule) {
+          payloadScenario.rule = scenario.rule;
+        }
         
         // Determine prevHash robustly:
         // 1) If steps unchanged, new hash equals some old hash → use that
@@ -573,6 +878,15 @@ function buildSyncPayload(projectId, prevCommit, headCommit, changes, resolvedId
         
         if (shouldIncludeSteps) {
           payloadScenario.steps = scenario.steps;
+          if (scenario.examples) {
+            payloadScenario.examples = scenario.examples;
+          }
+        }
+
+        // Content outside the identity hash (e.g. Examples tables) changes
+        // the content hash only
+        if (scenario.contentHash) {
+          payloadScenario.contentHash = scenario.contentHash;
         }
         
         if (DEBUG_BDD_SYNC) {
@@ -627,6 +941,129 @@ function buildSyncPayload(projectId, prevCommit, headCommit, changes, resolvedId
   return payload;
 }
 
+/**
+ * Describe what a sync payload would change, for --dry-run: one entry per
+ * suite and test case to create, rename, update or delete. `changes` are the
+ * processed changes the payload was built from (same order), which still
+ * carry the old scenario titles.
+ */
+export function buildSyncPlan(payload, changes, resolvedIds = { suites: {}, cases: {} }) {
+  const suites = [];
+  const cases = [];
+  let unchangedCases = 0;
+
+  payload.changes.forEach((payloadChange, index) => {
+    const change = changes[index] || {};
+    const filePath = payloadChange.newPath || payloadChange.oldPath;
+    const oldScenarioByHash = new Map((change.oldScenarios || []).map(scenario => [scenario.hash, scenario]));
+
+    if (!payloadChange.feature) {
+      suites.push({
+        action: 'delete',
+        path: payloadChange.oldPath,
+        title: null,
+        suiteId: resolvedIds.suites?.[change.oldFeatureHash]?.suiteId || null
+      });
+    } else {
+      const { suiteId = null, title } = payloadChange.feature;
+      let action = null;
+      if (!suiteId) {
+        action = 'create';
+      } else if (payloadChange.oldPath && payloadChange.oldPath !== payloadChange.newPath) {
+        action = 'rename';
+      } else if (
+        payloadChange.feature.prevHash !== payloadChange.feature.hash
+        || (change.oldFeatureContentHash || change.oldFeatureHash) !== (payloadChange.feature.contentHash || payloadChange.feature.hash)
+      ) {
+        action = 'update';
+      }
+      if (action) {
+        suites.push({ action, path: filePath, oldPath: action === 'rename' ? payloadChange.oldPath : null, title, suiteId });
+      }
+    }
+
+    (payloadChange.scenarios || []).forEach((scenario) => {
+      if (scenario.deleted) {
+        const oldScenario = oldScenarioByHash.get(scenario.prevHash);
+        cases.push({
+          action: 'delete',
+          path: filePath,
+          rule: oldScenario?.rule || null,
+          title: oldScenario?.title || null,
+          caseId: resolvedIds.cases?.[scenario.prevHash]?.caseId || null
+        });
+        return;
+      }
+      const rule = scenario.rule || null;
+      if (!scenario.caseId) {
+        cases.push({ action: 'create', path: filePath, rule, title: scenario.title, caseId: null });
+        return;
+      }
+      const oldScenario = oldScenarioByHash.get(scenario.prevHash);
+      const oldTitle = oldScenario?.title;
+      const renamed = Boolean(oldTitle) && oldTitle !== scenario.title;
+      const moved = Boolean(oldScenario) && (oldScenario.rule || null) !== rule;
+      const contentChanged = Boolean(oldScenario)
+        && (oldScenario.contentHash || oldScenario.hash) !== (scenario.contentHash || scenario.hash);
+      if (scenario.prevHash !== scenario.hash || moved || contentChanged) {
+        cases.push({ action: 'update', path: filePath, rule, title: scenario.title, oldTitle: renamed ? oldTitle : null, caseId: scenario.caseId });
+      } else if (renamed) {
+        cases.push({ action: 'rename', path: filePath, rule, title: scenario.title, oldTitle, caseId: scenario.caseId });
+      } else {
+        unchangedCases += 1;
+      }
+    });
+  });
+
+  return { suites, cases, unchangedCases };
+}
+
+const PLAN_ACTION_ICONS = { create: '✨', rename: '🔄', update: '🔄', delete: '🗑️ ' };
+
+/**
+ * Print a sync plan from buildSyncPlan()
+ */
+function printSyncPlan(plan) {
+  const describeId = (label, id) => (id ? ` (${label} ${id})` : '');
+
+  console.log('\n📋 Sync plan:');
+  if (!plan.suites.length && !plan.cases.length) {
+    console.log('ℹ️  No suites or test cases would change');
+  }
+
+  if (plan.suites.length) {
+    console.log(`\nSuites (${plan.suites.length}):`);
+    plan.suites.forEach((suite) => {
+      const target = suite.oldPath ? `${suite.oldPath} -> ${suite.path}` : suite.path;
+      const title = suite.title ? ` "${suite.title}"` : '';
+      console.log(`   ${PLAN_ACTION_ICONS[suite.action]} ${suite.action.padEnd(6)} ${target}${title}${describeId('suite', suite.suiteId)}`);
+    });
+  }
+
+  if (plan.cases.length) {
+    console.log(`\nTest cases (${plan.cases.length}):`);
+    plan.cases.forEach((testCase) => {
+      const title = testCase.oldTitle ? `"${testCase.oldTitle}" -> "${testCase.title}"` : `"${testCase.title || 'unknown scenario'}"`;
+      const location = testCase.rule ? `${testCase.path} > ${testCase.rule}` : testCase.path;
+      console.log(`   ${PLAN_ACTION_ICONS[testCase.action]} ${testCase.action.padEnd(6)} ${title} in ${location}${describeId('case', testCase.caseId)}`);
+    });
+  }
+
+  const summary = [];
+  [['suite', plan.suites], ['test case', plan.cases]].forEach(([kind, items]) => {
+    Object.keys(PLAN_ACTION_ICONS).forEach((action) => {
+      const count = items.filter(item => item.action === action).length;
+      if (count) {
+        summary.push(`${action} ${count} ${kind}(s)`);
+      }
+    });
+  });
+  if (summary.length) {
+    const unchanged = plan.unchangedCases ? `; ${plan.unchangedCases} test case(s) unchanged` : '';
+    console.log(`\n📊 Would ${summary.join(', ')}${unchanged}`);
+  }
+}
+
 /**
  * Send the sync payload to TestCollab
  */
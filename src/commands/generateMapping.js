@@ -0,0 +1,81 @@
+/**
+ * generateMapping.js
+ *
+ * Writes a mapping file (test key -> TestCollab case ID) for `tc report
+ * --mapping` from the record the last `tc report --auto-create` run left in
+ * tmp/tc_auto_create.json. Every test that run matched or created a case for
+ * is included, so later runs can upload into a regular test plan without
+ * `TC-123` markers in test names.
+ *
+ * Options:
+ * - --input          Auto-create record (defaults to tmp/tc_auto_create.json)
+ * - --output         Mapping file to write; .json, .yml/.yaml or .csv
+ *                    (defaults to tc-mapping.json). Entries already in the
+ *                    file are kept unless the record maps the same key.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import {
+  DEFAULT_AUTO_CREATE_RECORD_PATH,
+  formatMapping,
+  getMappingFileType,
+  readMappingFile
+} from '../utils/testMapping.js';
+
+export const DEFAULT_MAPPING_PATH = 'tc-mapping.json';
+
+export async function generateMapping(options = {}) {
+  const input = path.resolve(String(options.input || DEFAULT_AUTO_CREATE_RECORD_PATH));
+  const output = path.resolve(String(options.output || DEFAULT_MAPPING_PATH));
+
+  if (!fs.existsSync(input)) {
+    console.error(`❌ Error: Auto-create record not found at: ${input}`);
+    console.error('   Run `tc report --auto-create ...` first; it writes this file on success.');
+    process.exit(1);
+  }
+
+  let record;
+  try {
+    record = JSON.parse(fs.readFileSync(input, 'utf8'));
+  } catch (error) {
+    console.error(`❌ Error: Invalid auto-create record ${input}: ${error?.message || String(error)}`);
+    process.exit(1);
+  }
+  const tests = Array.isArray(record?.tests) ? record.tests : [];
+
+  let mapping = new Map();
+  if (fs.existsSync(output)) {
+    try {
+      mapping = readMappingFile(output);
+    } catch (error) {
+      console.error(`❌ Error: ${error?.message || String(error)}`);
+      process.exit(1);
+    }
+  }
+
+  let added = 0;
+  let changed = 0;
+  tests.forEach((test) => {
+    if (!test?.key || !test?.testCaseId) {
+      return;
+    }
+    const caseId = String(test.testCaseId);
+    const existing = mapping.get(test.key);
+    if (existing === caseId) {
+      return;
+    }
+    if (existing) {
+      changed += 1;
+    } else {
+      added += 1;
+    }
+    mapping.set(test.key, caseId);
+  });
+
+  fs.mkdirSync(path.dirname(output), { recursive: true });
+  fs.writeFileSync(output, formatMapping(mapping, getMappingFileType(output)));
+
+  console.log(`✅ Mapping written to ${output}`);
+  console.log(`   ${mapping.size} test(s) mapped (${added} added, ${changed} changed) from test plan ${record?.testPlanId ?? 'unknown'}`);
+}
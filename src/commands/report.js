@@ -5,6 +5,9 @@
  * Supports:
  * - Mochawesome JSON
  * - JUnit XML
+ * - TRX (Visual Studio / dotnet test)
+ * - Cucumber JSON / @cucumber/messages NDJSON
+ * - Playwright JSON
  *
  * This command follows the same direct execution-update flow used by the
  * cypress reporter plugin: it validates context, fetches assigned executed
@@ -24,6 +27,21 @@ import {
   UsersApi,
   ProjectsApi
 } from 'testcollab-sdk';
+import { parseExamplesMode, parseGherkinFile, parseStepsMode, resolveIds } from './featuresync.js';
+import {
+  applyBuildMetadataToDescription,
+  describeBuildMetadata,
+  formatBuildMetadataHtml,
+  resolveBuildMetadata
+} from '../utils/ciMetadata.js';
+import { formatFailureComment, formatNoteComment } from '../utils/resultComment.js';
+import {
+  DEFAULT_AUTO_CREATE_RECORD_PATH,
+  buildAutoCreateRecord,
+  buildTestKey,
+  getMappedTestCaseId,
+  readMappingFile
+} from '../utils/testMapping.js';
 
 const RUN_RESULT_MAP = {
   pass: 1,
@@ -46,12 +64,22 @@ const TC_ID_PATTERNS = [
   /\btestcase-(\d+)\b/i
 ];
 
+// `[config: browser=chrome,os=linux]`: parameter values, resolved against
+// the test plan's configurations at upload time
+const CONFIG_PARAMS_PATTERN = /\[\s*config:\s*(?<params>[^\]]+?)\s*\]/i;
+
 const CONFIG_ID_PATTERNS = [
   /\bconfig-id-(\d+)\b/i,
   /\bconfig-(\d+)\b/i,
-  /\[\s*config-id-(\d+)\s*\]/i
+  /\[\s*config-id-(\d+)\s*\]/i,
+  CONFIG_PARAMS_PATTERN
 ];
 
+// User-supplied patterns (--tc-id-pattern, --config-id-pattern,
+// --id-patterns-file) reach the parsers as their `idPatterns` option and are
+// tried before the built-in ones
+const NO_ID_PATTERNS = { testCase: [], config: [] };
+
 /**
  * Humanize a raw test suite name from test runners.
  *
@@ -115,6 +143,113 @@ function toAbsolutePath(inputPath) {
   return path.isAbsolute(inputPath) ? inputPath : path.join(process.cwd(), inputPath);
 }
 
+const GLOB_MAGIC = /[*?[\]{}]/;
+const GLOB_SKIPPED_DIRECTORIES = new Set(['node_modules', '.git']);
+
+function globToRegExp(pattern) {
+  let source = '';
+  let braceDepth = 0;
+  for (let index = 0; index < pattern.length; index += 1) {
+    const char = pattern[index];
+    if (char === '*') {
+      if (pattern[index + 1] === '*') {
+        const followedBySlash = pattern[index + 2] === '/';
+        source += followedBySlash ? '(?:.*/)?' : '.*';
+        index += followedBySlash ? 2 : 1;
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', index + 1);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        const body = pattern.slice(index + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\');
+        source += `[${body}]`;
+        index = end;
+      }
+    } else if (char === '{') {
+      braceDepth += 1;
+      source += '(?:';
+    } else if (char === '}' && braceDepth > 0) {
+      braceDepth -= 1;
+      source += ')';
+    } else if (char === ',' && braceDepth > 0) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function listFilesRecursively(directory) {
+  const files = [];
+  let entries;
+  try {
+    entries = fs.readdirSync(directory, { withFileTypes: true });
+  } catch {
+    return files;
+  }
+  for (const entry of entries) {
+    const entryPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      if (!GLOB_SKIPPED_DIRECTORIES.has(entry.name)) {
+        files.push(...listFilesRecursively(entryPath));
+      }
+    } else if (entry.isFile()) {
+      files.push(entryPath);
+    }
+  }
+  return files;
+}
+
+/**
+ * Expand a glob pattern (`*`, `**`, `?`, `[abc]`, `{a,b}`) to the matching
+ * files, relative to the current directory unless the pattern is absolute.
+ * `node_modules` and `.git` are never searched.
+ */
+function expandGlob(pattern) {
+  const segments = pattern.replace(/\\/g, '/').split('/');
+  const firstMagic = segments.findIndex(segment => GLOB_MAGIC.test(segment));
+  const baseDir = toAbsolutePath(segments.slice(0, firstMagic).join('/') || '.');
+  const matcher = globToRegExp(segments.slice(firstMagic).join('/'));
+
+  return listFilesRecursively(baseDir)
+    .filter(filePath => matcher.test(path.relative(baseDir, filePath).split(path.sep).join('/')))
+    .sort();
+}
+
+/**
+ * Turn the --result-file values (paths and/or glob patterns) into a sorted,
+ * de-duplicated list of absolute file paths. Plain paths must exist and each
+ * glob must match at least one file; otherwise the offending entry is
+ * returned in `missing`.
+ */
+export function resolveResultFiles(patterns) {
+  const files = [];
+  const missing = [];
+  for (const pattern of patterns) {
+    if (GLOB_MAGIC.test(pattern)) {
+      const matches = expandGlob(pattern);
+      if (!matches.length) {
+        missing.push(pattern);
+      }
+      files.push(...matches);
+    } else {
+      const absPath = toAbsolutePath(pattern);
+      if (fs.existsSync(absPath)) {
+        files.push(absPath);
+      } else {
+        missing.push(absPath);
+      }
+    }
+  }
+  return { files: unique(files), missing };
+}
+
 function getBaseApiUrl(apiUrl) {
   if (apiUrl && String(apiUrl).trim()) {
     return String(apiUrl).trim().replace(/\/+$/, '');
@@ -246,6 +381,15 @@ function getTestState(testData) {
   return SYSTEM_STATUS.SKIPPED;
 }
 
+// Mocha marks it.skip()/this.skip() tests as pending; Cypress reports
+// tests skipped after a failing hook as skipped
+function getMochawesomeOutcome(testData) {
+  if (testData?.pending === true || String(testData?.state || '').toLowerCase() === 'pending') {
+    return 'pending';
+  }
+  return getTestState(testData);
+}
+
 function toRunStatus(status) {
   if (status === SYSTEM_STATUS.PASSED) {
     return RUN_RESULT_MAP.pass;
@@ -256,26 +400,69 @@ function toRunStatus(status) {
   return RUN_RESULT_MAP.skip;
 }
 
-function getConfigIdFromSuiteTitle(title) {
-  const value = String(title || '');
-  const match = /^config-id-(\d+)$/i.exec(value.trim());
-  return match && match[1] ? match[1] : null;
+const ID_PATTERN_GROUPS = {
+  testCase: ['id'],
+  config: ['id', 'params']
+};
+
+/**
+ * Compile a user-supplied ID pattern, given as `/source/flags` or a bare
+ * source (matched case-insensitively). Test case patterns need an `id`
+ * named group; configuration patterns an `id` group (numeric config ID) or
+ * a `params` group (parameter values such as `browser=chrome,os=linux`).
+ */
+export function compileIdPattern(source, kind = 'testCase') {
+  const text = String(source || '').trim();
+  const label = kind === 'config' ? 'configuration ID' : 'test case ID';
+  const literal = /^\/(.+)\/([a-z]*)$/s.exec(text);
+  let pattern;
+  try {
+    pattern = literal
+      ? new RegExp(literal[1], literal[2].replace(/[gy]/g, ''))
+      : new RegExp(text, 'i');
+  } catch (error) {
+    throw new Error(`Invalid ${label} pattern ${text}: ${error?.message || String(error)}`);
+  }
+
+  const groups = ID_PATTERN_GROUPS[kind] || ID_PATTERN_GROUPS.testCase;
+  if (!groups.some(group => pattern.source.includes(`(?<${group}>`))) {
+    throw new Error(`The ${label} pattern ${text} needs a named group: ${groups.map(group => `(?<${group}>...)`).join(' or ')}`);
+  }
+  return pattern;
 }
 
-export function extractConfigIdFromText(text) {
-  const normalizedText = String(text || '');
-  for (const pattern of CONFIG_ID_PATTERNS) {
-    const match = normalizedText.match(pattern);
-    if (match && match[1]) {
-      return match[1];
+function matchIdPatterns(text, patterns) {
+  for (const pattern of patterns) {
+    const match = text.match(pattern);
+    const value = match && (match.groups?.id || match.groups?.params || match[1]);
+    if (value && String(value).trim()) {
+      return String(value).trim();
     }
   }
   return null;
 }
 
-export function extractTestCaseIdFromTitle(title) {
+function getConfigIdFromSuiteTitle(title, idPatterns = NO_ID_PATTERNS) {
+  const value = String(title || '').trim();
+  const match = /^config-id-(\d+)$/i.exec(value);
+  if (match && match[1]) {
+    return match[1];
+  }
+  return matchIdPatterns(value, [...idPatterns.config, CONFIG_PARAMS_PATTERN]);
+}
+
+export function extractConfigIdFromText(text, idPatterns = NO_ID_PATTERNS) {
+  return matchIdPatterns(String(text || ''), [...idPatterns.config, ...CONFIG_ID_PATTERNS]);
+}
+
+export function extractTestCaseIdFromTitle(title, idPatterns = NO_ID_PATTERNS) {
   const normalizedTitle = String(title || '');
 
+  const customId = matchIdPatterns(normalizedTitle, idPatterns.testCase);
+  if (customId) {
+    return customId;
+  }
+
   const suffix = normalizedTitle.split('-').pop();
   if (suffix && /^\d+$/.test(suffix)) {
     return suffix;
@@ -290,19 +477,246 @@ export function extractTestCaseIdFromTitle(title) {
   return null;
 }
 
-function extractTestCaseIdFromMochawesomeTest(testData) {
+/**
+ * Like extractTestCaseIdFromTitle, but only accepts explicit markers
+ * (TC-123, id-123, ...) — used for free-form metadata such as TRX test
+ * categories, where a bare numeric suffix is not meaningful.
+ */
+function extractTestCaseIdFromMarker(text, idPatterns = NO_ID_PATTERNS) {
+  return matchIdPatterns(String(text || ''), [...idPatterns.testCase, ...TC_ID_PATTERNS]);
+}
+
+function extractTestCaseIdFromMochawesomeTest(testData, idPatterns) {
   const testTitle = String(testData?.title || '').trim();
   const fullTitle = String(testData?.fullTitle || '').trim();
   // Prefer fullTitle because some reporters shorten `title` and keep the canonical ID in fullTitle.
-  return extractTestCaseIdFromTitle(fullTitle) || extractTestCaseIdFromTitle(testTitle);
+  return extractTestCaseIdFromTitle(fullTitle, idPatterns) || extractTestCaseIdFromTitle(testTitle, idPatterns);
+}
+
+// Names of structured metadata entries (JUnit <property>, Mochawesome
+// context titles, TRX Properties) that carry TestCollab fields
+const METADATA_KEYS = {
+  testCaseId: /^(tc|tc[-_ ]?id|test[-_ ]?case([-_ ]?id)?|testcollab([-_ ]?id)?)$/i,
+  configId: /^(config|configuration)([-_ ]?id)?$/i,
+  tags: /^tags?$/i,
+  requirements: /^(req|requirements?)([-_ ]?(ids?|keys?))?$/i
+};
+
+function isMetadataKey(name) {
+  const key = String(name ?? '').trim();
+  return Object.values(METADATA_KEYS).some(pattern => pattern.test(key));
+}
+
+function splitMetadataList(value) {
+  return String(value ?? '')
+    .split(/[,;]/)
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Read TestCollab fields from a test's structured metadata, given as
+ * [name, value] pairs. Values may be arrays; tags and requirements may be
+ * comma-separated and repeated. Configuration values that are not numeric
+ * (`browser=chrome`) are kept as selectors, like `[config: ...]` in titles.
+ */
+function readTestMetadata(entries, idPatterns) {
+  const metadata = { testCaseId: null, configId: null, tags: [], requirements: [] };
+  (entries || []).forEach(([name, rawValue]) => {
+    const key = String(name ?? '').trim();
+    const values = (Array.isArray(rawValue) ? rawValue : [rawValue])
+      .filter(value => value !== null && value !== undefined && typeof value !== 'object')
+      .map(value => String(value).trim())
+      .filter(Boolean);
+    if (!key || !values.length) {
+      return;
+    }
+
+    if (METADATA_KEYS.testCaseId.test(key)) {
+      const [value] = values;
+      metadata.testCaseId = metadata.testCaseId || (/^\d+$/.test(value) ? value : extractTestCaseIdFromMarker(value, idPatterns));
+    } else if (METADATA_KEYS.configId.test(key)) {
+      const [value] = values;
+      metadata.configId = metadata.configId || (/^\d+$/.test(value) ? value : (extractConfigIdFromText(value, idPatterns) || value));
+    } else if (METADATA_KEYS.tags.test(key)) {
+      metadata.tags.push(...values.flatMap(splitMetadataList).map(tag => tag.replace(/^@/, '')));
+    } else if (METADATA_KEYS.requirements.test(key)) {
+      metadata.requirements.push(...values.flatMap(splitMetadataList));
+    }
+  });
+  metadata.tags = unique(metadata.tags);
+  metadata.requirements = unique(metadata.requirements);
+  return metadata;
+}
+
+// Spread into a test so `tags`/`requirements` only exist when non-empty
+function withTestMetadata({ tags, requirements } = {}) {
+  return {
+    ...(tags && tags.length ? { tags } : {}),
+    ...(requirements && requirements.length ? { requirements } : {})
+  };
+}
+
+/**
+ * Read `<property>` entries (JUnit 5, pytest's record_property, ...) from a
+ * JUnit <testcase> body. Both `value="..."` and text content are accepted.
+ */
+function getJUnitProperties(body) {
+  const properties = [];
+  const propertyRegex = /<property\b([^>]*?)(?:\/>|>([\s\S]*?)<\/property\s*>)/gi;
+  let match;
+  while ((match = propertyRegex.exec(body || '')) !== null) {
+    const attrs = parseXmlAttributes(match[1] || '');
+    const value = attrs.value !== undefined ? attrs.value : decodeXmlEntities(String(match[2] || '').trim());
+    if (attrs.name) {
+      properties.push([attrs.name, value]);
+    }
+  }
+  return properties;
+}
+
+/**
+ * Whether a string from a result file looks like a reference to an evidence
+ * file (screenshot, video, log) rather than a URL or free text.
+ */
+function isAttachmentReference(value) {
+  const text = String(value || '').trim();
+  return Boolean(text)
+    && !/^[a-z][a-z0-9+.-]*:\/\//i.test(text)
+    && !/^data:/i.test(text)
+    && !/[\r\n]/.test(text)
+    && /\.[a-z0-9]{2,5}$/i.test(text);
+}
+
+/**
+ * Entries of a Mochawesome test's `context` (set through `addContext`). The
+ * context is usually a JSON-encoded string holding a value, a
+ * `{ title, value }` object, or an array of those.
+ */
+function getMochawesomeContextEntries(testData) {
+  let context = testData?.context;
+  if (typeof context === 'string') {
+    try {
+      context = JSON.parse(context);
+    } catch {
+      // Plain string context
+    }
+  }
+  return Array.isArray(context) ? context : [context];
+}
+
+/**
+ * Collect file references from a Mochawesome test's context. Entries titled
+ * like metadata (`testcase_id`, `tags`, ...) are read by
+ * getMochawesomeMetadata() instead.
+ */
+function getMochawesomeAttachments(testData) {
+  return getMochawesomeContextEntries(testData)
+    .map((entry) => {
+      if (typeof entry === 'string') {
+        return { name: path.basename(entry), path: entry };
+      }
+      if (entry && typeof entry === 'object' && typeof entry.value === 'string' && !isMetadataKey(entry.title)) {
+        return { name: String(entry.title || path.basename(entry.value)), path: entry.value };
+      }
+      return null;
+    })
+    .filter(attachment => attachment && isAttachmentReference(attachment.path));
+}
+
+/**
+ * Structured metadata from a Mochawesome test's context, e.g.
+ * `addContext(this, { title: 'testcase_id', value: 123 })`.
+ */
+function getMochawesomeMetadata(testData, idPatterns) {
+  return readTestMetadata(getMochawesomeContextEntries(testData)
+    .filter(entry => entry && typeof entry === 'object' && !Array.isArray(entry))
+    .map(entry => [entry.title, entry.value]), idPatterns);
+}
+
+// Spread into a result so the `attachments` key only exists when non-empty
+function withAttachments(attachments) {
+  return attachments && attachments.length ? { attachments } : {};
+}
+
+/**
+ * Spread into a result to keep the reporter's own outcome (`error`,
+ * `pending`, `todo`, ...) when it is more specific than the state, so
+ * --status-map can map it. Outcomes are lower-cased.
+ */
+function withOutcome(outcome, state) {
+  const value = String(outcome || '').trim().toLowerCase();
+  return value && value !== state ? { outcome: value } : {};
+}
+
+/**
+ * Spread into a failed result what its comment shows besides the error
+ * text: the assertion message, the test's file and line, and how often it
+ * was retried. Unknown values are left out; other states get nothing.
+ */
+function withFailureDetails(state, { message, file, line, retries } = {}) {
+  if (state !== SYSTEM_STATUS.FAILED) {
+    return {};
+  }
+  const failure = {};
+  if (String(message || '').trim()) {
+    failure.message = String(message).trim();
+  }
+  if (String(file || '').trim()) {
+    failure.file = String(file).trim();
+  }
+  if (Number(line) > 0) {
+    failure.line = Number(line);
+  }
+  if (Number(retries) > 0) {
+    failure.retries = Number(retries);
+  }
+  return Object.keys(failure).length ? { failure } : {};
+}
+
+// Line of `file` in the first stack frame that mentions it
+function findLineInStack(stack, file) {
+  const name = path.basename(String(file || ''));
+  if (!name) {
+    return null;
+  }
+  const escapedName = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const match = new RegExp(`${escapedName}:(\\d+)`).exec(String(stack || ''));
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Collect `[[ATTACHMENT|path]]` lines (the Jenkins JUnit attachments
+ * convention) from a JUnit <testcase> body, typically inside <system-out>.
+ */
+function getJUnitAttachments(body) {
+  const attachments = [];
+  const attachmentRegex = /\[\[ATTACHMENT\|([^\]]+)\]\]/g;
+  let match;
+  while ((match = attachmentRegex.exec(body || '')) !== null) {
+    const filePath = decodeXmlEntities(match[1]).trim();
+    if (filePath) {
+      attachments.push({ name: path.basename(filePath), path: filePath });
+    }
+  }
+  return attachments;
+}
+
+// Failure details of a Mochawesome test; the line comes from its stack trace
+function getMochawesomeFailure(testData, specFile) {
+  const errStack = String(testData?.err?.estack || testData?.err?.stack || '');
+  return withFailureDetails(getTestState(testData), {
+    message: testData?.err?.message,
+    file: specFile,
+    line: findLineInStack(errStack, specFile)
+  });
 }
 
-function prepareMochawesomeRunRecord(testData) {
+function prepareMochawesomeRunRecord(testData, tcId, specFile = '') {
   if (!testData || typeof testData !== 'object') {
     return null;
   }
 
-  const tcId = extractTestCaseIdFromMochawesomeTest(testData);
   if (!tcId) {
     return null;
   }
@@ -318,23 +732,33 @@ function prepareMochawesomeRunRecord(testData) {
 
   const title = String(testData?.fullTitle || testData?.title || '').trim() || '(Unnamed test case)';
 
-  return {
+  const runRecord = {
     tcId,
     status,
     errDetails,
     title,
-    duration
+    duration,
+    ...withOutcome(getMochawesomeOutcome(testData), testState),
+    ...getMochawesomeFailure(testData, specFile)
   };
+  const attachments = getMochawesomeAttachments(testData);
+  if (attachments.length) {
+    runRecord.attachments = attachments;
+  }
+  return runRecord;
 }
 
-function readMochawesomePayload(absResultPath) {
+function readJsonFile(absResultPath, label) {
   const rawContent = fs.readFileSync(absResultPath, 'utf8');
-  let payload;
   try {
-    payload = JSON.parse(rawContent);
+    return JSON.parse(rawContent);
   } catch (error) {
-    throw new Error(`Invalid Mochawesome JSON: ${error?.message || String(error)}`);
+    throw new Error(`Invalid ${label}: ${error?.message || String(error)}`);
   }
+}
+
+function readMochawesomePayload(absResultPath) {
+  const payload = readJsonFile(absResultPath, 'Mochawesome JSON');
 
   if (!payload || typeof payload !== 'object') {
     throw new Error('Mochawesome result content is empty or invalid');
@@ -346,7 +770,7 @@ function readMochawesomePayload(absResultPath) {
   return payload;
 }
 
-export function parseMochawesomeReport(payload) {
+export function parseMochawesomeReport(payload, { mapping = null, idPatterns = NO_ID_PATTERNS } = {}) {
   const reportData = payload;
   if (!reportData || typeof reportData !== 'object') {
     throw new Error('Mochawesome result content is empty or invalid');
@@ -365,6 +789,21 @@ export function parseMochawesomeReport(payload) {
   let skipped = 0;
 
   reportData.results.forEach((fileResult) => {
+    const specFile = String(fileResult?.file || '').trim();
+    // Mapping file entries win over context metadata, which wins over IDs
+    // in the title
+    const resolveTest = (testData) => {
+      const testKey = buildTestKey(specFile, testData?.fullTitle || testData?.title);
+      const metadata = getMochawesomeMetadata(testData, idPatterns);
+      return {
+        testKey,
+        metadata,
+        tcId: getMappedTestCaseId(mapping, testKey)
+          || metadata.testCaseId
+          || extractTestCaseIdFromMochawesomeTest(testData, idPatterns)
+      };
+    };
+
     let topSuites = fileResult && Array.isArray(fileResult.suites) ? fileResult.suites : [];
     if (!topSuites.length && fileResult && Array.isArray(fileResult.tests) && fileResult.tests.length) {
       // Some reporters emit tests directly on the top result object.
@@ -375,7 +814,7 @@ export function parseMochawesomeReport(payload) {
     }
 
     const configSuites = topSuites
-      .map((suite) => ({ suite, id: getConfigIdFromSuiteTitle(suite?.title) }))
+      .map((suite) => ({ suite, id: getConfigIdFromSuiteTitle(suite?.title, idPatterns) }))
       .filter((entry) => Boolean(entry.id));
 
     const allTopSuitesAreConfigs = configSuites.length > 0 && configSuites.length === topSuites.length;
@@ -396,7 +835,8 @@ export function parseMochawesomeReport(payload) {
           }
 
           const title = String(testData?.fullTitle || testData?.title || '').trim() || '(Unnamed test case)';
-          const tcId = extractTestCaseIdFromMochawesomeTest(testData);
+          const { testKey, tcId, metadata } = resolveTest(testData);
+          const configId = metadata.configId || id;
           const errMessage = String(testData?.err?.message || '').trim();
           const errStack = String(testData?.err?.estack || testData?.err?.stack || '').trim();
           const durationRaw = Number.parseInt(testData?.duration, 10);
@@ -406,22 +846,27 @@ export function parseMochawesomeReport(payload) {
             suite: testData._suiteName || '',
             suitePath: Array.isArray(testData._suitePath) ? testData._suitePath : (testData._suiteName ? [testData._suiteName] : []),
             tcId: tcId || null,
-            configId: id,
+            testKey,
+            configId,
             status: toRunStatus(state),
             errDetails: errStack || errMessage || null,
-            duration: durationMsToSeconds(durationRaw)
+            duration: durationMsToSeconds(durationRaw),
+            ...withAttachments(getMochawesomeAttachments(testData)),
+            ...withTestMetadata(metadata),
+            ...withOutcome(getMochawesomeOutcome(testData), state),
+            ...getMochawesomeFailure(testData, specFile)
           });
 
-          const runRecord = prepareMochawesomeRunRecord(testData);
+          const runRecord = prepareMochawesomeRunRecord(testData, tcId, specFile);
           if (!runRecord) {
             unresolvedIds.push(title);
             return;
           }
 
-          if (!resultsToUpload[id]) {
-            resultsToUpload[id] = [];
+          if (!resultsToUpload[configId]) {
+            resultsToUpload[configId] = [];
           }
-          resultsToUpload[id].push(runRecord);
+          resultsToUpload[configId].push(runRecord);
         });
       });
       return;
@@ -441,7 +886,11 @@ export function parseMochawesomeReport(payload) {
         }
 
         const title = String(testData?.fullTitle || testData?.title || '').trim() || '(Unnamed test case)';
-        const tcId = extractTestCaseIdFromMochawesomeTest(testData);
+        const { testKey, tcId, metadata } = resolveTest(testData);
+        const configId = metadata.configId || '0';
+        if (metadata.configId) {
+          hasConfig = true;
+        }
         const errMessage = String(testData?.err?.message || '').trim();
         const errStack = String(testData?.err?.estack || testData?.err?.stack || '').trim();
         const durationRaw = Number.parseInt(testData?.duration, 10);
@@ -451,22 +900,27 @@ export function parseMochawesomeReport(payload) {
           suite: testData._suiteName || '',
           suitePath: Array.isArray(testData._suitePath) ? testData._suitePath : (testData._suiteName ? [testData._suiteName] : []),
           tcId: tcId || null,
-          configId: '0',
+          testKey,
+          configId,
           status: toRunStatus(state),
           errDetails: errStack || errMessage || null,
-          duration: durationMsToSeconds(durationRaw)
+          duration: durationMsToSeconds(durationRaw),
+          ...withAttachments(getMochawesomeAttachments(testData)),
+          ...withTestMetadata(metadata),
+          ...withOutcome(getMochawesomeOutcome(testData), state),
+          ...getMochawesomeFailure(testData, specFile)
         });
 
-        const runRecord = prepareMochawesomeRunRecord(testData);
+        const runRecord = prepareMochawesomeRunRecord(testData, tcId, specFile);
         if (!runRecord) {
           unresolvedIds.push(title);
           return;
         }
 
-        if (!resultsToUpload['0']) {
-          resultsToUpload['0'] = [];
+        if (!resultsToUpload[configId]) {
+          resultsToUpload[configId] = [];
         }
-        resultsToUpload['0'].push(runRecord);
+        resultsToUpload[configId].push(runRecord);
       });
     });
   });
@@ -499,7 +953,7 @@ export function parseMochawesomeReport(payload) {
   };
 }
 
-export function parseJUnitXml(junitXmlContent) {
+export function parseJUnitXml(junitXmlContent, { mapping = null, idPatterns = NO_ID_PATTERNS } = {}) {
   if (!junitXmlContent || typeof junitXmlContent !== 'string') {
     throw new Error('JUnit XML content is empty or invalid');
   }
@@ -567,18 +1021,34 @@ export function parseJUnitXml(junitXmlContent) {
     const duration = durationSecondsToSeconds(timeInSeconds);
 
     let state = SYSTEM_STATUS.PASSED;
-    const hasSkipped = /<skipped\b/i.test(body) || String(attrs.status || '').toLowerCase() === SYSTEM_STATUS.SKIPPED;
-    const hasFailed = /<failure\b/i.test(body) || /<error\b/i.test(body);
+    let outcome = null;
+    const skippedMatch = /<skipped\b([^>]*)/i.exec(body);
+    const hasSkipped = Boolean(skippedMatch) || String(attrs.status || '').toLowerCase() === SYSTEM_STATUS.SKIPPED;
+    const hasFailure = /<failure\b/i.test(body);
+    const hasError = /<error\b/i.test(body);
 
     if (hasSkipped) {
       state = SYSTEM_STATUS.SKIPPED;
-    } else if (hasFailed) {
+      // node:test writes <skipped type="todo"> for test.todo()
+      const skippedAttrs = parseXmlAttributes(skippedMatch ? skippedMatch[1] : '');
+      outcome = /^todo$/i.test(skippedAttrs.type || '') ? 'todo' : null;
+    } else if (hasFailure || hasError) {
       state = SYSTEM_STATUS.FAILED;
+      // <error> is an unexpected exception rather than a failed assertion
+      outcome = hasFailure ? null : 'error';
     }
 
     const failureDetails = getFailureDetails(body);
-    const testCaseId = extractTestCaseIdFromTitle(rawName) || extractTestCaseIdFromTitle(rawClassName);
-    const configId = extractConfigIdFromText(rawName) || extractConfigIdFromText(rawClassName);
+    const testKey = buildTestKey(rawClassName, rawName);
+    // <property> metadata wins over IDs in the name; a mapping entry wins over both
+    const metadata = readTestMetadata(getJUnitProperties(body), idPatterns);
+    const testCaseId = getMappedTestCaseId(mapping, testKey)
+      || metadata.testCaseId
+      || extractTestCaseIdFromTitle(rawName, idPatterns)
+      || extractTestCaseIdFromTitle(rawClassName, idPatterns);
+    const configId = metadata.configId
+      || extractConfigIdFromText(rawName, idPatterns)
+      || extractConfigIdFromText(rawClassName, idPatterns);
 
     let suitePath;
     let leafSuite;
@@ -595,11 +1065,19 @@ export function parseJUnitXml(junitXmlContent) {
       suite: leafSuite,
       suitePath,
       testCaseId,
+      testKey,
       configId,
       duration,
       state,
       failureMessage: failureDetails.message,
-      failureStack: failureDetails.stack
+      failureStack: failureDetails.stack,
+      // pytest writes file/line; surefire records reruns of flaky tests
+      file: attrs.file || null,
+      line: Number(attrs.line) || null,
+      retries: (body.match(/<(?:rerun|flaky)(?:Failure|Error)\b/gi) || []).length,
+      ...withAttachments(getJUnitAttachments(body)),
+      ...withTestMetadata(metadata),
+      ...withOutcome(outcome, state)
     };
   });
 
@@ -610,9 +1088,273 @@ export function parseJUnitXml(junitXmlContent) {
   return testCases;
 }
 
-export function parseJUnitReport(junitXmlContent) {
-  const testCases = parseJUnitXml(junitXmlContent);
+// Higher wins when the same test case is reported more than once.
+const RUN_STATUS_SEVERITY = {
+  [RUN_RESULT_MAP.fail]: 4,
+  [RUN_RESULT_MAP.block]: 3,
+  [RUN_RESULT_MAP.pass]: 2,
+  [RUN_RESULT_MAP.skip]: 1,
+  [RUN_RESULT_MAP.unexecuted]: 0
+};
+
+const MERGE_RULES = ['fail-wins', 'last-wins'];
+
+/**
+ * Collapse duplicate TC IDs within each config of resultsToUpload.
+ *
+ * Within one result file (records carry the `fileIndex` combineParsedReports
+ * gave them) the result that appears last wins. Between files, `rule` decides:
+ * - `fail-wins`: the most severe status wins (fail > blocked > pass > skip);
+ *   among equally severe results the later one wins.
+ * - `last-wins`: the result that appears last wins.
+ *
+ * Returns the merged map plus the number of records dropped.
+ */
+export function mergeResultsToUpload(resultsToUpload, rule = 'fail-wins') {
+  const merged = {};
+  let duplicates = 0;
+  Object.entries(resultsToUpload || {}).forEach(([configId, records]) => {
+    // Re-insert on every update so the maps keep the order results were
+    // last reported in
+    const lastInFile = new Map();
+    (records || []).forEach((record) => {
+      const key = `${record.tcId}\u0000${record.fileIndex ?? ''}`;
+      lastInFile.delete(key);
+      lastInFile.set(key, record);
+    });
+
+    const byTcId = new Map();
+    lastInFile.forEach((record) => {
+      const key = String(record.tcId);
+      const existing = byTcId.get(key);
+      if (existing) {
+        const keepExisting = rule === 'fail-wins'
+          && (RUN_STATUS_SEVERITY[existing.status] || 0) > (RUN_STATUS_SEVERITY[record.status] || 0);
+        if (keepExisting) {
+          return;
+        }
+        byTcId.delete(key);
+      }
+      byTcId.set(key, record);
+    });
+    merged[configId] = [...byTcId.values()].map(({ fileIndex, ...record }) => record);
+    duplicates += (records || []).length - merged[configId].length;
+  });
+  return { resultsToUpload: merged, duplicates };
+}
+
+// Names accepted for the built-in statuses in --status-map
+const STATUS_NAMES = {
+  pass: RUN_RESULT_MAP.pass,
+  passed: RUN_RESULT_MAP.pass,
+  fail: RUN_RESULT_MAP.fail,
+  failed: RUN_RESULT_MAP.fail,
+  skip: RUN_RESULT_MAP.skip,
+  skipped: RUN_RESULT_MAP.skip,
+  block: RUN_RESULT_MAP.block,
+  blocked: RUN_RESULT_MAP.block,
+  unexecuted: RUN_RESULT_MAP.unexecuted
+};
+
+/**
+ * Parse --status-map values ("error=blocked", "pending=unexecuted,todo=skip")
+ * into { outcome: status }. Outcomes are lower-cased; a built-in status
+ * name on the left (`failed=blocked`) stands for every result in that state.
+ */
+export function parseStatusMap(values) {
+  const statusMap = {};
+  [].concat(values || [])
+    .flatMap(value => String(value).split(','))
+    .map(pair => pair.trim())
+    .filter(Boolean)
+    .forEach((pair) => {
+      const separatorIndex = pair.indexOf('=');
+      const outcome = pair.slice(0, separatorIndex).trim().toLowerCase();
+      const status = pair.slice(separatorIndex + 1).trim();
+      if (separatorIndex < 1 || !outcome || !status) {
+        throw new Error(`Invalid status mapping "${pair}": expected <outcome>=<status>, e.g. error=blocked`);
+      }
+      const builtInStatus = STATUS_NAMES[outcome];
+      statusMap[builtInStatus !== undefined ? RUN_STATUS_LABELS[builtInStatus] : outcome] = status;
+    });
+  return statusMap;
+}
+
+function isBuiltInStatus(status) {
+  return STATUS_NAMES[String(status).toLowerCase()] !== undefined || /^\d+$/.test(String(status));
+}
+
+/**
+ * Resolve the statuses of a parsed status map to the values executed cases
+ * take: a built-in name, a numeric status ID, or the name of one of the
+ * project's custom execution statuses.
+ */
+export function resolveStatusMap(statusMap, executionStatuses = []) {
+  const resolved = {};
+  Object.entries(statusMap || {}).forEach(([outcome, status]) => {
+    const name = String(status).trim().toLowerCase();
+    if (STATUS_NAMES[name] !== undefined) {
+      resolved[outcome] = { status: STATUS_NAMES[name], name };
+      return;
+    }
+    if (/^\d+$/.test(name)) {
+      resolved[outcome] = { status: Number(name), name };
+      return;
+    }
+    const customStatus = (executionStatuses || []).find(
+      candidate => String(candidate?.name ?? candidate?.title ?? '').trim().toLowerCase() === name
+    );
+    if (!customStatus || customStatus.id === undefined || customStatus.id === null) {
+      const available = (executionStatuses || []).map(candidate => candidate?.name ?? candidate?.title).filter(Boolean);
+      throw new Error(
+        `Unknown status "${status}" for "${outcome}" in --status-map; use pass, fail, skip, blocked, unexecuted`
+        + `${available.length ? `, or one of the project's statuses: ${available.join(', ')}` : ''}`
+      );
+    }
+    resolved[outcome] = { status: Number(customStatus.id), name: String(customStatus.name ?? customStatus.title) };
+  });
+  return resolved;
+}
+
+const STATS_BUCKETS = {
+  [RUN_RESULT_MAP.pass]: 'passes',
+  [RUN_RESULT_MAP.fail]: 'failures',
+  [RUN_RESULT_MAP.skip]: 'skipped',
+  [RUN_RESULT_MAP.unexecuted]: 'skipped'
+};
+
+/**
+ * Apply a resolved status map to a parsed report, in place. A result's own
+ * outcome (`error`, `pending`, ...) is looked up before its state (`fail`,
+ * ...). Stats follow the new statuses; blocked and custom statuses are
+ * counted as neither passed, failed nor skipped.
+ *
+ * Returns the number of results changed per "<outcome> → <status>".
+ */
+export function applyStatusMap(parsedReport, resolvedStatusMap) {
+  const changes = {};
+  const mapped = new Set();
+  const mapRecord = (record, countChange) => {
+    if (!record || mapped.has(record)) {
+      return;
+    }
+    mapped.add(record);
+    const outcome = [record.outcome, RUN_STATUS_LABELS[record.status]].find(key => key && resolvedStatusMap[key]);
+    if (!outcome || resolvedStatusMap[outcome].status === record.status) {
+      return;
+    }
+    const { status, name } = resolvedStatusMap[outcome];
+    if (countChange) {
+      const label = `${outcome} → ${name}`;
+      changes[label] = (changes[label] || 0) + 1;
+      const stats = parsedReport.stats || {};
+      if (STATS_BUCKETS[record.status] && stats[STATS_BUCKETS[record.status]] > 0) {
+        stats[STATS_BUCKETS[record.status]] -= 1;
+      }
+      if (STATS_BUCKETS[status]) {
+        stats[STATS_BUCKETS[status]] = (stats[STATS_BUCKETS[status]] || 0) + 1;
+      }
+    }
+    record.status = status;
+  };
+
+  (parsedReport.allTests || []).forEach(test => mapRecord(test, true));
+  Object.values(parsedReport.resultsToUpload || {}).forEach((records) => {
+    (records || []).forEach(record => mapRecord(record, false));
+  });
+  return changes;
+}
+
+/**
+ * Combine the parsed reports of several result files into one report with
+ * the same shape. resultsToUpload is concatenated, each test and record
+ * tagged with the `fileIndex` of its file; duplicates are collapsed by
+ * mergeResultsToUpload() right before upload.
+ */
+export function combineParsedReports(reports) {
+  if (reports.length === 1) {
+    return reports[0];
+  }
+
+  const resultsToUpload = {};
+  reports.forEach((report, fileIndex) => {
+    Object.entries(report.resultsToUpload || {}).forEach(([configId, records]) => {
+      resultsToUpload[configId] = [...(resultsToUpload[configId] || []), ...records.map(record => ({ ...record, fileIndex }))];
+    });
+  });
+
+  const formats = unique(reports.map(report => report.format));
+  return {
+    format: formats.length === 1 ? formats[0] : 'mixed',
+    hasConfig: reports.some(report => report.hasConfig),
+    resultsToUpload,
+    allTests: reports.flatMap((report, fileIndex) => (report.allTests || []).map(test => ({ ...test, fileIndex }))),
+    stats: reports.reduce((total, report) => ({
+      tests: total.tests + (report.stats?.tests || 0),
+      passes: total.passes + (report.stats?.passes || 0),
+      failures: total.failures + (report.stats?.failures || 0),
+      skipped: total.skipped + (report.stats?.skipped || 0)
+    }), { tests: 0, passes: 0, failures: 0, skipped: 0 }),
+    unresolvedIds: unique(reports.flatMap(report => report.unresolvedIds || []))
+  };
+}
+
+/**
+ * Group allTests entries that carry a TC ID into resultsToUpload records,
+ * keyed by config ID.
+ */
+function buildResultsToUpload(allTests) {
+  const resultsToUpload = {};
+  for (const test of allTests) {
+    if (!test.tcId) continue;
+    const key = test.configId || '0';
+    if (!resultsToUpload[key]) {
+      resultsToUpload[key] = [];
+    }
+    const record = {
+      tcId: String(test.tcId),
+      status: test.status,
+      errDetails: test.errDetails,
+      title: test.title,
+      duration: test.duration
+    };
+    if (Array.isArray(test.stepResults)) {
+      record.stepResults = test.stepResults;
+    }
+    if (test.comment) {
+      record.comment = test.comment;
+    }
+    if (test.attachments && test.attachments.length) {
+      record.attachments = test.attachments;
+    }
+    if (test.outcome) {
+      record.outcome = test.outcome;
+    }
+    if (test.failure) {
+      record.failure = test.failure;
+    }
+    if (test.fileIndex !== undefined) {
+      record.fileIndex = test.fileIndex;
+    }
+    resultsToUpload[key].push(record);
+  }
+  return resultsToUpload;
+}
+
+function getTestCaseFailure(testCase) {
+  return withFailureDetails(testCase.state, {
+    message: testCase.failureMessage,
+    file: testCase.file,
+    line: testCase.line,
+    retries: testCase.retries
+  });
+}
 
+/**
+ * Aggregate flat parsed test cases (as produced by parseJUnitXml/parseTrxXml)
+ * into the { resultsToUpload, allTests, stats, unresolvedIds } report shape.
+ */
+function buildReportFromTestCases(testCases, format) {
   const resultsToUpload = {};
   const unresolvedIds = [];
   let hasConfig = false;
@@ -649,7 +1391,10 @@ export function parseJUnitReport(junitXmlContent) {
       status: toRunStatus(testCase.state),
       errDetails: String(testCase.failureStack || testCase.failureMessage || '').trim() || null,
       title: `${testCase.suite} ${testCase.title}`.trim(),
-      duration: testCase.duration
+      duration: testCase.duration,
+      ...withAttachments(testCase.attachments),
+      ...withOutcome(testCase.outcome, testCase.state),
+      ...getTestCaseFailure(testCase)
     });
   });
 
@@ -660,10 +1405,15 @@ export function parseJUnitReport(junitXmlContent) {
       ? tc.suitePath
       : (tc.suite ? [tc.suite] : []),
     tcId: tc.testCaseId || null,
+    testKey: tc.testKey,
     configId: tc.configId ? String(tc.configId) : '0',
     status: toRunStatus(tc.state),
     errDetails: String(tc.failureStack || tc.failureMessage || '').trim() || null,
-    duration: tc.duration
+    duration: tc.duration,
+    ...withAttachments(tc.attachments),
+    ...withTestMetadata(tc),
+    ...withOutcome(tc.outcome, tc.state),
+    ...getTestCaseFailure(tc)
   }));
 
   if (!Object.keys(resultsToUpload).length && !allTests.length) {
@@ -671,7 +1421,7 @@ export function parseJUnitReport(junitXmlContent) {
   }
 
   return {
-    format: 'junit',
+    format,
     hasConfig,
     resultsToUpload,
     allTests,
@@ -685,25 +1435,1031 @@ export function parseJUnitReport(junitXmlContent) {
   };
 }
 
-function encodeComment(value) {
-  const text = String(value || '').trim();
-  if (!text) {
-    return '';
-  }
+export function parseJUnitReport(junitXmlContent, options = {}) {
+  return buildReportFromTestCases(parseJUnitXml(junitXmlContent, options), 'junit');
+}
 
-  try {
-    return escape(text);
-  } catch {
-    return encodeURIComponent(text);
+const TRX_PASSED_OUTCOMES = new Set(['passed', 'passedbutrunaborted', 'completed', 'warning']);
+const TRX_FAILED_OUTCOMES = new Set(['failed', 'error', 'timeout', 'aborted']);
+
+function getTrxState(outcome) {
+  const value = String(outcome || '').trim().toLowerCase();
+  if (TRX_PASSED_OUTCOMES.has(value)) {
+    return SYSTEM_STATUS.PASSED;
+  }
+  if (TRX_FAILED_OUTCOMES.has(value)) {
+    return SYSTEM_STATUS.FAILED;
+  }
+  // NotExecuted, Inconclusive, Pending, NotRunnable, Disconnected, ...
+  return SYSTEM_STATUS.SKIPPED;
+}
+
+/**
+ * Convert a TRX duration ("hh:mm:ss.fffffff") into whole seconds.
+ */
+function trxDurationToSeconds(value) {
+  const match = /^(\d+):(\d+):(\d+(?:\.\d+)?)$/.exec(String(value || '').trim());
+  if (!match) {
+    return 0;
+  }
+  const totalSeconds = (Number(match[1]) * 3600) + (Number(match[2]) * 60) + Number.parseFloat(match[3]);
+  return durationSecondsToSeconds(totalSeconds);
+}
+
+function getXmlElementText(body, tagName) {
+  const match = new RegExp(`<${tagName}\\b[^>]*>([\\s\\S]*?)<\\/${tagName}\\s*>`, 'i').exec(body || '');
+  return match ? decodeXmlEntities(match[1].trim()) : '';
+}
+
+/**
+ * Read <UnitTest> definitions keyed by test ID. Each definition carries the
+ * class name plus its TestCategory items and Properties (xUnit/MSTest
+ * "traits"), which are searched for TestCollab case/config IDs.
+ */
+function parseTrxDefinitions(trxXmlContent) {
+  const definitions = {};
+  const unitTestRegex = /<UnitTest\b([^>]*?)(?:\/>|>([\s\S]*?)<\/UnitTest\s*>)/gi;
+  let match;
+
+  while ((match = unitTestRegex.exec(trxXmlContent)) !== null) {
+    const attrs = parseXmlAttributes(match[1] || '');
+    const body = match[2] || '';
+    if (!attrs.id) {
+      continue;
+    }
+
+    const testMethodMatch = /<TestMethod\b([^>]*?)\/?>/i.exec(body);
+    const testMethodAttrs = testMethodMatch ? parseXmlAttributes(testMethodMatch[1] || '') : {};
+
+    const categories = [];
+    const categoryRegex = /<TestCategoryItem\b([^>]*?)\/?>/gi;
+    let categoryMatch;
+    while ((categoryMatch = categoryRegex.exec(body)) !== null) {
+      const categoryAttrs = parseXmlAttributes(categoryMatch[1] || '');
+      if (categoryAttrs.TestCategory) {
+        categories.push(categoryAttrs.TestCategory.trim());
+      }
+    }
+
+    const properties = {};
+    const propertyRegex = /<Property\b[^>]*>([\s\S]*?)<\/Property\s*>/gi;
+    let propertyMatch;
+    while ((propertyMatch = propertyRegex.exec(body)) !== null) {
+      const key = getXmlElementText(propertyMatch[1], 'Key');
+      if (key) {
+        properties[key] = getXmlElementText(propertyMatch[1], 'Value');
+      }
+    }
+
+    definitions[attrs.id] = {
+      name: (attrs.name || testMethodAttrs.name || '').trim(),
+      className: (testMethodAttrs.className || '').trim(),
+      categories,
+      properties
+    };
+  }
+
+  return definitions;
+}
+
+export function parseTrxXml(trxXmlContent, { mapping = null, idPatterns = NO_ID_PATTERNS } = {}) {
+  if (!trxXmlContent || typeof trxXmlContent !== 'string') {
+    throw new Error('TRX content is empty or invalid');
+  }
+
+  const content = trxXmlContent.replace(/^\uFEFF/, '');
+  const definitions = parseTrxDefinitions(content);
+
+  // Data-driven tests nest per-row results in <InnerResults>; the parent
+  // <UnitTestResult> already carries the aggregated outcome, so only
+  // top-level results are reported.
+  const resultsSection = content.replace(/<InnerResults\b[^>]*>[\s\S]*?<\/InnerResults\s*>/gi, '');
+  const resultRegex = /<UnitTestResult\b([^>]*?)(?:\/>|>([\s\S]*?)<\/UnitTestResult\s*>)/gi;
+  const testCases = [];
+  let match;
+
+  while ((match = resultRegex.exec(resultsSection)) !== null) {
+    const attrs = parseXmlAttributes(match[1] || '');
+    const body = match[2] || '';
+    const definition = definitions[attrs.testId] || { name: '', className: '', categories: [], properties: {} };
+
+    const className = definition.className;
+    let title = (attrs.testName || definition.name || '').trim();
+    // xUnit/NUnit report fully-qualified test names; keep just the method
+    // (and any data-row arguments) so titles match the other formats.
+    if (className && title.startsWith(`${className}.`)) {
+      title = title.slice(className.length + 1);
+    }
+
+    const suite = className ? className.split('.').pop() : 'TRX Tests';
+    const state = getTrxState(attrs.outcome);
+    const errorInfo = /<ErrorInfo\b[^>]*>([\s\S]*?)<\/ErrorInfo\s*>/i.exec(body);
+    const failureMessage = errorInfo ? getXmlElementText(errorInfo[1], 'Message') : '';
+    const failureStack = errorInfo ? getXmlElementText(errorInfo[1], 'StackTrace') : '';
+    // .NET stack frames end in "in <file>:line <n>"
+    const stackLocation = / in (.+?):line (\d+)/.exec(failureStack);
+
+    const testKey = buildTestKey(className, title);
+    // Properties are structured metadata, so they win over the test name
+    const metadata = readTestMetadata(Object.entries(definition.properties), idPatterns);
+    let testCaseId = getMappedTestCaseId(mapping, testKey) || metadata.testCaseId || extractTestCaseIdFromTitle(title, idPatterns);
+    let configId = metadata.configId || extractConfigIdFromText(title, idPatterns);
+    for (const category of definition.categories) {
+      const categoryConfigId = extractConfigIdFromText(category, idPatterns);
+      if (categoryConfigId) {
+        // "config-id-4" would otherwise also satisfy the id-<n> case pattern.
+        configId = configId || categoryConfigId;
+        continue;
+      }
+      testCaseId = testCaseId || extractTestCaseIdFromMarker(category, idPatterns);
+    }
+    for (const value of Object.values(definition.properties)) {
+      configId = configId || extractConfigIdFromText(value, idPatterns);
+    }
+
+    testCases.push({
+      title: title || '(Unnamed test case)',
+      suite,
+      suitePath: [suite],
+      testCaseId,
+      testKey,
+      configId,
+      duration: trxDurationToSeconds(attrs.duration),
+      state,
+      failureMessage,
+      failureStack: [failureMessage, failureStack].filter(Boolean).join('\n'),
+      file: stackLocation ? stackLocation[1].trim() : null,
+      line: stackLocation ? Number(stackLocation[2]) : null,
+      ...withTestMetadata(metadata),
+      ...withOutcome(attrs.outcome, state)
+    });
+  }
+
+  if (!testCases.length) {
+    throw new Error('No <UnitTestResult> elements were found in the provided TRX file');
+  }
+
+  return testCases;
+}
+
+export function parseTrxReport(trxXmlContent, options = {}) {
+  return buildReportFromTestCases(parseTrxXml(trxXmlContent, options), 'trx');
+}
+
+function getCucumberStepState(status) {
+  const value = String(status || '').trim().toLowerCase();
+  if (value === SYSTEM_STATUS.PASSED) {
+    return SYSTEM_STATUS.PASSED;
+  }
+  if (value === SYSTEM_STATUS.FAILED || value === 'ambiguous') {
+    return SYSTEM_STATUS.FAILED;
+  }
+  // skipped, pending, undefined, unknown
+  return SYSTEM_STATUS.SKIPPED;
+}
+
+function normalizeFeatureUri(uri) {
+  let value = String(uri || '').trim().replace(/^file:\/\//, '');
+  if (path.isAbsolute(value)) {
+    value = path.relative(process.cwd(), value);
+  }
+  return value.replace(/\\/g, '/').replace(/^\.\//, '');
+}
+
+/**
+ * Parse a .feature source with the same parser (and --examples and --steps
+ * modes) `tc sync` uses, so scenario hashes line up with the ones stored in
+ * TestCollab. Scenarios are returned sorted by line.
+ */
+function getSyncedScenarios(featureSource, uri, parseOptions = {}) {
+  if (!featureSource) {
+    return [];
+  }
+  try {
+    const parsed = parseGherkinFile(featureSource, uri, parseOptions);
+    const scenarios = parsed ? parsed.scenarios.filter(s => Number.isFinite(s.line)) : [];
+    return scenarios.sort((a, b) => a.line - b.line);
+  } catch {
+    return [];
+  }
+}
+
+// Number of Gherkin steps of a synced scenario (structured steps group them)
+function getGherkinStepCount(scenario) {
+  return scenario.stepGroups ? scenario.stepGroups.flat().length : scenario.steps.length;
+}
+
+// A step that did not run makes its group (or row) worse than a passed one.
+const STEP_STATUS_SEVERITY = { [RUN_RESULT_MAP.fail]: 2, [RUN_RESULT_MAP.skip]: 1, [RUN_RESULT_MAP.pass]: 0 };
+
+function worstStepStatus(a, b) {
+  return (STEP_STATUS_SEVERITY[b] || 0) > (STEP_STATUS_SEVERITY[a] || 0) ? b : a;
+}
+
+/**
+ * Fold per-step results into one result per structured step (an action and
+ * its expected result); the worst status of the group wins.
+ */
+function groupStepResults(stepResults, stepGroups) {
+  if (!stepGroups) {
+    return stepResults;
+  }
+  return stepGroups.map((group) => {
+    const statuses = group.map(index => stepResults[index]).filter(status => status !== undefined);
+    return statuses.length ? statuses.reduce(worstStepStatus) : undefined;
+  });
+}
+
+/**
+ * Find the scenario that owns a given line: the scenario line itself, or an
+ * Examples row further down in a Scenario Outline (the row's own scenario
+ * when examples were synced as rows).
+ */
+function findScenarioByLine(scenarios, line) {
+  let found = null;
+  for (const scenario of scenarios) {
+    if (scenario.line > line) {
+      break;
+    }
+    found = scenario;
+  }
+  return found;
+}
+
+function getCucumberIds(name, tagNames, idPatterns) {
+  let tcId = extractTestCaseIdFromMarker(name, idPatterns);
+  let configId = extractConfigIdFromText(name, idPatterns);
+  for (const tagName of tagNames) {
+    const tagConfigId = extractConfigIdFromText(tagName, idPatterns);
+    if (tagConfigId) {
+      configId = configId || tagConfigId;
+      continue;
+    }
+    tcId = tcId || extractTestCaseIdFromMarker(tagName, idPatterns);
+  }
+  return { tcId, configId };
+}
+
+/**
+ * Build one scenario result. `ownSteps` are the scenario's own steps
+ * (background and hooks excluded) and line up with the steps `tc sync` sent;
+ * `hookStates` only influence the overall status.
+ */
+function buildCucumberScenario({ title, featureName, uri, line, attempt, tagNames, scenario, ownSteps, hookStates, durationSeconds, idPatterns }) {
+  const stepStates = ownSteps.map(step => step.state);
+  let state = SYSTEM_STATUS.PASSED;
+  if (stepStates.includes(SYSTEM_STATUS.FAILED) || hookStates.includes(SYSTEM_STATUS.FAILED)) {
+    state = SYSTEM_STATUS.FAILED;
+  } else if (stepStates.some(stepState => stepState !== SYSTEM_STATUS.PASSED)) {
+    state = SYSTEM_STATUS.SKIPPED;
+  }
+
+  // The first step that did not pass tells why (ambiguous, pending, undefined, ...)
+  const outcome = ownSteps.find(step => step.state === state && state !== SYSTEM_STATUS.PASSED)?.outcome;
+
+  const failedStep = ownSteps.find(step => step.state === SYSTEM_STATUS.FAILED && step.error);
+  const errDetails = failedStep
+    ? `${failedStep.text}\n${failedStep.error}`.trim()
+    : (ownSteps.find(step => step.error)?.error || null);
+
+  const { tcId, configId } = getCucumberIds(title, tagNames, idPatterns);
+  const suite = featureName || normalizeFeatureUri(uri) || 'Cucumber Features';
+
+  return {
+    title: title || '(Unnamed scenario)',
+    suite,
+    suitePath: [suite],
+    tcId: tcId || null,
+    configId: configId ? String(configId) : '0',
+    status: toRunStatus(state),
+    errDetails,
+    duration: durationSecondsToSeconds(durationSeconds),
+    scenarioHash: scenario ? scenario.hash : null,
+    stepResults: groupStepResults(stepStates.map(toRunStatus), scenario?.stepGroups),
+    ...withOutcome(outcome, state),
+    ...withFailureDetails(state, {
+      message: String(failedStep?.error || '').split('\n')[0],
+      file: normalizeFeatureUri(uri),
+      line,
+      retries: attempt
+    })
+  };
+}
+
+/**
+ * Scenario Outline rows synced as one case (--examples table) all map to the
+ * same test case, so fold them into a single result: any failure wins,
+ * durations add up and each step keeps its worst status across rows.
+ */
+function mergeCucumberScenarios(scenarios) {
+  const merged = [];
+  const byHash = new Map();
+
+  for (const scenario of scenarios) {
+    const existing = scenario.scenarioHash ? byHash.get(scenario.scenarioHash) : null;
+    if (!existing) {
+      merged.push(scenario);
+      if (scenario.scenarioHash) {
+        byHash.set(scenario.scenarioHash, scenario);
+      }
+      continue;
+    }
+    if (worstStepStatus(existing.status, scenario.status) !== existing.status) {
+      existing.status = scenario.status;
+      delete existing.outcome;
+      Object.assign(existing, withOutcome(scenario.outcome));
+    }
+    existing.duration += scenario.duration;
+    existing.errDetails = [existing.errDetails, scenario.errDetails].filter(Boolean).join('\n\n') || null;
+    existing.tcId = existing.tcId || scenario.tcId;
+    if (!existing.failure && scenario.failure) {
+      existing.failure = scenario.failure;
+    }
+    existing.stepResults = existing.stepResults.map((status, index) => worstStepStatus(status, scenario.stepResults[index]));
+  }
+
+  return merged;
+}
+
+function parseCucumberJson(elementsByFeature, readFeatureFile, parseOptions, idPatterns) {
+  const scenarios = [];
+
+  elementsByFeature.forEach((feature) => {
+    const uri = normalizeFeatureUri(feature?.uri);
+    const syncedScenarios = getSyncedScenarios(readFeatureFile(uri), uri, parseOptions);
+    const elements = Array.isArray(feature?.elements) ? feature.elements : [];
+
+    elements.forEach((element) => {
+      // Cucumber-JVM emits backgrounds as their own elements.
+      if (!element || String(element.type || '').toLowerCase() === 'background') {
+        return;
+      }
+
+      const elementLine = Number(element.line);
+      const scenario = Number.isFinite(elementLine) ? findScenarioByLine(syncedScenarios, elementLine) : null;
+
+      const allSteps = Array.isArray(element.steps) ? element.steps : [];
+      const isHook = step => step.hidden === true || /^(before|after)$/i.test(String(step.keyword || '').trim());
+      const hookStates = [
+        ...(element.before || []),
+        ...(element.after || []),
+        ...allSteps.filter(isHook)
+      ].map(hook => getCucumberStepState(hook?.result?.status));
+
+      let visibleSteps = allSteps.filter(step => !isHook(step));
+      // cucumber-js inlines background steps ahead of the scenario's own steps.
+      if (scenario) {
+        visibleSteps = visibleSteps.slice(Math.max(0, visibleSteps.length - getGherkinStepCount(scenario)));
+      } else if (Number.isFinite(elementLine)) {
+        const afterScenarioLine = visibleSteps.filter(step => !(Number(step.line) < elementLine));
+        visibleSteps = afterScenarioLine.length ? afterScenarioLine : visibleSteps;
+      }
+
+      const ownSteps = visibleSteps.map(step => ({
+        text: `${step.keyword || ''}${step.name || ''}`.trim(),
+        state: getCucumberStepState(step?.result?.status),
+        outcome: String(step?.result?.status || '').toLowerCase(),
+        error: String(step?.result?.error_message || '').trim()
+      }));
+
+      const durationNanos = [...allSteps, ...(element.before || []), ...(element.after || [])]
+        .reduce((total, step) => total + (Number(step?.result?.duration) || 0), 0);
+
+      scenarios.push(buildCucumberScenario({
+        title: element.name,
+        featureName: feature.name,
+        uri,
+        line: elementLine,
+        tagNames: (element.tags || []).map(tag => String(tag?.name || '')),
+        scenario,
+        ownSteps,
+        hookStates,
+        durationSeconds: durationNanos / 1e9,
+        idPatterns
+      }));
+    });
+  });
+
+  return scenarios;
+}
+
+function parseCucumberMessages(ndjsonContent, readFeatureFile, parseOptions, idPatterns) {
+  const sources = {};
+  const documents = {};
+  const pickles = {};
+  const testCases = {};
+  const attempts = {};
+  const stepResults = {};
+
+  ndjsonContent.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) {
+      return;
+    }
+    let envelope;
+    try {
+      envelope = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Invalid Cucumber message on line ${index + 1}: ${error?.message || String(error)}`);
+    }
+
+    if (envelope.source) {
+      sources[envelope.source.uri] = envelope.source.data;
+    } else if (envelope.gherkinDocument) {
+      documents[envelope.gherkinDocument.uri] = envelope.gherkinDocument;
+    } else if (envelope.pickle) {
+      pickles[envelope.pickle.id] = envelope.pickle;
+    } else if (envelope.testCase) {
+      testCases[envelope.testCase.id] = envelope.testCase;
+    } else if (envelope.testCaseStarted) {
+      const started = envelope.testCaseStarted;
+      const previous = attempts[started.testCaseId];
+      // Retried scenarios: the last attempt decides the result.
+      if (!previous || Number(started.attempt || 0) >= previous.attempt) {
+        attempts[started.testCaseId] = { id: started.id, attempt: Number(started.attempt || 0) };
+      }
+    } else if (envelope.testStepFinished) {
+      const finished = envelope.testStepFinished;
+      stepResults[finished.testCaseStartedId] = stepResults[finished.testCaseStartedId] || {};
+      stepResults[finished.testCaseStartedId][finished.testStepId] = finished.testStepResult || {};
+    }
+  });
+
+  // Index AST nodes (scenarios and their step IDs, Examples rows) from each
+  // gherkinDocument.
+  const scenarioNodes = {};
+  const exampleRowLines = {};
+  Object.values(documents).forEach((document) => {
+    const children = document?.feature?.children || [];
+    const visit = (child) => {
+      if (child.scenario) {
+        scenarioNodes[child.scenario.id] = {
+          uri: document.uri,
+          featureName: document.feature.name,
+          line: child.scenario.location?.line,
+          stepIds: new Set((child.scenario.steps || []).map(step => step.id))
+        };
+        (child.scenario.examples || []).forEach((examplesNode) => {
+          (examplesNode.tableBody || []).forEach((row) => {
+            exampleRowLines[row.id] = row.location?.line;
+          });
+        });
+      } else if (child.rule) {
+        (child.rule.children || []).forEach(visit);
+      }
+    };
+    children.forEach(visit);
+  });
+
+  const syncedScenariosByUri = {};
+  const getScenariosForUri = (uri) => {
+    if (!syncedScenariosByUri[uri]) {
+      const source = sources[uri] !== undefined ? sources[uri] : readFeatureFile(normalizeFeatureUri(uri));
+      syncedScenariosByUri[uri] = getSyncedScenarios(source, normalizeFeatureUri(uri), parseOptions);
+    }
+    return syncedScenariosByUri[uri];
+  };
+
+  const scenarios = [];
+  Object.values(testCases).forEach((testCase) => {
+    const pickle = pickles[testCase.pickleId];
+    const attempt = attempts[testCase.id];
+    if (!pickle || !attempt) {
+      return;
+    }
+
+    const node = scenarioNodes[(pickle.astNodeIds || [])[0]] || null;
+    const pickleStepsById = {};
+    (pickle.steps || []).forEach((step) => {
+      pickleStepsById[step.id] = step;
+    });
+
+    const results = stepResults[attempt.id] || {};
+    const hookStates = [];
+    const ownSteps = [];
+    let durationSeconds = 0;
+
+    (testCase.testSteps || []).forEach((testStep) => {
+      const result = results[testStep.id] || {};
+      const state = getCucumberStepState(result.status);
+      durationSeconds += Number(result.duration?.seconds || 0) + (Number(result.duration?.nanos || 0) / 1e9);
+
+      const pickleStep = testStep.pickleStepId ? pickleStepsById[testStep.pickleStepId] : null;
+      if (!pickleStep) {
+        hookStates.push(state);
+        return;
+      }
+      // Background steps are part of the pickle but not of the synced case.
+      if (node && !node.stepIds.has((pickleStep.astNodeIds || [])[0])) {
+        if (state === SYSTEM_STATUS.FAILED) {
+          hookStates.push(state);
+        }
+        return;
+      }
+      ownSteps.push({
+        text: pickleStep.text,
+        state,
+        outcome: String(result.status || '').toLowerCase(),
+        error: String(result.message || result.exception?.message || '').trim()
+      });
+    });
+
+    const uri = pickle.uri || node?.uri;
+    // Outline pickles point at their Examples row after the scenario.
+    const rowLine = exampleRowLines[(pickle.astNodeIds || [])[1]];
+    let scenario = null;
+    if (node && Number.isFinite(node.line)) {
+      const syncedScenarios = getScenariosForUri(uri);
+      scenario = (rowLine && syncedScenarios.find(s => s.line === rowLine))
+        || syncedScenarios.find(s => s.line === node.line)
+        || null;
+    }
+
+    scenarios.push(buildCucumberScenario({
+      title: pickle.name,
+      featureName: node?.featureName,
+      uri,
+      line: rowLine || node?.line,
+      attempt: attempt.attempt,
+      tagNames: (pickle.tags || []).map(tag => String(tag?.name || '')),
+      scenario,
+      ownSteps,
+      hookStates,
+      durationSeconds,
+      idPatterns
+    }));
+  });
+
+  return scenarios;
+}
+
+/**
+ * Parse Cucumber results — either the classic Cucumber JSON report (array of
+ * features) or the @cucumber/messages NDJSON stream.
+ *
+ * Scenarios are keyed by the same scenario hash `tc sync` computes, so they
+ * can be matched to synced test cases without any TC-123 annotation. The
+ * `.feature` sources come from the message stream when available, otherwise
+ * from `readFeatureFile(uri)`. `examples` and `steps` are the --examples and
+ * --steps modes the features were synced with.
+ */
+export function parseCucumberReport(content, { readFeatureFile = () => null, examples = 'table', steps = 'flat', idPatterns = NO_ID_PATTERNS } = {}) {
+  if (!content || typeof content !== 'string') {
+    throw new Error('Cucumber result content is empty or invalid');
+  }
+
+  const trimmed = content.replace(/^\uFEFF/, '').trim();
+  let scenarios;
+  if (trimmed.startsWith('[')) {
+    let features;
+    try {
+      features = JSON.parse(trimmed);
+    } catch (error) {
+      throw new Error(`Invalid Cucumber JSON: ${error?.message || String(error)}`);
+    }
+    scenarios = parseCucumberJson(features, readFeatureFile, { examples, steps }, idPatterns);
+  } else {
+    scenarios = parseCucumberMessages(trimmed, readFeatureFile, { examples, steps }, idPatterns);
+  }
+
+  const allTests = mergeCucumberScenarios(scenarios);
+  if (!allTests.length) {
+    throw new Error('No scenarios were found in the provided Cucumber results');
+  }
+
+  const stats = { tests: allTests.length, passes: 0, failures: 0, skipped: 0 };
+  allTests.forEach((test) => {
+    if (test.status === RUN_RESULT_MAP.pass) {
+      stats.passes += 1;
+    } else if (test.status === RUN_RESULT_MAP.fail) {
+      stats.failures += 1;
+    } else {
+      stats.skipped += 1;
+    }
+  });
+
+  return {
+    format: 'cucumber',
+    hasConfig: allTests.some(test => test.configId !== '0'),
+    resultsToUpload: buildResultsToUpload(allTests),
+    allTests,
+    stats,
+    unresolvedIds: unique(allTests.filter(test => !test.tcId).map(test => test.title))
+  };
+}
+
+function stripAnsi(value) {
+  return String(value || '').replace(/\u001b\[[0-9;]*m/g, '');
+}
+
+const PLAYWRIGHT_RESULT_STATES = {
+  passed: SYSTEM_STATUS.PASSED,
+  failed: SYSTEM_STATUS.FAILED,
+  timedOut: SYSTEM_STATUS.FAILED,
+  interrupted: SYSTEM_STATUS.FAILED,
+  skipped: SYSTEM_STATUS.SKIPPED
+};
+
+function getPlaywrightErrorText(result) {
+  const errors = Array.isArray(result?.errors) && result.errors.length
+    ? result.errors
+    : (result?.error ? [result.error] : []);
+  return errors
+    .map(error => stripAnsi(error?.stack || error?.message || error?.value || '').trim())
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+/**
+ * Reduce a Playwright test (one spec in one project, possibly retried) to a
+ * single outcome. A test that failed and then passed on retry is reported
+ * as passed, with a comment noting it was flaky.
+ */
+function getPlaywrightOutcome(test) {
+  const results = Array.isArray(test?.results) ? [...test.results] : [];
+  results.sort((a, b) => Number(a?.retry || 0) - Number(b?.retry || 0));
+  const finalResult = results.length ? results[results.length - 1] : null;
+  const failedAttempts = results.filter(result => PLAYWRIGHT_RESULT_STATES[result?.status] === SYSTEM_STATUS.FAILED);
+
+  let state;
+  if (test?.status === 'skipped' || !finalResult) {
+    state = SYSTEM_STATUS.SKIPPED;
+  } else if (test?.status === 'unexpected') {
+    state = SYSTEM_STATUS.FAILED;
+  } else if (test?.status === 'expected' || test?.status === 'flaky') {
+    // "expected" also covers test.fail() tests that failed as intended.
+    state = finalResult.status === 'skipped' ? SYSTEM_STATUS.SKIPPED : SYSTEM_STATUS.PASSED;
+  } else {
+    state = PLAYWRIGHT_RESULT_STATES[finalResult.status] || SYSTEM_STATUS.SKIPPED;
+  }
+
+  let comment = null;
+  if (state === SYSTEM_STATUS.PASSED && failedAttempts.length) {
+    const lastError = getPlaywrightErrorText(failedAttempts[failedAttempts.length - 1]);
+    comment = `Flaky: failed ${failedAttempts.length} time(s) before passing on retry #${finalResult.retry || results.length - 1}.`;
+    if (lastError) {
+      comment += `\n\nLast failure:\n${lastError}`;
+    }
+  }
+
+  // Evidence from the final attempt, plus failed attempts so a flaky test
+  // keeps the screenshot of the failure it recovered from
+  const attachments = [];
+  [...failedAttempts, finalResult].forEach((result) => {
+    (Array.isArray(result?.attachments) ? result.attachments : []).forEach((attachment) => {
+      if (attachment?.path && !attachments.some(existing => existing.path === attachment.path)) {
+        attachments.push({
+          name: String(attachment.name || path.basename(attachment.path)),
+          path: String(attachment.path),
+          contentType: attachment.contentType || null
+        });
+      }
+    });
+  });
+
+  return {
+    state,
+    // timedOut, interrupted, or flaky for a test that passed on retry
+    outcome: test?.status === 'flaky' && state === SYSTEM_STATUS.PASSED ? 'flaky' : finalResult?.status,
+    errDetails: state === SYSTEM_STATUS.FAILED ? (getPlaywrightErrorText(finalResult) || null) : null,
+    errorMessage: stripAnsi(finalResult?.error?.message || finalResult?.errors?.[0]?.message || ''),
+    retries: Number(finalResult?.retry) || 0,
+    duration: durationMsToSeconds(Number(finalResult?.duration)),
+    comment,
+    attachments
+  };
+}
+
+function collectPlaywrightSpecs(suite, parentSuitePath = []) {
+  const title = String(suite?.title || '').trim();
+  const suitePath = title ? [...parentSuitePath, title] : [...parentSuitePath];
+  const specs = (Array.isArray(suite?.specs) ? suite.specs : []).map(spec => ({ spec, suitePath }));
+  (Array.isArray(suite?.suites) ? suite.suites : []).forEach((childSuite) => {
+    specs.push(...collectPlaywrightSpecs(childSuite, suitePath));
+  });
+  return specs;
+}
+
+/**
+ * Parse Playwright's native JSON reporter output (`--reporter=json`).
+ *
+ * Each Playwright project maps to a TestCollab configuration the same way
+ * Mochawesome top-level suites do: a project named `config-id-<id>` reports
+ * into that configuration. When several projects land on the same
+ * configuration (e.g. chromium and firefox without config IDs), the results
+ * for a test are folded together and any failure wins.
+ */
+export function parsePlaywrightReport(payload, { mapping = null, idPatterns = NO_ID_PATTERNS } = {}) {
+  if (!payload || typeof payload !== 'object' || !Array.isArray(payload.suites)) {
+    throw new Error('Playwright JSON has no suites');
+  }
+
+  const allTests = [];
+  const byKey = new Map();
+
+  payload.suites.forEach((rootSuite) => {
+    collectPlaywrightSpecs(rootSuite).forEach(({ spec, suitePath }) => {
+      const title = String(spec?.title || '').trim() || '(Unnamed test case)';
+      const fullTitle = [...suitePath.slice(1), title].join(' ');
+      const tagNames = Array.isArray(spec?.tags) ? spec.tags.map(tag => String(tag)) : [];
+      const testKey = buildTestKey(spec?.file || suitePath[0], fullTitle);
+      let tcId = getMappedTestCaseId(mapping, testKey)
+        || extractTestCaseIdFromTitle(title, idPatterns)
+        || extractTestCaseIdFromMarker(fullTitle, idPatterns);
+      for (const tagName of tagNames) {
+        tcId = tcId || extractTestCaseIdFromMarker(tagName, idPatterns);
+      }
+
+      (Array.isArray(spec?.tests) ? spec.tests : []).forEach((test) => {
+        const projectName = String(test?.projectName || test?.projectId || '');
+        const configId = extractConfigIdFromText(projectName, idPatterns) || extractConfigIdFromText(title, idPatterns) || '0';
+        const outcome = getPlaywrightOutcome(test);
+        const status = toRunStatus(outcome.state);
+        const failure = withFailureDetails(outcome.state, {
+          message: outcome.errorMessage,
+          file: spec?.file,
+          line: spec?.line,
+          retries: outcome.retries
+        });
+
+        const key = [configId, tcId || '', suitePath.join('\x00'), title].join('\x01');
+        const existing = byKey.get(key);
+        if (existing) {
+          if (RUN_STATUS_SEVERITY[status] > RUN_STATUS_SEVERITY[existing.status]) {
+            existing.status = status;
+            existing.errDetails = outcome.errDetails;
+            delete existing.outcome;
+            Object.assign(existing, withOutcome(outcome.outcome, outcome.state), failure);
+          }
+          existing.duration = Math.max(existing.duration, outcome.duration);
+          outcome.attachments.forEach((attachment) => {
+            existing.attachments = existing.attachments || [];
+            if (!existing.attachments.some(item => item.path === attachment.path)) {
+              existing.attachments.push(attachment);
+            }
+          });
+          existing.comment = [existing.comment, outcome.comment && projectName ? `[${projectName}] ${outcome.comment}` : outcome.comment]
+            .filter(Boolean)
+            .join('\n\n') || null;
+          return;
+        }
+
+        const entry = {
+          title,
+          suite: suitePath.length ? suitePath[suitePath.length - 1] : '',
+          suitePath,
+          tcId: tcId || null,
+          testKey,
+          configId: String(configId),
+          status,
+          errDetails: outcome.errDetails,
+          duration: outcome.duration,
+          comment: outcome.comment && projectName ? `[${projectName}] ${outcome.comment}` : outcome.comment,
+          ...withAttachments(outcome.attachments),
+          ...withOutcome(outcome.outcome, outcome.state),
+          ...failure
+        };
+        byKey.set(key, entry);
+        allTests.push(entry);
+      });
+    });
+  });
+
+  if (!allTests.length) {
+    throw new Error('No tests were found in the provided Playwright JSON');
+  }
+
+  const stats = { tests: allTests.length, passes: 0, failures: 0, skipped: 0 };
+  allTests.forEach((test) => {
+    if (test.status === RUN_RESULT_MAP.pass) {
+      stats.passes += 1;
+    } else if (test.status === RUN_RESULT_MAP.fail) {
+      stats.failures += 1;
+    } else {
+      stats.skipped += 1;
+    }
+  });
+
+  return {
+    format: 'playwright',
+    hasConfig: allTests.some(test => test.configId !== '0'),
+    resultsToUpload: buildResultsToUpload(allTests),
+    allTests,
+    stats,
+    unresolvedIds: unique(allTests.filter(test => !test.tcId).map(test => test.title))
+  };
+}
+
+/**
+ * Fill in TC IDs for Cucumber scenarios by resolving their scenario hashes
+ * against the test cases created by `tc sync`.
+ */
+async function resolveCucumberScenarioIds({ apiKey, apiUrl, projectId, parsedReport, log = console.log }) {
+  const pendingTests = parsedReport.allTests.filter(test => !test.tcId && test.scenarioHash);
+  if (!pendingTests.length) {
+    return;
+  }
+
+  let resolved;
+  try {
+    resolved = await resolveIds(
+      projectId,
+      { features: [], scenarios: unique(pendingTests.map(test => test.scenarioHash)) },
+      getBaseApiUrl(apiUrl),
+      apiKey
+    );
+  } catch (error) {
+    console.warn(`⚠️  Could not resolve scenario hashes: ${error?.message || String(error)}`);
+    return;
+  }
+
+  let matchedCount = 0;
+  pendingTests.forEach((test) => {
+    const caseInfo = resolved.cases[test.scenarioHash];
+    if (caseInfo && caseInfo.caseId) {
+      test.tcId = String(caseInfo.caseId);
+      matchedCount += 1;
+    }
+  });
+  log(`ℹ️  Matched ${matchedCount} of ${pendingTests.length} scenario(s) to synced test cases by scenario hash`);
+
+  parsedReport.resultsToUpload = buildResultsToUpload(parsedReport.allTests);
+  parsedReport.unresolvedIds = unique(parsedReport.allTests.filter(test => !test.tcId).map(test => test.title));
+}
+
+const DEFAULT_UPLOAD_CONCURRENCY = 4;
+const DEFAULT_RETRY_OPTIONS = {
+  maxRetries: 4,
+  baseDelayMs: 1000,
+  maxDelayMs: 60000
+};
+
+/**
+ * A 429 was not processed, so it is always retried. A 5xx may have been
+ * processed before it failed, so it is only retried for idempotent requests
+ * (GET, PUT, or those that opt in) where repeating it cannot duplicate data.
+ */
+function isRetryableStatus(status, idempotent) {
+  return status === 429 || (idempotent && status >= 500 && status <= 599);
+}
+
+/**
+ * Delay in ms requested by a Retry-After header (delta-seconds or an
+ * HTTP date), or null when the header is absent or unparsable.
+ */
+function getRetryAfterMs(response) {
+  const header = response?.headers?.get ? response.headers.get('retry-after') : null;
+  if (header === null || header === undefined || String(header).trim() === '') {
+    return null;
+  }
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Run `worker` over `items` with at most `limit` calls in flight.
+ * Resolves once every item has been processed.
+ */
+async function runWithConcurrency(items, limit, worker) {
+  let nextIndex = 0;
+  const workerCount = Math.max(1, Math.min(Number(limit) || 1, items.length));
+  const workers = Array.from({ length: workerCount }, async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex;
+      nextIndex += 1;
+      await worker(items[index], index);
+    }
+  });
+  await Promise.all(workers);
+}
+
+const DEFAULT_JOURNAL_PATH = 'tmp/tc_report_journal.jsonl';
+const DEFAULT_MAX_ATTACHMENT_MB = 10;
+
+const ATTACHMENT_CONTENT_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.txt': 'text/plain',
+  '.log': 'text/plain',
+  '.json': 'application/json',
+  '.html': 'text/html',
+  '.xml': 'application/xml',
+  '.zip': 'application/zip'
+};
+
+function getAttachmentContentType(filePath) {
+  return ATTACHMENT_CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Local record of the work an upload has finished, so a rerun with
+ * --resume does not re-PUT results or post duplicate comments. It is only
+ * kept when --resume or --journal is given.
+ *
+ * The file is JSON Lines: the first line holds the scope (project, test
+ * plan and run; a journal written for a different run is ignored) and each
+ * finished step appends a line with the executed test case ID and the fields
+ * it set. A line torn by a killed run is skipped when the journal is read.
+ * The time_taken sent with the result is stored too, because the server
+ * value already includes it once the result PUT has gone through.
+ */
+class UploadJournal {
+  constructor(filePath, scope, entries = {}) {
+    this.filePath = filePath;
+    this.scope = scope;
+    this.entries = entries;
+  }
+
+  static open(filePath, scope, resume) {
+    if (resume && fs.existsSync(filePath)) {
+      try {
+        const saved = UploadJournal.read(filePath);
+        const sameScope = saved.scope
+          && Object.keys(scope).every(key => String(saved.scope[key]) === String(scope[key]));
+        if (sameScope) {
+          return new UploadJournal(filePath, scope, saved.entries);
+        }
+        console.warn(`⚠️  Upload journal ${filePath} belongs to a different project, test plan or run; starting over`);
+      } catch (error) {
+        console.warn(`⚠️  Could not read upload journal ${filePath}: ${error?.message || String(error)}; starting over`);
+      }
+    } else if (resume) {
+      console.log(`ℹ️  No upload journal at ${filePath} yet; uploading every result`);
+    }
+
+    const journal = new UploadJournal(filePath, scope);
+    journal.create();
+    return journal;
+  }
+
+  static read(filePath) {
+    const [scopeLine, ...entryLines] = fs.readFileSync(filePath, 'utf8').split('\n');
+    const { scope } = JSON.parse(scopeLine);
+    const entries = {};
+    for (const line of entryLines) {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      const { id, ...fields } = entry;
+      entries[id] = { ...entries[id], ...fields };
+    }
+    return { scope: scope || null, entries };
+  }
+
+  /**
+   * Scope of the journal saved at filePath, or null when there is none.
+   */
+  static readScope(filePath) {
+    try {
+      return UploadJournal.read(filePath).scope;
+    } catch {
+      return null;
+    }
+  }
+
+  get(execCaseId) {
+    return this.entries[execCaseId] || {};
+  }
+
+  mark(execCaseId, fields) {
+    this.entries[execCaseId] = { ...this.get(execCaseId), ...fields };
+    fs.appendFileSync(this.filePath, `${JSON.stringify({ id: execCaseId, ...fields })}\n`);
+  }
+
+  create() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, `${JSON.stringify({ scope: this.scope })}\n`);
+  }
+
+  remove() {
+    if (fs.existsSync(this.filePath)) {
+      fs.unlinkSync(this.filePath);
+    }
   }
 }
 
 class TcApiClient {
-  constructor({ accessToken, projectId, testPlanId, baseApiUrl }) {
+  constructor({ accessToken, projectId, testPlanId, baseApiUrl, retry = {} }) {
     this.accessToken = String(accessToken);
     this.projectId = Number(projectId);
     this.testPlanId = Number(testPlanId);
     this.baseApiUrl = getBaseApiUrl(baseApiUrl);
+    this.retry = { ...DEFAULT_RETRY_OPTIONS, ...retry };
 
     this.project = null;
     this.user = null;
@@ -722,7 +2478,9 @@ class TcApiClient {
   async request(endpoint, options = {}) {
     const {
       method = 'GET',
-      body
+      body,
+      formData,
+      idempotent = method === 'GET' || method === 'PUT'
     } = options;
 
     const headers = {
@@ -734,16 +2492,38 @@ class TcApiClient {
       headers
     };
 
-    if (body !== undefined) {
+    if (formData !== undefined) {
+      // fetch sets the multipart Content-Type (with boundary) itself
+      requestOptions.body = formData;
+    } else if (body !== undefined) {
       headers['Content-Type'] = 'application/json';
       requestOptions.body = JSON.stringify(body);
     }
 
+    // 429 and (for idempotent requests) 5xx responses are retried with
+    // exponential backoff, waiting for Retry-After instead when the server
+    // sends it.
     let response;
-    try {
-      response = await fetch(this.buildUrl(endpoint), requestOptions);
-    } catch (error) {
-      throw new Error(`Failed to call ${endpoint}: ${error?.message || String(error)}`);
+    for (let attempt = 0; ; attempt += 1) {
+      try {
+        response = await fetch(this.buildUrl(endpoint), requestOptions);
+      } catch (error) {
+        throw new Error(`Failed to call ${endpoint}: ${error?.message || String(error)}`);
+      }
+
+      if (!isRetryableStatus(response.status, idempotent) || attempt >= this.retry.maxRetries) {
+        break;
+      }
+
+      const retryAfterMs = getRetryAfterMs(response);
+      const delayMs = Math.min(
+        retryAfterMs !== null ? retryAfterMs : this.retry.baseDelayMs * (2 ** attempt),
+        this.retry.maxDelayMs
+      );
+      console.warn(
+        `⚠️  HTTP ${response.status} from ${method} ${endpoint.split('?')[0]}, retrying in ${Math.ceil(delayMs / 1000)}s (${attempt + 1}/${this.retry.maxRetries})`
+      );
+      await sleep(delayMs);
     }
 
     const rawBody = await response.text();
@@ -866,6 +2646,26 @@ class TcApiClient {
     return null;
   }
 
+  /**
+   * Start a new run (regression) of the test plan, for --new-run. The new
+   * run becomes the one results are uploaded into.
+   */
+  async createTestplanRun() {
+    const resources = await this.request('/testplanregressions', {
+      method: 'POST',
+      body: {
+        project: this.projectId,
+        testplan: this.testPlanId
+      }
+    });
+    if (resources && resources.id) {
+      this.testPlanRun = resources;
+      return resources;
+    }
+
+    return null;
+  }
+
   async getTestplanConfigs() {
     if (Array.isArray(this.testPlanConfigs) && this.testPlanConfigs.length) {
       return this.testPlanConfigs;
@@ -890,8 +2690,56 @@ class TcApiClient {
     return [];
   }
 
-  async getAssignedCases(testPlanConfigId = null) {
-    if (!this.testPlanRun || !this.testPlanRun.id || !this.user || !this.user.id) {
+  /**
+   * The project's custom execution statuses, for --status-map. Only needed
+   * when a mapping names a custom status, so a failed lookup says so instead
+   * of failing the upload with a bare API error.
+   */
+  async getExecutionStatuses() {
+    const params = new URLSearchParams({
+      project: String(this.projectId),
+      _limit: '-1'
+    });
+    try {
+      const resources = await this.request(`/executionstatuses?${params.toString()}`);
+      return Array.isArray(resources) ? resources : [];
+    } catch (error) {
+      const status = error?.status ? ` (HTTP ${error.status})` : '';
+      error.message = `Custom status map could not be resolved: the project's execution statuses could not be loaded${status}: ${error.message}. `
+        + 'Map to pass, fail, skip, blocked, unexecuted or a numeric status ID instead';
+      throw error;
+    }
+  }
+
+  /**
+   * Look up a user by numeric ID or email, for --as-user. Returns null when
+   * there is no such user (a 404 or an empty result); other API errors are
+   * thrown.
+   */
+  async findUser(idOrEmail) {
+    const value = String(idOrEmail || '').trim();
+    if (/^\d+$/.test(value)) {
+      try {
+        const resources = await this.request(`/users/${value}`);
+        return resources && resources.id ? resources : null;
+      } catch (error) {
+        if (error?.status === 404) {
+          return null;
+        }
+        throw error;
+      }
+    }
+    const params = new URLSearchParams({ email: value, _limit: '1' });
+    const resources = await this.request(`/users?${params.toString()}`);
+    return Array.isArray(resources) && resources[0] && resources[0].id ? resources[0] : null;
+  }
+
+  /**
+   * Executed cases of the current run assigned to `assigneeId` (the API key
+   * owner by default), or to anyone when `assigneeId` is null.
+   */
+  async getAssignedCases(testPlanConfigId = null, assigneeId = this.user?.id) {
+    if (!this.testPlanRun || !this.testPlanRun.id || assigneeId === undefined) {
       return [];
     }
 
@@ -899,10 +2747,13 @@ class TcApiClient {
       project: String(this.projectId),
       test_plan: String(this.testPlanId),
       regression: String(this.testPlanRun.id),
-      assigned_to: String(this.user.id),
       _limit: '-1'
     });
 
+    if (assigneeId !== null) {
+      params.set('assigned_to', String(assigneeId));
+    }
+
     if (testPlanConfigId && String(testPlanConfigId) !== '0') {
       params.set('test_plan_config', String(testPlanConfigId));
     }
@@ -963,11 +2814,55 @@ class TcApiClient {
     }
   }
 
+  /**
+   * Attach a local file to an executed test case through the API's upload
+   * endpoint (multipart `files`, linked via ref/refId/field).
+   */
+  async uploadAttachment(executedTestCaseId, { filePath, name, contentType }) {
+    try {
+      const formData = new FormData();
+      const fileBlob = new Blob([fs.readFileSync(filePath)], {
+        type: contentType || getAttachmentContentType(filePath)
+      });
+      formData.append('files', fileBlob, name || path.basename(filePath));
+      formData.append('ref', 'executedtestcase');
+      formData.append('refId', String(executedTestCaseId));
+      formData.append('field', 'attachments');
+
+      const uploadResult = await this.request('/upload', {
+        method: 'POST',
+        formData
+      });
+      return Boolean(uploadResult);
+    } catch {
+      return false;
+    }
+  }
+
+  async updateTestplanDescription(description) {
+    try {
+      const updateResult = await this.request(`/testplans/${this.testPlanId}`, {
+        method: 'PUT',
+        body: { description }
+      });
+      if (updateResult && updateResult.id) {
+        this.testPlan = { ...this.testPlan, description };
+        return true;
+      }
+    } catch {
+      return false;
+    }
+
+    return false;
+  }
+
   async bulkSkipTestCases(data) {
     try {
+      // Skipping the same cases again changes nothing, so 5xx are retried
       const result = await this.request('/testplantestcases/bulkAction', {
         method: 'POST',
-        body: data
+        body: data,
+        idempotent: true
       });
       return result;
     } catch {
@@ -976,6 +2871,62 @@ class TcApiClient {
   }
 }
 
+function isConfigSelector(configId) {
+  return Boolean(configId) && !/^\d+$/.test(String(configId));
+}
+
+/**
+ * Whether a test plan configuration has every parameter value in a
+ * selector: `browser=chrome,os=linux` compares field and value, a bare
+ * `chrome` only the value (both case-insensitive).
+ */
+function configMatchesSelector(config, selector) {
+  const parameters = Array.isArray(config?.parameters) ? config.parameters : [];
+  const normalize = value => String(value ?? '').trim().toLowerCase();
+  return String(selector)
+    .split(',')
+    .map(term => term.trim())
+    .filter(Boolean)
+    .every((term) => {
+      const separator = term.indexOf('=');
+      const field = separator >= 0 ? normalize(term.slice(0, separator)) : null;
+      const value = normalize(separator >= 0 ? term.slice(separator + 1) : term);
+      return parameters.some(parameter =>
+        normalize(parameter?.value) === value
+        && (field === null || normalize(parameter?.field ?? parameter?.name) === field)
+      );
+    });
+}
+
+/**
+ * Re-key results whose configuration was given by parameter values onto
+ * the ID of the one test plan configuration they match. Selectors that
+ * match no configuration, or several, are left as they are (their results
+ * end up unmatched).
+ */
+export function resolveConfigSelectors(resultsToUpload, testPlanConfigs) {
+  const configs = Array.isArray(testPlanConfigs) ? testPlanConfigs : [];
+  const resolved = {};
+  const unresolved = [];
+  const rekeyed = {};
+
+  Object.entries(resultsToUpload || {}).forEach(([configId, records]) => {
+    let targetId = configId;
+    if (isConfigSelector(configId)) {
+      const matches = configs.filter(config => configMatchesSelector(config, configId));
+      if (matches.length === 1) {
+        targetId = String(matches[0].id);
+        resolved[configId] = targetId;
+      } else {
+        unresolved.push({ selector: configId, matches: matches.map(config => config.id) });
+      }
+    }
+    rekeyed[targetId] = [...(rekeyed[targetId] || []), ...(records || [])];
+  });
+
+  return { resultsToUpload: rekeyed, resolved, unresolved };
+}
+
 function findMatchingExecutedCase(casesAssigned, runRecord, hasConfig, configId) {
   const targetCaseId = String(runRecord.tcId);
   if (hasConfig && configId && String(configId) !== '0') {
@@ -1017,16 +2968,232 @@ function buildUpdatePayload({ execCase, projectId, testPlanId, runRecord, config
   }
 
   if (Array.isArray(execCase?.test_case_revision?.steps) && execCase.test_case_revision.steps.length) {
-    payload.step_wise_result = execCase.test_case_revision.steps.map((step) => ({
+    // Formats with per-step results (Cucumber) report each step individually;
+    // everything else applies the test's overall status to every step.
+    const stepResults = Array.isArray(runRecord.stepResults) ? runRecord.stepResults : [];
+    payload.step_wise_result = execCase.test_case_revision.steps.map((step, index) => ({
       ...step,
-      status: runRecord.status
+      status: stepResults[index] !== undefined ? stepResults[index] : runRecord.status
     }));
   }
 
   return payload;
 }
 
-async function uploadUsingReporterFlow({
+// Config ID of an executed case, '0' when the plan has no configurations
+function getExecutedCaseConfigId(execCase) {
+  const config = execCase?.test_plan_config;
+  return config && typeof config === 'object'
+    ? String(config.id)
+    : config ? String(config) : '0';
+}
+
+function getExecutedCaseSuiteId(execCase) {
+  const suite = execCase?.test_case_revision?.suite ?? execCase?.test_plan_test_case?.suite;
+  const suiteId = suite && typeof suite === 'object' ? suite.id : suite;
+  return suiteId === undefined || suiteId === null ? null : String(suiteId);
+}
+
+function getExecutedCaseTags(execCase) {
+  const tags = execCase?.test_case_revision?.tags ?? execCase?.test_plan_test_case?.tags;
+  return (Array.isArray(tags) ? tags : [])
+    .map(tag => (tag && typeof tag === 'object' ? tag.id ?? tag.name : tag))
+    .filter(tag => tag !== undefined && tag !== null)
+    .map(String);
+}
+
+// What --missing-as can mark unmatched cases as, with the label it is shown with
+const MISSING_AS_STATUSES = {
+  skip: { status: RUN_RESULT_MAP.skip, label: 'skipped' },
+  skipped: { status: RUN_RESULT_MAP.skip, label: 'skipped' },
+  block: { status: RUN_RESULT_MAP.block, label: 'blocked' },
+  blocked: { status: RUN_RESULT_MAP.block, label: 'blocked' },
+  unexecuted: { status: RUN_RESULT_MAP.unexecuted, label: 'unexecuted' },
+  fail: { status: RUN_RESULT_MAP.fail, label: 'failed' },
+  failed: { status: RUN_RESULT_MAP.fail, label: 'failed' }
+};
+
+// Dimensions --missing-scope can limit --skip-missing to
+const MISSING_SCOPES = {
+  suite: 'suite',
+  suites: 'suite',
+  tag: 'tag',
+  tags: 'tag',
+  config: 'config',
+  configs: 'config',
+  configuration: 'config',
+  configurations: 'config'
+};
+
+/**
+ * Parse --missing-as into { status, label }; defaults to skipped.
+ */
+export function parseMissingAs(value = 'skip') {
+  const missingAs = MISSING_AS_STATUSES[String(value).trim().toLowerCase()];
+  if (!missingAs) {
+    throw new Error(`Invalid --missing-as "${value}": use skip, blocked, unexecuted or fail`);
+  }
+  return missingAs;
+}
+
+/**
+ * Parse --missing-scope values ("suite,tag", or repeated) into a list of
+ * `suite`, `tag` and `config`.
+ */
+export function parseMissingScope(values) {
+  return unique([].concat(values || [])
+    .flatMap(value => String(value).split(','))
+    .map(value => value.trim().toLowerCase())
+    .filter(Boolean)
+    .map((value) => {
+      if (!MISSING_SCOPES[value]) {
+        throw new Error(`Invalid --missing-scope "${value}": use suite, tag or config`);
+      }
+      return MISSING_SCOPES[value];
+    }));
+}
+
+/**
+ * The assigned cases --skip-missing applies to: those no result matched,
+ * narrowed by --missing-scope to cases that share every chosen dimension
+ * (suite, tag, configuration) with a case the results did match. A case
+ * whose suite or tags are unknown is out of scope.
+ */
+export function selectMissingCases(casesAssigned, matchedExecCaseIds, missingScope = []) {
+  const assigned = (casesAssigned || []).filter(c => c && c.id);
+  const matchedCases = assigned.filter(c => matchedExecCaseIds.has(c.id));
+  const touched = {
+    suite: new Set(matchedCases.map(getExecutedCaseSuiteId).filter(Boolean)),
+    tag: new Set(matchedCases.flatMap(getExecutedCaseTags)),
+    config: new Set(matchedCases.map(getExecutedCaseConfigId))
+  };
+  return assigned
+    .filter(c => !matchedExecCaseIds.has(c.id))
+    .filter(c => (missingScope || []).every((dimension) => {
+      if (dimension === 'suite') {
+        return touched.suite.has(getExecutedCaseSuiteId(c));
+      }
+      if (dimension === 'tag') {
+        return getExecutedCaseTags(c).some(tag => touched.tag.has(tag));
+      }
+      return touched.config.has(getExecutedCaseConfigId(c));
+    }));
+}
+
+/**
+ * Group assigned cases that no result matched by config ID, as test case
+ * IDs. The bulkAction endpoint requires test_plan_config when configs
+ * exist, so --skip-missing makes one call per group.
+ */
+function groupMissingCasesByConfig(casesAssigned, matchedExecCaseIds) {
+  const missingByConfig = {};
+  for (const c of casesAssigned) {
+    if (!c || !c.id || matchedExecCaseIds.has(c.id)) {
+      continue;
+    }
+    const tptc = c.test_plan_test_case;
+    const testCaseId = tptc && typeof tptc === 'object' ? tptc.test_case : null;
+    if (testCaseId === null || testCaseId === undefined) {
+      continue;
+    }
+    const configId = getExecutedCaseConfigId(c);
+    if (!missingByConfig[configId]) {
+      missingByConfig[configId] = [];
+    }
+    missingByConfig[configId].push(testCaseId);
+  }
+  return missingByConfig;
+}
+
+function describeUser(user) {
+  if (!user || typeof user !== 'object') {
+    return user ? `user ${user}` : null;
+  }
+  const fullName = [user.firstName, user.lastName].filter(Boolean).join(' ');
+  return user.name || fullName || user.username || user.email || `user ${user.id}`;
+}
+
+// Who an executed case is assigned to; `assigned_to` is a user object or ID
+function describeAssignee(execCase) {
+  return describeUser(execCase?.assigned_to);
+}
+
+const RUN_STATUS_LABELS = Object.fromEntries(
+  Object.entries(RUN_RESULT_MAP).map(([label, value]) => [value, label])
+);
+
+/**
+ * HTML comment to post on the executed case: a failure comment for a result
+ * that did not pass or get skipped (failed, blocked, or a custom status from
+ * --status-map) and has error details, otherwise the result's own note, if
+ * any. See utils/resultComment.js.
+ */
+export function getResultComment(result, buildMetadata = null) {
+  const withoutError = [RUN_RESULT_MAP.pass, RUN_RESULT_MAP.skip, RUN_RESULT_MAP.unexecuted];
+  if (!withoutError.includes(result.status) && result.errDetails) {
+    return formatFailureComment(result, { buildMetadata });
+  }
+  return formatNoteComment(result.comment) || null;
+}
+
+/**
+ * Work out what the reporter flow would do with these results, without
+ * calling the API: which executed case each result updates, which results
+ * match nothing, and what --skip-missing would skip.
+ */
+export function buildUploadPlan({
+  casesAssigned,
+  resultsToUpload,
+  hasConfig,
+  unresolvedIds,
+  skipMissing = false,
+  missingAs = 'skip',
+  missingScope = []
+}) {
+  const results = [];
+  const unmatched = [];
+  const matchedExecCaseIds = new Set();
+
+  Object.entries(resultsToUpload || {}).forEach(([configId, records]) => {
+    (records || []).forEach((runRecord) => {
+      if (!runRecord || !runRecord.tcId) {
+        return;
+      }
+      const execCase = findMatchingExecutedCase(casesAssigned, runRecord, hasConfig, configId);
+      if (!execCase || !execCase.id) {
+        unmatched.push({ tcId: String(runRecord.tcId), configId, title: runRecord.title || '' });
+        return;
+      }
+      matchedExecCaseIds.add(execCase.id);
+      results.push({
+        tcId: String(runRecord.tcId),
+        configId,
+        title: runRecord.title || '',
+        executedCaseId: execCase.id,
+        status: RUN_STATUS_LABELS[runRecord.status] || String(runRecord.status),
+        comment: Boolean(getResultComment(runRecord)),
+        attachments: Array.isArray(runRecord.attachments) ? runRecord.attachments.length : 0,
+        assignee: describeAssignee(execCase)
+      });
+    });
+  });
+
+  const missingCases = selectMissingCases(casesAssigned, matchedExecCaseIds, missingScope);
+  const skipped = skipMissing
+    ? Object.entries(groupMissingCasesByConfig(missingCases, matchedExecCaseIds))
+      .map(([configId, testCaseIds]) => ({ configId, testCaseIds }))
+    : [];
+
+  return {
+    results,
+    unmatched,
+    unresolved: unique(unresolvedIds || []),
+    skipMissing: skipped,
+    missingAs: parseMissingAs(missingAs).label
+  };
+}
+
+export async function uploadUsingReporterFlow({
   apiKey,
   projectId,
   testPlanId,
@@ -1034,13 +3201,29 @@ async function uploadUsingReporterFlow({
   hasConfig,
   resultsToUpload,
   unresolvedIds,
-  skipMissing = false
+  skipMissing = false,
+  concurrency = DEFAULT_UPLOAD_CONCURRENCY,
+  retry,
+  journalPath = null,
+  resume = false,
+  dryRun = false,
+  uploadAttachments = true,
+  maxAttachmentBytes = DEFAULT_MAX_ATTACHMENT_MB * 1024 * 1024,
+  buildMetadata = null,
+  recordBuild = false,
+  asUser = null,
+  anyAssignee = false,
+  newRun = false,
+  missingAs = 'skip',
+  missingScope = [],
+  log = console.log
 }) {
   const tcApiInstance = new TcApiClient({
     accessToken: apiKey,
     projectId,
     testPlanId,
-    baseApiUrl: apiUrl
+    baseApiUrl: apiUrl,
+    retry
   });
 
   const hasTokenExpired = await tcApiInstance.hasAccessTokenExpired();
@@ -1066,124 +3249,285 @@ async function uploadUsingReporterFlow({
     throw new Error('Testplan does not belong to project.');
   }
 
-  const testPlanRun = await tcApiInstance.getTestplanRunInfo();
-  if (!testPlanRun || !testPlanRun.id) {
+  let testPlanRun = await tcApiInstance.getTestplanRunInfo();
+  if (!newRun && (!testPlanRun || !testPlanRun.id)) {
     throw new Error('Run information not found.');
   }
 
-  await tcApiInstance.getTestplanConfigs();
+  // --new-run: upload into a fresh run instead of the latest one. A resumed
+  // upload continues in the run its journal was written for, as long as
+  // that is still the latest run, rather than starting yet another one.
+  if (newRun) {
+    const journalScope = resume && journalPath ? UploadJournal.readScope(toAbsolutePath(journalPath)) : null;
+    const resumesLatestRun = Boolean(testPlanRun && testPlanRun.id && journalScope
+      && String(journalScope.project) === String(projectId)
+      && String(journalScope.testPlan) === String(testPlanId)
+      && String(journalScope.run) === String(testPlanRun.id));
+    if (resumesLatestRun) {
+      log(`ℹ️  Resuming the upload into run ${testPlanRun.id} instead of starting a new run`);
+    } else if (dryRun) {
+      // Nothing is created, so cases are looked up in the latest run
+      if (!testPlanRun || !testPlanRun.id) {
+        throw new Error('Run information not found.');
+      }
+      log(`ℹ️  --new-run: a new run would be started; matching against the cases of run ${testPlanRun.id}`);
+    } else {
+      try {
+        testPlanRun = await tcApiInstance.createTestplanRun();
+      } catch (error) {
+        const status = error?.status ? ` (HTTP ${error.status})` : '';
+        error.message = `A new run could not be started on the test plan${status}: ${error.message}`;
+        throw error;
+      }
+      if (!testPlanRun || !testPlanRun.id) {
+        throw new Error('A new run could not be started on the test plan.');
+      }
+      log(`🆕 Started run ${testPlanRun.id} on test plan ${testPlanId}`);
+    }
+  }
+
+  const testPlanConfigs = await tcApiInstance.getTestplanConfigs();
+  if (hasConfig) {
+    const selectorResolution = resolveConfigSelectors(resultsToUpload, testPlanConfigs);
+    resultsToUpload = selectorResolution.resultsToUpload;
+    Object.entries(selectorResolution.resolved).forEach(([selector, configId]) => {
+      log(`ℹ️  Configuration "${selector}" resolved to config ${configId}`);
+    });
+    selectorResolution.unresolved.forEach(({ selector, matches }) => {
+      console.warn(matches.length
+        ? `⚠️  Configuration "${selector}" matches ${matches.length} test plan configurations (${matches.join(', ')}); results for it are not uploaded`
+        : `⚠️  No test plan configuration matches "${selector}"; results for it are not uploaded`);
+    });
+  }
 
   const userData = await tcApiInstance.getUserInfo();
   if (!userData || !userData.id) {
     throw new Error('User could not be fetched for this API key.');
   }
 
-  const casesAssigned = await tcApiInstance.getAssignedCases();
-  console.log({ 'Total assigned cases found': Array.isArray(casesAssigned) ? casesAssigned.length : 0 });
+  // Results match the API key owner's cases unless --as-user picks another
+  // assignee or --any-assignee drops the filter
+  let assigneeId = userData.id;
+  let assignedTo = 'you';
+  if (anyAssignee) {
+    assigneeId = null;
+    assignedTo = 'anyone';
+    log('ℹ️  Matching executed cases of every assignee');
+  } else if (asUser) {
+    const assignee = await tcApiInstance.findUser(asUser);
+    if (!assignee || !assignee.id) {
+      throw new Error(`User "${asUser}" could not be found.`);
+    }
+    assigneeId = assignee.id;
+    assignedTo = describeUser(assignee);
+    log(`ℹ️  Matching executed cases assigned to ${assignedTo} (user ${assignee.id})`);
+  }
+
+  const casesAssigned = await tcApiInstance.getAssignedCases(null, assigneeId);
+  log({ 'Total assigned cases found': Array.isArray(casesAssigned) ? casesAssigned.length : 0 });
+
+  if (dryRun) {
+    return {
+      testPlanId,
+      runId: testPlanRun.id,
+      build: buildMetadata,
+      recordBuild: Boolean(recordBuild && buildMetadata),
+      newRun: Boolean(newRun),
+      assignedTo,
+      ...buildUploadPlan({ casesAssigned, resultsToUpload, hasConfig, unresolvedIds, skipMissing, missingAs, missingScope })
+    };
+  }
+
+  // --record-build: link the plan back to the build; a no-op when the
+  // description already carries this build (e.g. a plan --auto-create just made)
+  if (buildMetadata && recordBuild) {
+    const description = applyBuildMetadataToDescription(testPlanData.description, buildMetadata);
+    if (description !== (testPlanData.description || '')) {
+      const descriptionUpdated = await tcApiInstance.updateTestplanDescription(description);
+      if (!descriptionUpdated) {
+        console.warn('⚠️  Could not record the CI build in the test plan description');
+      }
+    }
+  }
 
   const unmatchedCaseIds = new Set();
   const unmatchedConfigIds = new Set();
   const matchedExecCaseIds = new Set();
+  const updatedCases = [];
   let matched = 0;
   let updated = 0;
+  let resumed = 0;
   let errors = 0;
   let skippedMissing = 0;
+  let attachmentsUploaded = 0;
+  let attachmentsSkipped = 0;
 
-  const configIds = Object.keys(resultsToUpload);
+  const journal = journalPath
+    ? UploadJournal.open(toAbsolutePath(journalPath), { project: projectId, testPlan: testPlanId, run: testPlanRun.id }, resume)
+    : null;
 
-  for (const configId of configIds) {
+  // Each record costs up to three round trips (result PUT, comment POST,
+  // time-taken PUT), so records are processed by a small worker pool.
+  const tasks = [];
+  for (const configId of Object.keys(resultsToUpload)) {
     const records = Array.isArray(resultsToUpload[configId]) ? resultsToUpload[configId] : [];
-
     if (hasConfig) {
-      console.log('--------------------------------------------------------------------------');
-      console.log({ processing_for_config_id: configId });
+      log(`ℹ️  Config ${configId}: ${records.length} result(s) queued`);
     }
+    records.forEach(runRecord => tasks.push({ configId, runRecord }));
+  }
 
-    for (const runRecord of records) {
-      try {
-        console.log({ Processing: runRecord });
+  await runWithConcurrency(tasks, concurrency, async ({ configId, runRecord }) => {
+    try {
+      log({ Processing: runRecord });
 
-        if (!runRecord || !runRecord.tcId) {
-          continue;
-        }
+      if (!runRecord || !runRecord.tcId) {
+        return;
+      }
 
-        const execCase = findMatchingExecutedCase(casesAssigned, runRecord, hasConfig, configId);
-        if (!execCase || !execCase.id) {
-          if (hasConfig && String(configId) !== '0') {
-            unmatchedConfigIds.add(`${runRecord.tcId}:${configId}`);
-          } else {
-            unmatchedCaseIds.add(String(runRecord.tcId));
-          }
-          continue;
+      const execCase = findMatchingExecutedCase(casesAssigned, runRecord, hasConfig, configId);
+      if (!execCase || !execCase.id) {
+        if (hasConfig && String(configId) !== '0') {
+          unmatchedConfigIds.add(`${runRecord.tcId}:${configId}`);
+        } else {
+          unmatchedCaseIds.add(String(runRecord.tcId));
         }
+        return;
+      }
 
-        matched += 1;
-        matchedExecCaseIds.add(execCase.id);
+      matched += 1;
+      matchedExecCaseIds.add(execCase.id);
 
-        const updatePayload = buildUpdatePayload({
-          execCase,
-          projectId,
-          testPlanId,
-          runRecord,
-          configId,
-          hasConfig
-        });
+      const updatePayload = buildUpdatePayload({
+        execCase,
+        projectId,
+        testPlanId,
+        runRecord,
+        configId,
+        hasConfig
+      });
 
+      const done = journal ? journal.get(execCase.id) : {};
+      if (done.updated) {
+        resumed += 1;
+        if (done.timeTaken !== undefined) {
+          updatePayload.time_taken = done.timeTaken;
+        }
+      } else {
         const updateResult = await tcApiInstance.updateCaseRunResult(execCase.id, updatePayload);
         if (!updateResult || !updateResult.id) {
           errors += 1;
-          continue;
+          return;
         }
-
         updated += 1;
+        journal?.mark(execCase.id, { updated: true, timeTaken: updatePayload.time_taken });
+        updatedCases.push({
+          tcId: String(runRecord.tcId),
+          configId,
+          executedCaseId: execCase.id,
+          assignee: describeAssignee(execCase)
+        });
+      }
 
-        if (runRecord.status === RUN_RESULT_MAP.fail && runRecord.errDetails) {
-          await tcApiInstance.uploadCaseComments({
-            project: projectId,
-            executed_test_case: execCase.id,
-            mentions: [],
-            comment: encodeComment(runRecord.errDetails)
-          });
+      // Failures carry their error details; other results may carry a
+      // note of their own (e.g. Playwright flaky retries).
+      const comment = getResultComment(runRecord, buildMetadata);
+      if (comment && !done.commented) {
+        const commented = await tcApiInstance.uploadCaseComments({
+          project: projectId,
+          executed_test_case: execCase.id,
+          mentions: [],
+          comment
+        });
+        if (commented) {
+          journal?.mark(execCase.id, { commented: true });
         }
+      }
 
-        if (updatePayload.time_taken) {
-          await tcApiInstance.updateCaseTimeTaken(execCase.id, {
-            time_taken: updatePayload.time_taken,
-            project: projectId
-          });
+      const pendingAttachments = uploadAttachments && Array.isArray(runRecord.attachments)
+        ? runRecord.attachments.filter(attachment => !(done.attachments || []).includes(attachment.path))
+        : [];
+      for (const attachment of pendingAttachments) {
+        let fileSize;
+        try {
+          fileSize = fs.statSync(attachment.path).size;
+        } catch {
+          console.warn(`⚠️  Attachment not found for TC ${runRecord.tcId}: ${attachment.path}`);
+          attachmentsSkipped += 1;
+          continue;
+        }
+        if (fileSize > maxAttachmentBytes) {
+          console.warn(`⚠️  Attachment too large for TC ${runRecord.tcId} (${(fileSize / 1024 / 1024).toFixed(1)} MB): ${attachment.path}`);
+          attachmentsSkipped += 1;
+          continue;
+        }
+
+        const attached = await tcApiInstance.uploadAttachment(execCase.id, {
+          filePath: attachment.path,
+          name: attachment.name,
+          contentType: attachment.contentType
+        });
+        if (attached) {
+          attachmentsUploaded += 1;
+          if (journal) {
+            journal.mark(execCase.id, { attachments: [...(journal.get(execCase.id).attachments || []), attachment.path] });
+          }
+        } else {
+          console.warn(`⚠️  Attachment upload failed for TC ${runRecord.tcId}: ${attachment.path}`);
+          attachmentsSkipped += 1;
+        }
+      }
+
+      if (updatePayload.time_taken && !done.timeTakenUpdated) {
+        const timeUpdated = await tcApiInstance.updateCaseTimeTaken(execCase.id, {
+          time_taken: updatePayload.time_taken,
+          project: projectId
+        });
+        if (timeUpdated) {
+          journal?.mark(execCase.id, { timeTakenUpdated: true });
         }
-      } catch {
-        errors += 1;
       }
+    } catch {
+      errors += 1;
     }
-  }
+  });
 
-  // --skip-missing: mark all assigned cases not present in the result file as skipped
+  // --skip-missing: mark assigned cases not present in the result file as
+  // skipped, or as --missing-as says, within --missing-scope
+  const missingStatus = parseMissingAs(missingAs);
   if (skipMissing) {
-    const missingCases = casesAssigned.filter(
-      (assignedCase) => assignedCase && assignedCase.id && !matchedExecCaseIds.has(assignedCase.id)
-    );
-
-    if (missingCases.length) {
-      console.log(`\n⏭️  --skip-missing: marking ${missingCases.length} unmatched test case(s) as skipped...`);
+    const missingCases = selectMissingCases(casesAssigned, matchedExecCaseIds, missingScope);
+    if (missingScope.length) {
+      log(`ℹ️  --missing-scope ${missingScope.join(', ')}: ${missingCases.length} unmatched test case(s) in scope`);
+    }
 
-      // Group missing cases by config ID — the bulkAction endpoint requires
-      // test_plan_config when configs exist, so we need one call per config
-      const missingByConfig = {};
-      for (const c of missingCases) {
-        const tptc = c.test_plan_test_case;
-        const testCaseId = tptc && typeof tptc === 'object' ? tptc.test_case : null;
-        if (testCaseId === null || testCaseId === undefined) {
-          continue;
-        }
-        const configId = c.test_plan_config && typeof c.test_plan_config === 'object'
-          ? String(c.test_plan_config.id)
-          : c.test_plan_config ? String(c.test_plan_config) : '0';
-        if (!missingByConfig[configId]) {
-          missingByConfig[configId] = [];
+    if (missingCases.length && missingStatus.status !== RUN_RESULT_MAP.skip) {
+      log(`\n⏭️  --skip-missing: marking ${missingCases.length} unmatched test case(s) as ${missingStatus.label}...`);
+
+      // bulkAction only skips, so other statuses are set case by case
+      await runWithConcurrency(missingCases, concurrency, async (execCase) => {
+        try {
+          const updateResult = await tcApiInstance.updateCaseRunResult(execCase.id, buildUpdatePayload({
+            execCase,
+            projectId,
+            testPlanId,
+            runRecord: { status: missingStatus.status },
+            configId: getExecutedCaseConfigId(execCase),
+            hasConfig: true
+          }));
+          if (updateResult && updateResult.id) {
+            skippedMissing += 1;
+          } else {
+            errors += 1;
+          }
+        } catch {
+          errors += 1;
         }
-        missingByConfig[configId].push(testCaseId);
-      }
+      });
+    } else if (missingCases.length) {
+      log(`\n⏭️  --skip-missing: marking ${missingCases.length} unmatched test case(s) as skipped...`);
+
+      const missingByConfig = groupMissingCasesByConfig(missingCases, matchedExecCaseIds);
 
       for (const [configId, testCaseIds] of Object.entries(missingByConfig)) {
         if (!testCaseIds.length) {
@@ -1214,11 +3558,28 @@ async function uploadUsingReporterFlow({
     }
   }
 
+  // A clean run leaves nothing to resume; keep the journal only on errors
+  if (journal) {
+    if (errors) {
+      log(`ℹ️  Upload journal kept at ${journal.filePath}; rerun with --resume to finish the remaining cases`);
+    } else {
+      journal.remove();
+    }
+  }
+
   return {
+    testPlanId,
+    runId: testPlanRun.id,
     matched,
     updated,
+    resumed,
     errors,
     skippedMissing,
+    missingAs: missingStatus.label,
+    attachmentsUploaded,
+    attachmentsSkipped,
+    assignedTo,
+    updatedCases,
     unresolvedIds: unique(unresolvedIds || []),
     unmatchedCaseIds: unique([...unmatchedCaseIds]),
     unmatchedConfigIds: unique([...unmatchedConfigIds])
@@ -1261,8 +3622,25 @@ function validateRequiredOptions({ apiKey, project, testPlanId }) {
 function logUploadSummary(formatLabel, summary) {
   console.log(`✅ ${formatLabel} report processed (${summary.matched || 0} matched, ${summary.updated || 0} updated)`);
 
+  if (summary.attachmentsUploaded) {
+    console.log(`📎 ${summary.attachmentsUploaded} attachment(s) uploaded`);
+  }
+  if (summary.attachmentsSkipped) {
+    console.warn(`⚠️  ${summary.attachmentsSkipped} attachment(s) skipped (missing, too large or failed to upload)`);
+  }
+  if (summary.assignedTo && summary.assignedTo !== 'you' && summary.updatedCases?.length) {
+    const updatedByAssignee = {};
+    summary.updatedCases.forEach(({ assignee }) => {
+      const label = assignee || 'unassigned';
+      updatedByAssignee[label] = (updatedByAssignee[label] || 0) + 1;
+    });
+    console.log(`👤 Updated by assignee: ${Object.entries(updatedByAssignee).map(([label, count]) => `${label} (${count})`).join(', ')}`);
+  }
+  if (summary.resumed) {
+    console.log(`ℹ️  ${summary.resumed} testcase(s) were already updated by a previous run (--resume)`);
+  }
   if (summary.skippedMissing) {
-    console.log(`⏭️  ${summary.skippedMissing} test case(s) not in result file marked as skipped`);
+    console.log(`⏭️  ${summary.skippedMissing} test case(s) not in result file marked as ${summary.missingAs || 'skipped'}`);
   }
   if (summary.unresolvedIds?.length) {
     console.warn(`⚠️  ${summary.unresolvedIds.length} testcase(s) missing TestCollab ID`);
@@ -1278,14 +3656,334 @@ function logUploadSummary(formatLabel, summary) {
   }
 }
 
+// Exit codes for --fail-on-* / --max-failures. 1 stays reserved for
+// errors that stop the upload itself.
+const QUALITY_GATE_EXIT_CODES = {
+  uploadErrors: 3,
+  unmatched: 2,
+  maxFailures: 4
+};
+
+/**
+ * Check the finished upload against the quality-gate options. Returns one
+ * entry per failed gate, ordered by precedence: the first entry's exit code
+ * is the one the process exits with.
+ */
+export function evaluateQualityGates({ summary, stats, failOnUnmatched, failOnUploadErrors, maxFailures }) {
+  const failedGates = [];
+
+  if (failOnUploadErrors && summary.errors > 0) {
+    failedGates.push({
+      gate: 'fail-on-upload-errors',
+      exitCode: QUALITY_GATE_EXIT_CODES.uploadErrors,
+      message: `${summary.errors} testcase update(s) failed`
+    });
+  }
+
+  if (failOnUnmatched) {
+    const unmatchedCount = (summary.unresolvedIds || []).length
+      + (summary.unmatchedCaseIds || []).length
+      + (summary.unmatchedConfigIds || []).length;
+    if (unmatchedCount > 0) {
+      failedGates.push({
+        gate: 'fail-on-unmatched',
+        exitCode: QUALITY_GATE_EXIT_CODES.unmatched,
+        message: `${unmatchedCount} result(s) could not be matched to a test case in the test plan`
+      });
+    }
+  }
+
+  if (maxFailures !== undefined && maxFailures !== null && stats.failures > maxFailures) {
+    failedGates.push({
+      gate: 'max-failures',
+      exitCode: QUALITY_GATE_EXIT_CODES.maxFailures,
+      message: `${stats.failures} test(s) failed, more than the allowed ${maxFailures}`
+    });
+  }
+
+  return failedGates;
+}
+
+/**
+ * Machine-readable counterpart of logUploadSummary(), written by
+ * --output-json. Unmatched config pairs are split back into objects.
+ */
+export function buildJsonSummary({ summary, parsedReport, formats, resultFiles, created = [], failedGates = [], build = null }) {
+  return {
+    success: true,
+    testPlanId: summary.testPlanId,
+    runId: summary.runId,
+    formats,
+    resultFiles,
+    stats: parsedReport.stats,
+    matched: summary.matched || 0,
+    updated: summary.updated || 0,
+    resumed: summary.resumed || 0,
+    errors: summary.errors || 0,
+    skippedMissing: summary.skippedMissing || 0,
+    missingAs: summary.missingAs || 'skipped',
+    attachmentsUploaded: summary.attachmentsUploaded || 0,
+    attachmentsSkipped: summary.attachmentsSkipped || 0,
+    unresolvedTitles: summary.unresolvedIds || [],
+    updatedCases: summary.updatedCases || [],
+    unmatchedCaseIds: summary.unmatchedCaseIds || [],
+    unmatchedConfigPairs: (summary.unmatchedConfigIds || []).map((pair) => {
+      const [tcId, ...configParts] = String(pair).split(':');
+      return { tcId, configId: configParts.join(':') };
+    }),
+    created,
+    failedGates,
+    build
+  };
+}
+
+function writeAutoCreateRecord(record) {
+  try {
+    const absPath = toAbsolutePath(DEFAULT_AUTO_CREATE_RECORD_PATH);
+    fs.mkdirSync(path.dirname(absPath), { recursive: true });
+    fs.writeFileSync(absPath, `${JSON.stringify(record, null, 2)}\n`);
+  } catch {
+    // Non-fatal: only needed for `tc generateMapping`
+  }
+}
+
+function writeJsonSummary(filePath, data) {
+  try {
+    const absPath = toAbsolutePath(String(filePath));
+    fs.mkdirSync(path.dirname(absPath), { recursive: true });
+    fs.writeFileSync(absPath, `${JSON.stringify(data, null, 2)}\n`);
+    console.log(`ℹ️  Summary written to ${absPath}`);
+  } catch (error) {
+    console.warn(`⚠️  Could not write --output-json file: ${error?.message || String(error)}`);
+  }
+}
+
+const DRY_RUN_FORMATS = ['table', 'json'];
+
+function formatTable(headers, rows) {
+  const widths = headers.map((header, index) =>
+    Math.max(header.length, ...rows.map(row => String(row[index]).length))
+  );
+  const formatRow = row => `   ${row.map((cell, index) => String(cell).padEnd(widths[index])).join('  ')}`.trimEnd();
+  return [formatRow(headers), ...rows.map(formatRow)].join('\n');
+}
+
+function truncate(text, maxLength = 60) {
+  const value = String(text || '');
+  return value.length > maxLength ? `${value.slice(0, maxLength - 1)}…` : value;
+}
+
+/**
+ * Print the plan produced by --dry-run, either as JSON on stdout or as
+ * human-readable tables.
+ */
+function printDryRunPlan(plan, format) {
+  if (format === 'json') {
+    process.stdout.write(`${JSON.stringify(plan, null, 2)}\n`);
+    return;
+  }
+
+  let target = `test plan ${plan.testPlanId} (run ${plan.runId})`;
+  if (plan.mode === 'auto-create') {
+    target = 'a new auto-created test plan';
+  } else if (plan.newRun) {
+    target = `a new run of test plan ${plan.testPlanId} (cases looked up in run ${plan.runId})`;
+  }
+  console.log(`\n📋 Dry run: nothing was written to TestCollab. Planned actions for ${target}:`);
+  if (plan.build && (plan.mode === 'auto-create' || plan.recordBuild)) {
+    console.log(`\nCI build recorded in the test plan description: ${describeBuildMetadata(plan.build)}`);
+  }
+
+  if (plan.autoCreate.length) {
+    console.log('\nAuto-create');
+    console.log(formatTable(
+      ['Action', 'Type', 'Name'],
+      plan.autoCreate.map(item => [
+        item.action,
+        item.type,
+        truncate(item.id ? `#${item.id} ${item.name}` : (item.path ? item.path.join(' › ') : item.name), 80)
+      ])
+    ));
+  }
+
+  console.log(`\nResults to upload (${plan.results.length})`);
+  if (plan.results.length) {
+    console.log(formatTable(
+      ['TC ID', 'Config', 'Executed case', 'Status', 'Comment', 'Files', 'Assignee', 'Title'],
+      plan.results.map(item => [
+        item.tcId || 'new',
+        item.configId === '0' ? '-' : item.configId,
+        item.executedCaseId || '-',
+        item.status,
+        item.comment ? 'yes' : 'no',
+        item.attachments || '-',
+        truncate(item.assignee || '-', 20),
+        truncate(item.title)
+      ])
+    ));
+  }
+
+  if (plan.unmatched.length) {
+    console.log(`\nUnmatched results (${plan.unmatched.length}), not in the test plan${plan.assignedTo === 'anyone' ? '' : ` or not assigned to ${plan.assignedTo || 'you'}`}`);
+    console.log(formatTable(
+      ['TC ID', 'Config', 'Title'],
+      plan.unmatched.map(item => [item.tcId, item.configId === '0' ? '-' : item.configId, truncate(item.title)])
+    ));
+  }
+
+  if (plan.unresolved.length) {
+    console.log(`\nResults without a TC ID (${plan.unresolved.length}), ignored`);
+    plan.unresolved.forEach(title => console.log(`   - ${truncate(title, 80)}`));
+  }
+
+  if (plan.skipMissing.length) {
+    const total = plan.skipMissing.reduce((sum, group) => sum + group.testCaseIds.length, 0);
+    console.log(`\n--skip-missing would mark ${total} test case(s) as ${plan.missingAs || 'skipped'}`);
+    console.log(formatTable(
+      ['Config', 'Test cases'],
+      plan.skipMissing.map(group => [group.configId === '0' ? '-' : group.configId, group.testCaseIds.join(', ')])
+    ));
+  }
+}
+
+const REPORT_FORMATS = {
+  mochawesome: { label: 'Mochawesome JSON', summaryLabel: 'Mochawesome' },
+  junit: { label: 'JUnit XML', summaryLabel: 'JUnit' },
+  trx: { label: 'TRX (Visual Studio / .NET)', summaryLabel: 'TRX' },
+  cucumber: { label: 'Cucumber', summaryLabel: 'Cucumber' },
+  playwright: { label: 'Playwright JSON', summaryLabel: 'Playwright' }
+};
+
 function normalizeReportFormat(value) {
   const format = String(value || '').trim().toLowerCase();
-  if (format === 'mochawesome' || format === 'junit') {
+  if (Object.prototype.hasOwnProperty.call(REPORT_FORMATS, format)) {
     return format;
   }
   return '';
 }
 
+const CUCUMBER_MESSAGE_KEYS = ['meta', 'source', 'gherkinDocument', 'pickle', 'testRunStarted', 'testCase', 'stepDefinition', 'hook'];
+
+function getXmlRootElementName(content) {
+  const withoutProlog = content
+    .replace(/<\?[\s\S]*?\?>/g, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<!DOCTYPE[^>]*>/gi, '');
+  const match = withoutProlog.match(/<([A-Za-z_][\w:.-]*)/);
+  return match ? match[1].replace(/^.*:/, '') : '';
+}
+
+function isCucumberMessage(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+    && CUCUMBER_MESSAGE_KEYS.some(key => Object.prototype.hasOwnProperty.call(value, key));
+}
+
+/**
+ * Guess the result format from file content, for when `--format` is omitted.
+ * Returns one of the REPORT_FORMATS keys, or '' when the content does not
+ * look like any supported format.
+ */
+export function detectReportFormat(content) {
+  const text = String(content || '').replace(/^\uFEFF/, '').trim();
+  if (!text) {
+    return '';
+  }
+
+  if (text.startsWith('<')) {
+    const rootName = getXmlRootElementName(text);
+    if (rootName === 'TestRun') {
+      return 'trx';
+    }
+    if (rootName === 'testsuites' || rootName === 'testsuite') {
+      return 'junit';
+    }
+    return '';
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(text);
+  } catch {
+    // Not a single JSON document; @cucumber/messages is one JSON object per line.
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    try {
+      return isCucumberMessage(JSON.parse(firstLine)) ? 'cucumber' : '';
+    } catch {
+      return '';
+    }
+  }
+
+  if (Array.isArray(payload)) {
+    const looksLikeFeature = payload.length > 0 && payload.every(item =>
+      item && typeof item === 'object' && ('elements' in item || ('keyword' in item && 'uri' in item))
+    );
+    return looksLikeFeature ? 'cucumber' : '';
+  }
+  if (!payload || typeof payload !== 'object') {
+    return '';
+  }
+  if (Array.isArray(payload.results) && payload.stats && typeof payload.stats === 'object') {
+    return 'mochawesome';
+  }
+  if (Array.isArray(payload.suites) && (payload.config || payload.stats)) {
+    return 'playwright';
+  }
+  if (isCucumberMessage(payload)) {
+    return 'cucumber';
+  }
+  return '';
+}
+
+function parseResultFileByFormat(format, absResultPath, { mapping = null, idPatterns, examples, steps } = {}) {
+  if (format === 'junit') {
+    return parseJUnitReport(fs.readFileSync(absResultPath, 'utf8'), { mapping, idPatterns });
+  }
+  if (format === 'trx') {
+    return parseTrxReport(fs.readFileSync(absResultPath, 'utf8'), { mapping, idPatterns });
+  }
+  if (format === 'cucumber') {
+    // Feature URIs are relative to where cucumber ran: usually the current
+    // directory, sometimes the result file's directory.
+    const searchRoots = unique([process.cwd(), path.dirname(absResultPath)]);
+    const readFeatureFile = (uri) => {
+      for (const root of searchRoots) {
+        const candidate = path.resolve(root, uri);
+        if (uri && fs.existsSync(candidate)) {
+          return fs.readFileSync(candidate, 'utf8');
+        }
+      }
+      return null;
+    };
+    return parseCucumberReport(fs.readFileSync(absResultPath, 'utf8'), { readFeatureFile, examples, steps, idPatterns });
+  }
+  if (format === 'playwright') {
+    return parsePlaywrightReport(readJsonFile(absResultPath, 'Playwright JSON'), { mapping, idPatterns });
+  }
+  return parseMochawesomeReport(readMochawesomePayload(absResultPath), { mapping, idPatterns });
+}
+
+/**
+ * Make attachment paths absolute. Reporters write them relative to the
+ * result file, so that is the base for relative paths.
+ */
+function resolveAttachmentPaths(parsedReport, baseDir) {
+  const resolveAll = (item) => {
+    if (Array.isArray(item?.attachments)) {
+      item.attachments = item.attachments.map(attachment => ({
+        ...attachment,
+        path: path.resolve(baseDir, attachment.path)
+      }));
+    }
+  };
+  Object.values(parsedReport.resultsToUpload || {}).forEach(records => records.forEach(resolveAll));
+  (parsedReport.allTests || []).forEach(resolveAll);
+  return parsedReport;
+}
+
+function parseResultFile(format, absResultPath, options = {}) {
+  return resolveAttachmentPaths(parseResultFileByFormat(format, absResultPath, options), path.dirname(absResultPath));
+}
+
 function getFormattedDate() {
   const now = new Date();
   const dd = String(now.getDate()).padStart(2, '0');
@@ -1307,6 +4005,12 @@ function createSdkConfig(apiKey, apiUrl) {
   });
 }
 
+// Requirement keys from test metadata are not linked to TestCollab
+// requirements; they are listed with the cases --auto-create creates
+function requirementsOf(test) {
+  return test.requirements?.length ? { requirements: test.requirements } : {};
+}
+
 /**
  * Auto-create mode orchestrator.
  *
@@ -1315,7 +4019,7 @@ function createSdkConfig(apiKey, apiUrl) {
  *
  * Uses testcollab-sdk (same pattern as createTestPlan.js).
  */
-async function autoCreateTestPlan({ apiKey, apiUrl, projectId, parsedReport }) {
+async function autoCreateTestPlan({ apiKey, apiUrl, projectId, parsedReport, dryRun = false, buildMetadata = null, log = console.log }) {
   const config = createSdkConfig(apiKey, apiUrl);
 
   const usersApi = new UsersApi(config);
@@ -1331,7 +4035,16 @@ async function autoCreateTestPlan({ apiKey, apiUrl, projectId, parsedReport }) {
     throw new Error('No tests found in result file for auto-create');
   }
 
-  console.log('🔧 Auto-create mode: setting up TestCollab resources...');
+  log(dryRun
+    ? '🔧 Auto-create mode (dry run): looking up TestCollab resources...'
+    : '🔧 Auto-create mode: setting up TestCollab resources...');
+
+  // Every write below is recorded in `actions`; with dryRun it is only
+  // recorded, not sent. Resources that would be created get negative
+  // placeholder IDs so the remaining lookups can still tell them apart.
+  const actions = [];
+  let nextPlaceholderId = -1;
+  const placeholder = (fields) => ({ ...fields, id: nextPlaceholderId-- });
 
   // 1. Get current user
   const currentUser = await usersApi.getMyUser();
@@ -1339,15 +4052,33 @@ async function autoCreateTestPlan({ apiKey, apiUrl, projectId, parsedReport }) {
     throw new Error('Failed to fetch current user. Check your API key.');
   }
 
-  // 2. Find or create "CI Imported" tag
+  // 2. Find or create the "CI Imported" tag, plus any tags the tests carry
+  // in their metadata (JUnit properties, Mochawesome context)
   const existingTags = await testCasesApi.getTestCasesTags({ project: projectId });
-  let ciTag = (existingTags || []).find(t => t.name === 'CI Imported');
-  if (!ciTag) {
-    ciTag = await testCasesApi.addTags({
-      testCasesTagPayload: { name: 'CI Imported', project: projectId }
-    });
+  const tagCache = [...(existingTags || [])];
+  const findOrCreateTag = async (name) => {
+    let tag = tagCache.find(t => t.name === name);
+    if (!tag && dryRun) {
+      tag = placeholder({ name });
+      tagCache.push(tag);
+      actions.push({ action: 'create', type: 'tag', name });
+    } else if (!tag) {
+      tag = await testCasesApi.addTags({
+        testCasesTagPayload: { name, project: projectId }
+      });
+      tagCache.push(tag);
+      actions.push({ action: 'create', type: 'tag', id: tag.id, name });
+    }
+    log(`   ✓ Tag "${name}" (${tag.id < 0 ? 'to create' : `id: ${tag.id}`})`);
+    return tag;
+  };
+
+  const ciTag = await findOrCreateTag('CI Imported');
+  const tagIdsByName = {};
+  for (const name of unique(allTests.flatMap(t => t.tags || []))) {
+    tagIdsByName[name] = (await findOrCreateTag(name)).id;
   }
-  console.log(`   ✓ Tag "CI Imported" (id: ${ciTag.id})`);
+  const getTagIdsForTest = (t) => [ciTag.id, ...(t.tags || []).map(name => tagIdsByName[name])];
 
   // 3. Fetch all existing suites
   const existingSuites = await suitesApi.getAllSuites({ project: projectId });
@@ -1395,7 +4126,11 @@ async function autoCreateTestPlan({ apiKey, apiUrl, projectId, parsedReport }) {
     let suiteObj = suiteCache.find(s =>
       s.title === humanized && Number(s.parentId || 0) === Number(parentId)
     );
-    if (!suiteObj) {
+    if (!suiteObj && dryRun) {
+      suiteObj = placeholder({ title: humanized, parentId });
+      suiteCache.push(suiteObj);
+      actions.push({ action: 'create', type: 'suite', name: humanized, path: path.map(humanizeSuiteName) });
+    } else if (!suiteObj) {
       suiteObj = await suitesApi.addSuite({
         addSuitePayload: {
           parentId,
@@ -1409,10 +4144,11 @@ async function autoCreateTestPlan({ apiKey, apiUrl, projectId, parsedReport }) {
         suiteObj.parentId = parentId;
       }
       suiteCache.push(suiteObj);
+      actions.push({ action: 'create', type: 'suite', id: suiteObj.id, name: humanized, path: path.map(humanizeSuiteName) });
       const parentNote = parentId ? `, parentId: ${parentId}` : '';
-      console.log(`   ✓ Suite "${humanized}" (created, id: ${suiteObj.id}${parentNote})`);
+      log(`   ✓ Suite "${humanized}" (created, id: ${suiteObj.id}${parentNote})`);
     } else {
-      console.log(`   ✓ Suite "${humanized}" (existing, id: ${suiteObj.id})`);
+      log(`   ✓ Suite "${humanized}" (existing, id: ${suiteObj.id})`);
     }
     suitePathToSuite[suitePathKey(path)] = suiteObj;
   }
@@ -1433,6 +4169,11 @@ async function autoCreateTestPlan({ apiKey, apiUrl, projectId, parsedReport }) {
     }
   }
   for (const suiteId of leafSuiteIds) {
+    if (suiteId < 0) {
+      // Suite only exists in the dry-run plan, so it has no cases yet
+      testCasesBySuite[suiteId] = [];
+      continue;
+    }
     const url = `${effectiveApiUrl}/testcases?project=${projectId}&suite=${suiteId}&_limit=-1&token=${encodeURIComponent(apiKey)}`;
     const resp = await fetch(url);
     if (!resp.ok) {
@@ -1457,14 +4198,18 @@ async function autoCreateTestPlan({ apiKey, apiUrl, projectId, parsedReport }) {
         const existingCase = await testCasesApi.getTestCase({ id: Number(test.tcId) });
         if (existingCase && existingCase.id) {
           const existingTagIds = (existingCase.tags || []).map(t => typeof t === 'object' ? t.id : t);
-          if (!existingTagIds.includes(ciTag.id)) {
+          const missingTagIds = getTagIdsForTest(test).filter(id => !existingTagIds.includes(id));
+          if (missingTagIds.length && dryRun) {
+            actions.push({ action: 'tag', type: 'test case', id: existingCase.id, name: existingCase.title });
+          } else if (missingTagIds.length) {
+            actions.push({ action: 'tag', type: 'test case', id: existingCase.id, name: existingCase.title });
             await testCasesApi.updateTestCase({
               id: existingCase.id,
               testCasePayload: {
                 title: existingCase.title,
                 project: projectId,
                 suite: existingCase.suite?.id || existingCase.suite || targetSuite.id,
-                tags: [...existingTagIds, ciTag.id],
+                tags: [...existingTagIds, ...missingTagIds],
                 customFields: []
               }
             });
@@ -1487,19 +4232,28 @@ async function autoCreateTestPlan({ apiKey, apiUrl, projectId, parsedReport }) {
         test.tcId = String(match.id);
         // Ensure tag on matched case
         const existingTagIds = (match.tags || []).map(t => typeof t === 'object' ? t.id : t);
-        if (!existingTagIds.includes(ciTag.id)) {
+        const missingTagIds = getTagIdsForTest(test).filter(id => !existingTagIds.includes(id));
+        if (missingTagIds.length && dryRun) {
+          actions.push({ action: 'tag', type: 'test case', id: match.id, name: match.title });
+        } else if (missingTagIds.length) {
+          actions.push({ action: 'tag', type: 'test case', id: match.id, name: match.title });
           await testCasesApi.updateTestCase({
             id: match.id,
             testCasePayload: {
               title: match.title,
               project: projectId,
               suite: match.suite?.id || match.suite || targetSuite.id,
-              tags: [...existingTagIds, ciTag.id],
+              tags: [...existingTagIds, ...missingTagIds],
               customFields: []
             }
           });
         }
         matchedByTitleCount++;
+      } else if (dryRun) {
+        // Leave tcId unset: the case does not exist yet
+        testCasesBySuite[targetSuite.id].push(placeholder({ title: test.title }));
+        actions.push({ action: 'create', type: 'test case', name: test.title, suite: targetSuite.title, ...requirementsOf(test) });
+        createdCount++;
       } else {
         // Create new test case
         const newCase = await testCasesApi.createTestCase({
@@ -1507,42 +4261,42 @@ async function autoCreateTestPlan({ apiKey, apiUrl, projectId, parsedReport }) {
             title: test.title,
             project: projectId,
             suite: targetSuite.id,
-            tags: [ciTag.id],
+            tags: getTagIdsForTest(test),
             priority: 1,
             customFields: []
           }
         });
         test.tcId = String(newCase.id);
+        actions.push({ action: 'create', type: 'test case', id: newCase.id, name: test.title, suite: targetSuite.title, ...requirementsOf(test) });
         // Add to cache so duplicates in same run don't create again
         testCasesBySuite[targetSuite.id].push(newCase);
         createdCount++;
       }
     }
   }
-  console.log(`   ✓ ${matchedByIdCount} matched by ID, ${matchedByTitleCount} matched by title, ${createdCount} created new`);
+  log(`   ✓ ${matchedByIdCount} matched by ID, ${matchedByTitleCount} matched by title, ${createdCount} ${dryRun ? 'to create' : 'created new'}`);
 
   // 7. Rebuild resultsToUpload from enriched allTests
-  const newResultsToUpload = {};
-  for (const test of allTests) {
-    if (!test.tcId) continue;
-    const key = test.configId || '0';
-    if (!newResultsToUpload[key]) {
-      newResultsToUpload[key] = [];
-    }
-    newResultsToUpload[key].push({
-      tcId: String(test.tcId),
-      status: test.status,
-      errDetails: test.errDetails,
-      title: test.title,
-      duration: test.duration
-    });
-  }
-  parsedReport.resultsToUpload = newResultsToUpload;
+  parsedReport.resultsToUpload = buildResultsToUpload(allTests);
   parsedReport.unresolvedIds = [];
 
   // 8. Find or create "CI" test plan folder
   const existingFolders = await foldersApi.getTestPlanFolders({ project: projectId, limit: -1 });
   let ciFolder = (existingFolders || []).find(f => f.title === 'CI');
+  const planTitle = `CI Run: ${getFormattedDate()}`;
+  if (dryRun) {
+    if (!ciFolder) {
+      actions.push({ action: 'create', type: 'test plan folder', name: 'CI' });
+    }
+    actions.push({ action: 'create', type: 'test plan', name: planTitle });
+    actions.push({
+      action: 'assign',
+      type: 'test plan',
+      name: planTitle,
+      assignee: currentUser.firstName || currentUser.email || String(currentUser.id)
+    });
+    return { testPlanId: null, actions };
+  }
   if (!ciFolder) {
     ciFolder = await foldersApi.createTestPlanFolder({
       testPlanFolderPayload: {
@@ -1551,18 +4305,20 @@ async function autoCreateTestPlan({ apiKey, apiUrl, projectId, parsedReport }) {
         parentId: 0
       }
     });
-    console.log(`   ✓ Folder "CI" (created, id: ${ciFolder.id})`);
+    actions.push({ action: 'create', type: 'test plan folder', id: ciFolder.id, name: 'CI' });
+    log(`   ✓ Folder "CI" (created, id: ${ciFolder.id})`);
   } else {
-    console.log(`   ✓ Folder "CI" (existing, id: ${ciFolder.id})`);
+    log(`   ✓ Folder "CI" (existing, id: ${ciFolder.id})`);
   }
 
   // 9. Create test plan
-  const planTitle = `CI Run: ${getFormattedDate()}`;
   const newPlan = await testPlansApi.addTestPlan({
     testPlanPayload: {
       project: projectId,
       title: planTitle,
-      description: 'Auto-created by tc-cli --auto-create',
+      description: buildMetadata
+        ? `<p>Auto-created by tc-cli --auto-create</p>${formatBuildMetadataHtml(buildMetadata)}`
+        : 'Auto-created by tc-cli --auto-create',
       status: 1,
       priority: 1,
       testPlanFolder: ciFolder.id,
@@ -1572,7 +4328,8 @@ async function autoCreateTestPlan({ apiKey, apiUrl, projectId, parsedReport }) {
   if (newPlan && newPlan.status === false) {
     throw new Error(newPlan.title || 'Failed to create test plan');
   }
-  console.log(`   ✓ Test Plan "${planTitle}" (id: ${newPlan.id})`);
+  actions.push({ action: 'create', type: 'test plan', id: newPlan.id, name: planTitle });
+  log(`   ✓ Test Plan "${planTitle}" (id: ${newPlan.id})`);
 
   // 10. Bulk-add test cases by tag
   const addResult = await testPlanCasesApi.bulkAddTestPlanTestCases({
@@ -1613,9 +4370,9 @@ async function autoCreateTestPlan({ apiKey, apiUrl, projectId, parsedReport }) {
   });
 
   const totalCases = allTests.filter(t => t.tcId).length;
-  console.log(`   ✓ ${totalCases} test cases added and assigned to ${currentUser.firstName || currentUser.email}`);
+  log(`   ✓ ${totalCases} test cases added and assigned to ${currentUser.firstName || currentUser.email}`);
 
-  return { testPlanId: newPlan.id };
+  return { testPlanId: newPlan.id, actions };
 }
 
 export async function report(options) {
@@ -1626,7 +4383,34 @@ export async function report(options) {
     resultFile,
     apiUrl,
     skipMissing,
-    autoCreate
+    autoCreate,
+    mergeRule = 'fail-wins',
+    concurrency = DEFAULT_UPLOAD_CONCURRENCY,
+    resume,
+    journal,
+    dryRun = false,
+    outputJson,
+    failOnUnmatched,
+    failOnUploadErrors,
+    maxFailures,
+    attachments = true,
+    maxAttachmentSize = DEFAULT_MAX_ATTACHMENT_MB,
+    buildUrl,
+    commit,
+    branch,
+    recordBuild,
+    mapping,
+    tcIdPattern,
+    configIdPattern,
+    idPatternsFile,
+    asUser,
+    anyAssignee,
+    newRun,
+    statusMap,
+    missingAs,
+    missingScope,
+    examples,
+    steps
   } = options;
 
   // Resolve API key: --api-key flag takes precedence, then TESTCOLLAB_TOKEN env var
@@ -1668,55 +4452,310 @@ export async function report(options) {
     }
   }
 
-  const normalizedFormat = normalizeReportFormat(format);
-  if (!normalizedFormat) {
-    console.error('❌ Error: --format must be either "mochawesome" or "junit"');
+  const hasExplicitFormat = Boolean(format && String(format).trim());
+  let normalizedFormat = normalizeReportFormat(format);
+  if (hasExplicitFormat && !normalizedFormat) {
+    console.error(`❌ Error: --format must be one of: ${Object.keys(REPORT_FORMATS).join(', ')}`);
+    process.exit(1);
+  }
+
+  // --dry-run takes an optional output format; a bare flag means table
+  const dryRunFormat = dryRun === true ? 'table' : (dryRun ? String(dryRun).trim().toLowerCase() : '');
+  if (dryRunFormat && !DRY_RUN_FORMATS.includes(dryRunFormat)) {
+    console.error(`❌ Error: --dry-run format must be one of: ${DRY_RUN_FORMATS.join(', ')}`);
+    process.exit(1);
+  }
+
+  let parsedMaxFailures = null;
+  if (maxFailures !== undefined && maxFailures !== null && maxFailures !== false) {
+    parsedMaxFailures = Number(maxFailures);
+    if (!Number.isInteger(parsedMaxFailures) || parsedMaxFailures < 0) {
+      console.error('❌ Error: --max-failures must be a non-negative integer');
+      process.exit(1);
+    }
+  }
+
+  const parsedMaxAttachmentSize = Number(maxAttachmentSize);
+  if (!Number.isFinite(parsedMaxAttachmentSize) || parsedMaxAttachmentSize <= 0) {
+    console.error('❌ Error: --max-attachment-size must be a positive number of megabytes');
+    process.exit(1);
+  }
+
+  if (asUser && anyAssignee) {
+    console.error('❌ Error: --as-user and --any-assignee are mutually exclusive');
+    process.exit(1);
+  }
+
+  if (resume && autoCreate) {
+    console.warn('⚠️  --resume has no effect with --auto-create: every run creates a new test plan');
+  }
+  if (newRun && autoCreate) {
+    console.warn('⚠️  --new-run has no effect with --auto-create: every run creates a new test plan');
+  }
+
+  const parsedConcurrency = Number(concurrency);
+  if (!Number.isInteger(parsedConcurrency) || parsedConcurrency < 1) {
+    console.error('❌ Error: --concurrency must be a positive integer');
+    process.exit(1);
+  }
+
+  if (!MERGE_RULES.includes(mergeRule)) {
+    console.error(`❌ Error: --merge-rule must be one of: ${MERGE_RULES.join(', ')}`);
+    process.exit(1);
+  }
+
+  let parsedMissingScope = [];
+  try {
+    parseMissingAs(missingAs || 'skip');
+    parsedMissingScope = parseMissingScope(missingScope);
+  } catch (error) {
+    console.error(`❌ Error: ${error?.message || String(error)}`);
+    process.exit(1);
+  }
+  if ((missingAs || parsedMissingScope.length) && !skipMissing) {
+    console.error('❌ Error: --missing-as and --missing-scope only apply with --skip-missing');
+    process.exit(1);
+  }
+  // Every other assignee's unmatched cases would be marked too
+  if (anyAssignee && skipMissing && !parsedMissingScope.length) {
+    console.error('❌ Error: --skip-missing with --any-assignee marks the unmatched cases of every assignee; limit it with --missing-scope (suite, tag or config)');
+    process.exit(1);
+  }
+
+  let parsedStatusMap = {};
+  let examplesMode = 'table';
+  let stepsMode = 'flat';
+  try {
+    parsedStatusMap = parseStatusMap(statusMap);
+    examplesMode = parseExamplesMode(examples);
+    stepsMode = parseStepsMode(steps);
+  } catch (error) {
+    console.error(`❌ Error: ${error?.message || String(error)}`);
+    process.exit(1);
+  }
+
+  // Custom ID patterns: the CLI flags plus an optional JSON file with
+  // { "testCaseIdPatterns": [...], "configIdPatterns": [...] }
+  const testCasePatternSources = [].concat(tcIdPattern || []);
+  const configPatternSources = [].concat(configIdPattern || []);
+  if (idPatternsFile) {
+    const absPatternsPath = toAbsolutePath(String(idPatternsFile));
+    if (!fs.existsSync(absPatternsPath)) {
+      console.error(`❌ Error: ID patterns file not found at: ${absPatternsPath}`);
+      process.exit(1);
+    }
+    try {
+      const patternsConfig = readJsonFile(absPatternsPath, 'ID patterns file');
+      testCasePatternSources.push(...[].concat(patternsConfig?.testCaseIdPatterns || []));
+      configPatternSources.push(...[].concat(patternsConfig?.configIdPatterns || []));
+    } catch (error) {
+      console.error(`❌ Error: ${error?.message || String(error)}`);
+      process.exit(1);
+    }
+  }
+  let idPatterns;
+  try {
+    idPatterns = {
+      testCase: testCasePatternSources.map(source => compileIdPattern(source, 'testCase')),
+      config: configPatternSources.map(source => compileIdPattern(source, 'config'))
+    };
+  } catch (error) {
+    console.error(`❌ Error: ${error?.message || String(error)}`);
     process.exit(1);
   }
 
-  if (!resultFile || !String(resultFile).trim()) {
+  // Keep stdout clean for the JSON plan: progress messages go to stderr
+  const log = dryRunFormat === 'json' ? console.error : console.log;
+
+  // --result-file is variadic: each value is a path or a glob pattern
+  const resultPatterns = (Array.isArray(resultFile) ? resultFile : [resultFile])
+    .map(value => String(value || '').trim())
+    .filter(Boolean);
+  if (!resultPatterns.length) {
     console.error('❌ Error: --result-file is required');
     process.exit(1);
   }
 
-  const absResultPath = toAbsolutePath(String(resultFile).trim());
-  if (!fs.existsSync(absResultPath)) {
-    console.error(`❌ Error: Result file not found at: ${absResultPath}`);
+  const { files: resultPaths, missing: missingResultFiles } = resolveResultFiles(resultPatterns);
+  if (missingResultFiles.length) {
+    missingResultFiles.forEach((entry) => {
+      console.error(`❌ Error: Result file not found at: ${entry}`);
+    });
     console.error('   Ensure the result file exists and you passed a valid path via --result-file <path>');
     process.exit(1);
   }
 
-  try {
-    // Parse the result file
-    let parsedReport;
-    if (normalizedFormat === 'junit') {
-      const junitXmlContent = fs.readFileSync(absResultPath, 'utf8');
-      parsedReport = parseJUnitReport(junitXmlContent);
-    } else {
-      const mochawesomePayload = readMochawesomePayload(absResultPath);
-      parsedReport = parseMochawesomeReport(mochawesomePayload);
+  // Without --format, each file is sniffed on its own so shards written by
+  // different reporters can be uploaded together.
+  const resultFormats = resultPaths.map((absResultPath) => {
+    if (normalizedFormat) {
+      return normalizedFormat;
+    }
+    const detectedFormat = detectReportFormat(fs.readFileSync(absResultPath, 'utf8'));
+    if (!detectedFormat) {
+      console.error(`❌ Error: Could not detect the format of result file: ${absResultPath}`);
+      console.error(`   Pass --format with one of: ${Object.keys(REPORT_FORMATS).join(', ')}`);
+      process.exit(1);
+    }
+    log(`ℹ️  Detected result format: ${REPORT_FORMATS[detectedFormat].label} (pass --format to override)`);
+    return detectedFormat;
+  });
+  const usedFormats = unique(resultFormats);
+
+  let testMapping = null;
+  if (mapping) {
+    const absMappingPath = toAbsolutePath(String(mapping));
+    if (!fs.existsSync(absMappingPath)) {
+      console.error(`❌ Error: Mapping file not found at: ${absMappingPath}`);
+      process.exit(1);
+    }
+    try {
+      testMapping = readMappingFile(absMappingPath);
+    } catch (error) {
+      console.error(`❌ Error: ${error?.message || String(error)}`);
+      process.exit(1);
     }
+    log(`ℹ️  Loaded ${testMapping.size} test mapping(s) from ${path.relative(process.cwd(), absMappingPath) || absMappingPath}`);
+  }
+
+  const buildMetadata = resolveBuildMetadata({ buildUrl, commit, branch });
+  if (buildMetadata) {
+    log(`ℹ️  CI build: ${describeBuildMetadata(buildMetadata)}`);
+  }
+
+  let gateExitCode = 0;
+  try {
+    // Parse the result files
+    const parsedReports = resultPaths.map((absResultPath, index) => {
+      const fileReport = parseResultFile(resultFormats[index], absResultPath, { mapping: testMapping, idPatterns, examples: examplesMode, steps: stepsMode });
+      const fileStats = fileReport.stats;
+      const fileSuffix = resultPaths.length > 1 ? ` from ${path.relative(process.cwd(), absResultPath)}` : '';
+      log(
+        `ℹ️  Parsed ${REPORT_FORMATS[resultFormats[index]].label}${fileSuffix} (${fileStats.tests} tests: ${fileStats.passes} passed, ${fileStats.failures} failed, ${fileStats.skipped} skipped)`
+      );
+      return fileReport;
+    });
+    const parsedReport = combineParsedReports(parsedReports);
 
     const stats = parsedReport.stats;
-    const formatLabel = normalizedFormat === 'junit' ? 'JUnit XML' : 'Mochawesome JSON';
-    console.log(
-      `ℹ️  Parsed ${formatLabel} (${stats.tests} tests: ${stats.passes} passed, ${stats.failures} failed, ${stats.skipped} skipped)`
-    );
+    const formatLabel = usedFormats.map(usedFormat => REPORT_FORMATS[usedFormat].label).join(' + ');
+    if (parsedReports.length > 1) {
+      log(
+        `ℹ️  Combined ${parsedReports.length} result files (${stats.tests} tests: ${stats.passes} passed, ${stats.failures} failed, ${stats.skipped} skipped)`
+      );
+    }
+
+    // --status-map: names that are not built-in statuses are looked up in
+    // the project's custom execution statuses
+    if (Object.keys(parsedStatusMap).length) {
+      const executionStatuses = Object.values(parsedStatusMap).every(isBuiltInStatus)
+        ? []
+        : await new TcApiClient({
+          accessToken: String(apiKey),
+          projectId: parsedProjectId,
+          testPlanId: parsedTestPlanId,
+          baseApiUrl: apiUrl
+        }).getExecutionStatuses();
+      const statusChanges = applyStatusMap(parsedReport, resolveStatusMap(parsedStatusMap, executionStatuses));
+      const changeList = Object.entries(statusChanges).map(([change, count]) => `${count} ${change}`);
+      log(`ℹ️  Status mapping: ${changeList.length ? changeList.join(', ') : 'no results changed'}`);
+    }
+
+    if (usedFormats.includes('cucumber')) {
+      await resolveCucumberScenarioIds({
+        apiKey: String(apiKey),
+        apiUrl,
+        projectId: parsedProjectId,
+        parsedReport,
+        log
+      });
+    }
 
     // Auto-create mode: create all missing resources
     let effectiveTestPlanId = parsedTestPlanId;
+    let createdResources = [];
     if (autoCreate) {
       const autoResult = await autoCreateTestPlan({
         apiKey: String(apiKey),
         apiUrl,
         projectId: parsedProjectId,
-        parsedReport
+        parsedReport,
+        dryRun: Boolean(dryRunFormat),
+        buildMetadata,
+        log
       });
       effectiveTestPlanId = autoResult.testPlanId;
+      createdResources = autoResult.actions;
+
+      if (!dryRunFormat) {
+        writeAutoCreateRecord(buildAutoCreateRecord({
+          projectId: parsedProjectId,
+          testPlanId: effectiveTestPlanId,
+          allTests: parsedReport.allTests
+        }));
+      }
+
+      if (dryRunFormat) {
+        // The plan does not exist yet; every result would be uploaded into it
+        printDryRunPlan({
+          mode: 'auto-create',
+          testPlanId: null,
+          runId: null,
+          build: buildMetadata,
+          results: parsedReport.allTests.map(test => ({
+            tcId: test.tcId ? String(test.tcId) : null,
+            configId: test.configId || '0',
+            title: test.title,
+            executedCaseId: null,
+            status: RUN_STATUS_LABELS[test.status] || String(test.status),
+            comment: Boolean(getResultComment(test)),
+            attachments: Array.isArray(test.attachments) ? test.attachments.length : 0,
+            assignee: null
+          })),
+          unmatched: [],
+          unresolved: [],
+          skipMissing: [],
+          autoCreate: autoResult.actions
+        }, dryRunFormat);
+        return;
+      }
+    }
+
+    // Collapse repeated TC IDs (across shards or within one file) so each
+    // executed case is updated once
+    const merged = mergeResultsToUpload(parsedReport.resultsToUpload, mergeRule);
+    parsedReport.resultsToUpload = merged.resultsToUpload;
+    if (merged.duplicates) {
+      log(`ℹ️  Merged ${merged.duplicates} duplicate result(s) for the same test case (last in each file, then ${mergeRule} across files)`);
+    }
+
+    if (dryRunFormat) {
+      log(`🔎 Planning ${formatLabel} upload (dry run, nothing is written)...`);
+      const plan = await uploadUsingReporterFlow({
+        apiKey: String(apiKey),
+        projectId: parsedProjectId,
+        testPlanId: effectiveTestPlanId,
+        apiUrl,
+        hasConfig: parsedReport.hasConfig,
+        resultsToUpload: parsedReport.resultsToUpload,
+        unresolvedIds: parsedReport.unresolvedIds,
+        skipMissing: Boolean(skipMissing),
+        dryRun: true,
+        buildMetadata,
+        recordBuild: Boolean(recordBuild),
+        asUser: asUser ? String(asUser) : null,
+        anyAssignee: Boolean(anyAssignee),
+        newRun: Boolean(newRun) && !autoCreate,
+        missingAs: missingAs ? String(missingAs) : 'skip',
+        missingScope: parsedMissingScope,
+        log
+      });
+      printDryRunPlan({ mode: 'existing-plan', ...plan, autoCreate: [] }, dryRunFormat);
+      return;
     }
 
     // Upload results
-    console.log(`🚀 Uploading ${formatLabel} test run result to TestCollab...`);
+    log(`🚀 Uploading ${formatLabel} test run result to TestCollab...`);
     const summary = await uploadUsingReporterFlow({
       apiKey: String(apiKey),
       projectId: parsedProjectId,
@@ -1725,23 +4764,72 @@ export async function report(options) {
       hasConfig: parsedReport.hasConfig,
       resultsToUpload: parsedReport.resultsToUpload,
       unresolvedIds: parsedReport.unresolvedIds,
-      skipMissing: Boolean(skipMissing)
+      skipMissing: Boolean(skipMissing),
+      concurrency: parsedConcurrency,
+      journalPath: journal ? String(journal) : (resume ? DEFAULT_JOURNAL_PATH : null),
+      resume: Boolean(resume),
+      uploadAttachments: attachments !== false,
+      maxAttachmentBytes: parsedMaxAttachmentSize * 1024 * 1024,
+      buildMetadata,
+      recordBuild: Boolean(recordBuild),
+      asUser: asUser ? String(asUser) : null,
+      anyAssignee: Boolean(anyAssignee),
+      newRun: Boolean(newRun) && !autoCreate,
+      missingAs: missingAs ? String(missingAs) : 'skip',
+      missingScope: parsedMissingScope
+    });
+
+    logUploadSummary(usedFormats.map(usedFormat => REPORT_FORMATS[usedFormat].summaryLabel).join(' + '), summary);
+
+    const failedGates = evaluateQualityGates({
+      summary,
+      stats,
+      failOnUnmatched: Boolean(failOnUnmatched),
+      failOnUploadErrors: Boolean(failOnUploadErrors),
+      maxFailures: parsedMaxFailures
     });
 
-    logUploadSummary(normalizedFormat === 'junit' ? 'JUnit' : 'Mochawesome', summary);
+    if (outputJson) {
+      writeJsonSummary(outputJson, buildJsonSummary({
+        summary,
+        parsedReport,
+        formats: usedFormats,
+        resultFiles: resultPaths,
+        created: createdResources,
+        failedGates,
+        build: buildMetadata
+      }));
+    }
+
+    if (failedGates.length) {
+      failedGates.forEach((failedGate) => {
+        console.error(`❌ Quality gate --${failedGate.gate} failed: ${failedGate.message}`);
+      });
+      gateExitCode = failedGates[0].exitCode;
+    }
   } catch (err) {
     // TCV-6489: The SDK throws raw Response objects on non-2xx status codes,
     // which stringify as "[object Response]". Extract the actual error details.
+    let errorMessage;
     if (err && typeof err === 'object' && 'status' in err && 'text' in err) {
       try {
         const bodyText = await err.text();
-        console.error(`❌ Error: HTTP ${err.status} ${err.statusText || ''} - ${bodyText}`);
+        errorMessage = `HTTP ${err.status} ${err.statusText || ''} - ${bodyText}`;
       } catch {
-        console.error(`❌ Error: HTTP ${err.status} ${err.statusText || ''}`);
+        errorMessage = `HTTP ${err.status} ${err.statusText || ''}`;
       }
     } else {
-      console.error(`❌ Error: ${err?.message || String(err)}`);
+      errorMessage = err?.message || String(err);
+    }
+    console.error(`❌ Error: ${errorMessage}`);
+    if (outputJson && !dryRunFormat) {
+      writeJsonSummary(outputJson, { success: false, error: errorMessage });
     }
     process.exit(1);
   }
+
+  // Outside the try, so exiting can't be mistaken for a failed upload
+  if (gateExitCode) {
+    process.exit(gateExitCode);
+  }
 }
@@ -12,6 +12,7 @@ import { featuresync } from './commands/featuresync.js';
 import { createTestPlan } from './commands/createTestPlan.js';
 import { report } from './commands/report.js';
 import { getTestPlan } from './commands/getTestPlan.js';
+import { generateMapping } from './commands/generateMapping.js';
 
 // Initialize commanderq
 const program = new Command();
@@ -28,6 +29,10 @@ program
   .option('--api-key <key>', 'TestCollab API key (or set TESTCOLLAB_TOKEN env var)')
   .requiredOption('--project <id>', 'TestCollab project ID')
   .option('--api-url <url>', 'TestCollab API base URL', 'https://api.testcollab.io')
+  .option('--dry-run', 'Print the suites and test cases the sync would change without sending it', false)
+  .option('--payload-file <path>', 'Write the sync payload JSON to this file')
+  .option('--examples <mode>', 'Sync Scenario Outline examples as one case with its Examples tables (table) or one case per row (rows)', 'table')
+  .option('--steps <mode>', 'Sync steps as a flat list (flat) or as actions with their Then steps as expected results (structured)', 'flat')
   .action(featuresync);
 
 // Add createTestPlan command
@@ -39,20 +44,50 @@ program
   .requiredOption('--ci-tag-id <id>', 'CI tag ID to include cases')
   .requiredOption('--assignee-id <id>', 'User ID to assign execution')
   .option('--api-url <url>', 'TestCollab API base URL', 'https://api.testcollab.io')
+  .option('--build-url <url>', 'CI build URL to record on the test plan (detected from CI env vars by default)')
+  .option('--commit <sha>', 'Commit SHA to record on the test plan (detected from CI env vars by default)')
+  .option('--branch <name>', 'Branch to record on the test plan (detected from CI env vars by default)')
   .action(createTestPlan);
 
 // Add report command
 program
   .command('report')
-  .description('Upload test results (Mochawesome JSON or JUnit XML) to TestCollab and attach to a Test Plan')
+  .description('Upload test results (Mochawesome JSON, JUnit XML, TRX, Cucumber or Playwright) to TestCollab and attach to a Test Plan')
   .option('--api-key <key>', 'TestCollab API key (or set TESTCOLLAB_TOKEN env var)')
   .requiredOption('--project <id>', 'TestCollab project ID')
   .option('--test-plan-id <id>', 'Test Plan ID (required unless --auto-create is used)')
-  .requiredOption('--format <type>', 'Result format: mochawesome or junit')
-  .requiredOption('--result-file <path>', 'Path to test result file')
+  .option('--format <type>', 'Result format: mochawesome, junit, trx, cucumber or playwright (detected from the file when omitted)')
+  .requiredOption('--result-file <paths...>', 'Path(s) or glob pattern(s) of test result files; all are merged into one upload')
+  .option('--merge-rule <rule>', 'How to merge a TC ID reported by several result files: fail-wins or last-wins', 'fail-wins')
+  .option('--mapping <file>', 'JSON, YAML or CSV file mapping test keys (classname#name, file#fullTitle) to TestCollab case IDs')
+  .option('--tc-id-pattern <regex...>', 'Extra test case ID pattern(s) with an (?<id>...) group, e.g. "@tc:(?<id>\\d+)"')
+  .option('--config-id-pattern <regex...>', 'Extra configuration pattern(s) with an (?<id>...) or (?<params>...) group, e.g. "\\[cfg:(?<params>[^\\]]+)\\]"')
+  .option('--id-patterns-file <path>', 'JSON file with testCaseIdPatterns and configIdPatterns arrays')
+  .option('--status-map <pairs...>', 'Map reporter outcomes to statuses, e.g. error=blocked pending=unexecuted (custom status names allowed)')
+  .option('--examples <mode>', 'Cucumber only: the --examples mode (table or rows) tc sync used for Scenario Outlines', 'table')
+  .option('--steps <mode>', 'Cucumber only: the --steps mode (flat or structured) tc sync used', 'flat')
   .option('--api-url <url>', 'TestCollab API base URL override', 'https://api.testcollab.io')
   .option('--skip-missing', 'Mark test cases in the test plan but not in the result file as skipped', false)
+  .option('--missing-as <status>', 'With --skip-missing, mark unmatched cases as skip, blocked, unexecuted or fail (default: skip)')
+  .option('--missing-scope <dimensions...>', 'With --skip-missing, only touch cases in the suites, tags or configs (suite, tag, config) the results matched')
+  .option('--as-user <id|email>', 'Match results against the executed cases assigned to this user instead of the API key owner')
+  .option('--any-assignee', 'Match results against every executed case in the run, whoever it is assigned to', false)
   .option('--auto-create', 'Auto-create missing tag, suites, test cases, folder, and test plan from result file')
+  .option('--concurrency <n>', 'Number of test case results uploaded in parallel', '4')
+  .option('--new-run', 'Start a new run of the test plan and upload into it instead of the latest run', false)
+  .option('--resume', 'Keep an upload journal, and skip cases a previous, interrupted upload already finished', false)
+  .option('--journal <path>', 'Keep an upload journal at <path> for a later --resume (default with --resume: tmp/tc_report_journal.jsonl)')
+  .option('--dry-run [format]', 'Look up everything but write nothing; print the planned actions as a table (default) or json')
+  .option('--output-json <path>', 'Write a machine-readable JSON summary of the upload to this file')
+  .option('--fail-on-unmatched', 'Exit with code 2 when any result could not be matched to a test case', false)
+  .option('--fail-on-upload-errors', 'Exit with code 3 when any test case update failed', false)
+  .option('--max-failures <n>', 'Exit with code 4 when more than <n> tests failed')
+  .option('--no-attachments', 'Do not upload screenshots, videos and logs referenced by the result file')
+  .option('--max-attachment-size <mb>', 'Skip attachments larger than this many megabytes', '10')
+  .option('--build-url <url>', 'CI build URL to record on the test plan (detected from CI env vars by default)')
+  .option('--commit <sha>', 'Commit SHA to record on the test plan (detected from CI env vars by default)')
+  .option('--branch <name>', 'Branch to record on the test plan (detected from CI env vars by default)')
+  .option('--record-build', 'Record the CI build in the description of an existing test plan (updates the plan)', false)
   .action(report);
 
 // Add getTestPlan command
@@ -66,6 +101,14 @@ program
   .option('--output <path>', 'Write JSON to file instead of stdout')
   .action(getTestPlan);
 
+// Add generateMapping command
+program
+  .command('generateMapping')
+  .description('Write a --mapping file from the tests the last tc report --auto-create run matched or created')
+  .option('--input <path>', 'Auto-create record written by tc report --auto-create', 'tmp/tc_auto_create.json')
+  .option('--output <path>', 'Mapping file to write (.json, .yml/.yaml or .csv); existing entries are kept', 'tc-mapping.json')
+  .action(generateMapping);
+
 // Parse command line arguments and execute the program
 program.parse(process.argv);
 
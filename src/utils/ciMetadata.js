@@ -0,0 +1,183 @@
+/**
+ * ciMetadata.js
+ *
+ * Detects which CI build is running the CLI (provider, build URL, commit,
+ * branch, runner) from the environment variables each CI service sets, and
+ * renders it as a block for a test plan description.
+ *
+ * Used by `tc report` and `tc createTestPlan` so a plan links back to the
+ * build that produced its results.
+ */
+
+import { escapeHtml } from './html.js';
+
+const CI_PROVIDERS = [
+  {
+    name: 'GitHub Actions',
+    detect: env => env.GITHUB_ACTIONS === 'true',
+    read: env => ({
+      buildUrl: env.GITHUB_SERVER_URL && env.GITHUB_REPOSITORY && env.GITHUB_RUN_ID
+        ? `${env.GITHUB_SERVER_URL}/${env.GITHUB_REPOSITORY}/actions/runs/${env.GITHUB_RUN_ID}`
+        : '',
+      buildNumber: env.GITHUB_RUN_NUMBER,
+      commit: env.GITHUB_SHA,
+      // GITHUB_REF_NAME is "<pr>/merge" on pull requests
+      branch: env.GITHUB_HEAD_REF || env.GITHUB_REF_NAME,
+      runner: env.RUNNER_NAME
+    })
+  },
+  {
+    name: 'GitLab CI',
+    detect: env => env.GITLAB_CI === 'true',
+    read: env => ({
+      buildUrl: env.CI_PIPELINE_URL || env.CI_JOB_URL,
+      buildNumber: env.CI_PIPELINE_IID || env.CI_PIPELINE_ID,
+      commit: env.CI_COMMIT_SHA,
+      branch: env.CI_MERGE_REQUEST_SOURCE_BRANCH_NAME || env.CI_COMMIT_REF_NAME,
+      runner: env.CI_RUNNER_DESCRIPTION
+    })
+  },
+  {
+    name: 'Buildkite',
+    detect: env => env.BUILDKITE === 'true',
+    read: env => ({
+      buildUrl: env.BUILDKITE_BUILD_URL,
+      buildNumber: env.BUILDKITE_BUILD_NUMBER,
+      commit: env.BUILDKITE_COMMIT,
+      branch: env.BUILDKITE_BRANCH,
+      runner: env.BUILDKITE_AGENT_NAME
+    })
+  },
+  {
+    name: 'CircleCI',
+    detect: env => env.CIRCLECI === 'true',
+    read: env => ({
+      buildUrl: env.CIRCLE_BUILD_URL,
+      buildNumber: env.CIRCLE_BUILD_NUM,
+      commit: env.CIRCLE_SHA1,
+      branch: env.CIRCLE_BRANCH,
+      runner: env.CIRCLE_JOB
+    })
+  },
+  {
+    name: 'Azure Pipelines',
+    detect: env => env.TF_BUILD === 'True' || env.TF_BUILD === 'true',
+    read: env => ({
+      buildUrl: env.SYSTEM_COLLECTIONURI && env.SYSTEM_TEAMPROJECT && env.BUILD_BUILDID
+        ? `${env.SYSTEM_COLLECTIONURI.replace(/\/+$/, '')}/${encodeURIComponent(env.SYSTEM_TEAMPROJECT)}/_build/results?buildId=${env.BUILD_BUILDID}`
+        : '',
+      buildNumber: env.BUILD_BUILDNUMBER,
+      commit: env.BUILD_SOURCEVERSION,
+      branch: (env.SYSTEM_PULLREQUEST_SOURCEBRANCH || env.BUILD_SOURCEBRANCH || '').replace(/^refs\/heads\//, ''),
+      runner: env.AGENT_NAME
+    })
+  },
+  {
+    // Checked last: plugins on other services sometimes export JENKINS_URL
+    name: 'Jenkins',
+    detect: env => Boolean(env.JENKINS_URL),
+    read: env => ({
+      buildUrl: env.BUILD_URL,
+      buildNumber: env.BUILD_NUMBER,
+      commit: env.GIT_COMMIT,
+      branch: env.CHANGE_BRANCH || env.BRANCH_NAME || (env.GIT_BRANCH || '').replace(/^origin\//, ''),
+      runner: env.NODE_NAME
+    })
+  }
+];
+
+const BUILD_BLOCK_PATTERN = /<p><strong>CI build<\/strong>[\s\S]*?<\/p>/;
+
+function clean(value) {
+  const text = value === undefined || value === null ? '' : String(value).trim();
+  return text || null;
+}
+
+/**
+ * Read build metadata from the environment of a supported CI service.
+ * Returns null outside CI.
+ */
+export function detectCiMetadata(env = process.env) {
+  const provider = CI_PROVIDERS.find(candidate => candidate.detect(env));
+  if (!provider) {
+    return null;
+  }
+
+  const values = provider.read(env);
+  return {
+    provider: provider.name,
+    buildUrl: clean(values.buildUrl),
+    buildNumber: clean(values.buildNumber),
+    commit: clean(values.commit),
+    branch: clean(values.branch),
+    runner: clean(values.runner)
+  };
+}
+
+/**
+ * Detected CI metadata with the --build-url, --commit and --branch overrides
+ * applied. Returns null when there is nothing to record.
+ */
+export function resolveBuildMetadata({ buildUrl, commit, branch } = {}, env = process.env) {
+  const metadata = {
+    provider: null,
+    buildUrl: null,
+    buildNumber: null,
+    commit: null,
+    branch: null,
+    runner: null,
+    ...detectCiMetadata(env)
+  };
+  if (clean(buildUrl)) metadata.buildUrl = clean(buildUrl);
+  if (clean(commit)) metadata.commit = clean(commit);
+  if (clean(branch)) metadata.branch = clean(branch);
+
+  if (!metadata.buildUrl && !metadata.commit && !metadata.branch) {
+    return null;
+  }
+  return metadata;
+}
+
+/** One-line summary for console output. */
+export function describeBuildMetadata(metadata) {
+  const parts = [];
+  if (metadata.provider) {
+    parts.push(metadata.buildNumber ? `${metadata.provider} #${metadata.buildNumber}` : metadata.provider);
+  }
+  if (metadata.branch || metadata.commit) {
+    parts.push([metadata.branch, metadata.commit && metadata.commit.slice(0, 12)].filter(Boolean).join(' @ '));
+  }
+  if (metadata.buildUrl) {
+    parts.push(metadata.buildUrl);
+  }
+  return parts.join(', ');
+}
+
+/** Render build metadata as the HTML block stored in a test plan description. */
+export function formatBuildMetadataHtml(metadata) {
+  const lines = [];
+  if (metadata.provider) {
+    lines.push(`Provider: ${escapeHtml(metadata.buildNumber ? `${metadata.provider} #${metadata.buildNumber}` : metadata.provider)}`);
+  }
+  if (metadata.buildUrl) {
+    const url = escapeHtml(metadata.buildUrl);
+    lines.push(`Build: <a href="${url}">${url}</a>`);
+  }
+  if (metadata.commit) lines.push(`Commit: ${escapeHtml(metadata.commit)}`);
+  if (metadata.branch) lines.push(`Branch: ${escapeHtml(metadata.branch)}`);
+  if (metadata.runner) lines.push(`Runner: ${escapeHtml(metadata.runner)}`);
+  return `<p><strong>CI build</strong><br>${lines.join('<br>')}</p>`;
+}
+
+/**
+ * Add the build block to a test plan description, replacing the block a
+ * previous upload wrote so repeated reports do not pile up.
+ */
+export function applyBuildMetadataToDescription(description, metadata) {
+  const current = description ? String(description) : '';
+  const block = formatBuildMetadataHtml(metadata);
+  if (BUILD_BLOCK_PATTERN.test(current)) {
+    return current.replace(BUILD_BLOCK_PATTERN, block);
+  }
+  return current ? `${current}${block}` : block;
+}
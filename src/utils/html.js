@@ -0,0 +1,28 @@
+/**
+ * html.js
+ *
+ * Helpers for the HTML the CLI writes into TestCollab: test plan
+ * descriptions, result comments and synced steps.
+ */
+
+/**
+ * Escape text for use in HTML content or a double-quoted attribute
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Escape text for use in HTML content only. Quotes are left as they are, so
+ * text without markup characters is sent unchanged.
+ */
+export function escapeHtmlText(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
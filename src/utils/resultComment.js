@@ -0,0 +1,68 @@
+/**
+ * resultComment.js
+ *
+ * Renders the comment `tc report` posts on an executed case, as HTML like
+ * the test plan descriptions the CLI writes:
+ * - a failed (or blocked) result gets its assertion message, the test's
+ *   file and line, duration, retries, a link to the CI build and its stack
+ *   trace in a collapsible block
+ * - any other result with a note (e.g. a flaky Playwright retry) gets the
+ *   note as a paragraph
+ */
+
+import { escapeHtml } from './html.js';
+
+function formatDuration(seconds) {
+  const value = Number(seconds);
+  if (!Number.isFinite(value) || value <= 0) {
+    return null;
+  }
+  if (value < 60) {
+    return `${Number(value.toFixed(2))} s`;
+  }
+  return `${Math.floor(value / 60)} min ${Math.round(value % 60)} s`;
+}
+
+/** Render a plain-text note as a paragraph, keeping its line breaks. */
+export function formatNoteComment(text) {
+  const value = String(text || '').trim();
+  return value ? `<p>${escapeHtml(value).replace(/\r?\n/g, '<br>')}</p>` : '';
+}
+
+/**
+ * Render the failure comment of a result. `failure` holds what the parser
+ * knew besides the error text: { message, file, line, retries }. Without a
+ * message, the first line of the error text stands in for it.
+ */
+export function formatFailureComment({ errDetails, failure = {}, duration } = {}, { buildMetadata = null } = {}) {
+  const details = String(errDetails || '').trim();
+  const message = String(failure?.message || '').trim() || details.split(/\r?\n/)[0].trim();
+  const blocks = [`<p><strong>Failure</strong><br>${escapeHtml(message || 'The test failed').replace(/\r?\n/g, '<br>')}</p>`];
+
+  const lines = [];
+  if (failure?.file) {
+    lines.push(`File: <code>${escapeHtml(failure.line ? `${failure.file}:${failure.line}` : failure.file)}</code>`);
+  }
+  const durationText = formatDuration(duration);
+  if (durationText) {
+    lines.push(`Duration: ${durationText}`);
+  }
+  if (failure?.retries) {
+    lines.push(`Retries: ${failure.retries}`);
+  }
+  if (buildMetadata?.buildUrl) {
+    const url = escapeHtml(buildMetadata.buildUrl);
+    const label = buildMetadata.provider && buildMetadata.buildNumber
+      ? escapeHtml(`${buildMetadata.provider} #${buildMetadata.buildNumber}`)
+      : url;
+    lines.push(`Build: <a href="${url}">${label}</a>`);
+  }
+  if (lines.length) {
+    blocks.push(`<p>${lines.join('<br>')}</p>`);
+  }
+
+  if (details && details !== message) {
+    blocks.push(`<details><summary>Stack trace</summary><pre>${escapeHtml(details)}</pre></details>`);
+  }
+  return blocks.join('');
+}
@@ -0,0 +1,178 @@
+/**
+ * testMapping.js
+ *
+ * Mapping files tie tests whose names cannot carry a `TC-123` marker
+ * (generated Java tests, third-party suites) to TestCollab case IDs.
+ *
+ * A test is identified by a stable key, "<container>#<test>":
+ * - JUnit / TRX:           "<classname>#<name>"
+ * - Mochawesome / Playwright: "<spec file>#<full title>"
+ * The container part is omitted when the reporter does not provide one.
+ *
+ * Supported files (by extension):
+ * - .json         { "<key>": 123, ... } or [{ "key": "<key>", "testCaseId": 123 }]
+ * - .yml / .yaml  the same shapes in YAML
+ * - .csv          "key,testCaseId" rows (header optional)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+
+export const MAPPING_FILE_TYPES = ['json', 'yaml', 'csv'];
+
+// Written by `tc report --auto-create`, read by `tc generateMapping`
+export const DEFAULT_AUTO_CREATE_RECORD_PATH = 'tmp/tc_auto_create.json';
+
+function normalizeKey(key) {
+  return String(key || '').replace(/\s+/g, ' ').trim();
+}
+
+function normalizeCaseId(value) {
+  const text = String(value ?? '').trim();
+  if (/^\d+$/.test(text)) {
+    return text;
+  }
+  const match = /^(?:TC|id|testcase)[-_ ]?(\d+)$/i.exec(text);
+  return match ? match[1] : null;
+}
+
+/** Build the mapping key of a test from its container (class or file) and name. */
+export function buildTestKey(container, name) {
+  const testPart = normalizeKey(name);
+  const containerPart = normalizeKey(container);
+  return containerPart ? `${containerPart}#${testPart}` : testPart;
+}
+
+/** Case ID the mapping assigns to a test key, or null. */
+export function getMappedTestCaseId(mapping, testKey) {
+  if (!mapping || !mapping.size || !testKey) {
+    return null;
+  }
+  return mapping.get(normalizeKey(testKey)) || null;
+}
+
+export function getMappingFileType(filePath) {
+  const extension = path.extname(String(filePath || '')).toLowerCase();
+  if (extension === '.yml' || extension === '.yaml') {
+    return 'yaml';
+  }
+  if (extension === '.csv') {
+    return 'csv';
+  }
+  return 'json';
+}
+
+/** Split one CSV line, honouring double-quoted fields ("" escapes a quote). */
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let index = 0; index < line.length; index += 1) {
+    const char = line[index];
+    if (quoted) {
+      if (char === '"' && line[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+function toCsvField(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function entriesFromData(data) {
+  if (Array.isArray(data)) {
+    return data.map(item => [item?.key, item?.testCaseId ?? item?.id]);
+  }
+  if (data && typeof data === 'object') {
+    return Object.entries(data);
+  }
+  return [];
+}
+
+/**
+ * Parse mapping file content into a Map of test key -> case ID.
+ * Throws on entries without a usable case ID so typos surface early.
+ */
+export function parseMappingContent(content, type = 'json') {
+  const text = String(content || '').replace(/^\uFEFF/, '');
+  let entries;
+  if (type === 'csv') {
+    entries = text
+      .split(/\r?\n/)
+      .filter(line => line.trim() && !line.trim().startsWith('#'))
+      .map(parseCsvLine)
+      .filter(([key, caseId], index) => !(index === 0 && /^key$/i.test(String(key).trim()) && !normalizeCaseId(caseId)));
+  } else if (type === 'yaml') {
+    entries = entriesFromData(yaml.load(text));
+  } else {
+    entries = entriesFromData(text.trim() ? JSON.parse(text) : {});
+  }
+
+  const mapping = new Map();
+  entries.forEach(([key, caseId]) => {
+    const normalizedKey = normalizeKey(key);
+    if (!normalizedKey) {
+      return;
+    }
+    const normalizedCaseId = normalizeCaseId(caseId);
+    if (!normalizedCaseId) {
+      throw new Error(`Invalid test case ID "${caseId}" for "${normalizedKey}"`);
+    }
+    mapping.set(normalizedKey, normalizedCaseId);
+  });
+  return mapping;
+}
+
+export function readMappingFile(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  try {
+    return parseMappingContent(content, getMappingFileType(filePath));
+  } catch (error) {
+    throw new Error(`Invalid mapping file ${filePath}: ${error?.message || String(error)}`);
+  }
+}
+
+/** Serialize a mapping (sorted by key) in the format of the target file. */
+export function formatMapping(mapping, type = 'json') {
+  const entries = [...mapping.entries()].sort(([a], [b]) => a.localeCompare(b));
+  if (type === 'csv') {
+    return `key,testCaseId\n${entries.map(([key, caseId]) => `${toCsvField(key)},${caseId}`).join('\n')}\n`;
+  }
+  const data = Object.fromEntries(entries.map(([key, caseId]) => [key, Number(caseId)]));
+  if (type === 'yaml') {
+    return yaml.dump(data, { lineWidth: -1 });
+  }
+  return `${JSON.stringify(data, null, 2)}\n`;
+}
+
+/**
+ * Record of the case each test was matched to or created as during an
+ * --auto-create run, for `tc generateMapping`.
+ */
+export function buildAutoCreateRecord({ projectId, testPlanId, allTests }) {
+  return {
+    project: projectId,
+    testPlanId,
+    tests: (allTests || [])
+      .filter(test => test.testKey && test.tcId)
+      .map(test => ({ key: test.testKey, testCaseId: Number(test.tcId), title: test.title }))
+  };
+}
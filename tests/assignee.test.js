@@ -0,0 +1,161 @@
+/**
+ * Tests for --as-user and --any-assignee on tc report.
+ *
+ * These tests verify that:
+ * 1. By default only cases assigned to the API key owner are matched
+ * 2. --as-user matches the cases of another user, looked up by ID or email;
+ *    only a missing user reads as "not found", other API errors are reported
+ * 3. --any-assignee matches every executed case in the run, and the summary
+ *    records which assignee each updated case belonged to
+ * 4. --any-assignee with --skip-missing needs an explicit --missing-scope
+ */
+
+import { jest } from '@jest/globals';
+import path from 'path';
+import { report, uploadUsingReporterFlow } from '../src/commands/report.js';
+
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), { status });
+}
+
+const users = {
+  7: { id: 7, firstName: 'CI', lastName: 'Bot', email: 'ci@acme.test' },
+  8: { id: 8, firstName: 'Ana', email: 'ana@acme.test' },
+  9: { id: 9, username: 'bo', email: 'bo@acme.test' }
+};
+
+const executedCases = [
+  { id: 500, test_plan_test_case: { id: 900, test_case: 100 }, test_plan_config: null, assigned_to: users[8] },
+  { id: 501, test_plan_test_case: { id: 901, test_case: 101 }, test_plan_config: null, assigned_to: users[9] },
+  { id: 502, test_plan_test_case: { id: 902, test_case: 102 }, test_plan_config: null, assigned_to: 7 }
+];
+
+describe('uploadUsingReporterFlow assignee modes', () => {
+  const originalFetch = global.fetch;
+  let caseQueries;
+  let updates;
+
+  beforeEach(() => {
+    caseQueries = [];
+    updates = [];
+    global.fetch = jest.fn(async (url, options = {}) => {
+      const { pathname, searchParams } = new URL(url);
+      const method = options.method || 'GET';
+      if (pathname === '/system') return jsonResponse({});
+      if (pathname === '/projects/1') return jsonResponse({ id: 1 });
+      if (pathname === '/testplans/2') return jsonResponse({ id: 2, project: { id: 1 } });
+      if (pathname === '/testplanregressions') return jsonResponse([{ id: 3 }]);
+      if (pathname === '/testplanconfigurations') return jsonResponse([]);
+      if (pathname === '/users/me') return jsonResponse(users[7]);
+      if (pathname === '/users') {
+        return jsonResponse(Object.values(users).filter(user => user.email === searchParams.get('email')));
+      }
+      const userMatch = pathname.match(/^\/users\/(\d+)$/);
+      if (userMatch) {
+        return users[userMatch[1]] ? jsonResponse(users[userMatch[1]]) : jsonResponse({ message: 'not found' }, 404);
+      }
+      if (pathname === '/executedtestcases' && method === 'GET') {
+        const assignedTo = searchParams.get('assigned_to');
+        caseQueries.push(assignedTo);
+        return jsonResponse(executedCases.filter((execCase) => {
+          const assigneeId = typeof execCase.assigned_to === 'object' ? execCase.assigned_to.id : execCase.assigned_to;
+          return assignedTo === null || String(assigneeId) === assignedTo;
+        }));
+      }
+      const match = pathname.match(/^\/executedtestcases\/(\d+)$/);
+      if (match && method === 'PUT') {
+        updates.push(Number(match[1]));
+        return jsonResponse({ id: Number(match[1]) });
+      }
+      return jsonResponse({ message: 'not found' }, 404);
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    jest.restoreAllMocks();
+  });
+
+  function upload(overrides = {}) {
+    return uploadUsingReporterFlow({
+      apiKey: 'token',
+      projectId: 1,
+      testPlanId: 2,
+      apiUrl: 'http://tc.test',
+      hasConfig: false,
+      resultsToUpload: {
+        0: ['100', '101', '102'].map(tcId => ({ tcId, status: 1, title: `case ${tcId}`, duration: 0 }))
+      },
+      unresolvedIds: [],
+      ...overrides
+    });
+  }
+
+  test('matches only the API key owner\'s cases by default', async () => {
+    const summary = await upload();
+
+    expect(caseQueries).toEqual(['7']);
+    expect(updates).toEqual([502]);
+    expect(summary.unmatchedCaseIds).toEqual(['100', '101']);
+  });
+
+  test('--as-user matches another user\'s cases, by email or ID', async () => {
+    const byEmail = await upload({ asUser: 'ana@acme.test' });
+    expect(byEmail.updatedCases).toEqual([{ tcId: '100', configId: '0', executedCaseId: 500, assignee: 'Ana' }]);
+
+    const byId = await upload({ asUser: '9', dryRun: true });
+    expect(byId.assignedTo).toBe('bo');
+    expect(byId.results).toEqual([expect.objectContaining({ tcId: '101', executedCaseId: 501, assignee: 'bo' })]);
+    expect(caseQueries).toEqual(['8', '9']);
+  });
+
+  test('--as-user fails for an unknown user', async () => {
+    await expect(upload({ asUser: 'nobody@acme.test' })).rejects.toThrow('User "nobody@acme.test" could not be found.');
+    await expect(upload({ asUser: '404' })).rejects.toThrow('User "404" could not be found.');
+    expect(updates).toEqual([]);
+  });
+
+  test('--as-user reports API errors instead of a missing user', async () => {
+    const apiFetch = global.fetch;
+    global.fetch = jest.fn(async (url, options) => (new URL(url).pathname.startsWith('/users/8')
+      ? jsonResponse({ message: 'Forbidden' }, 403)
+      : apiFetch(url, options)));
+
+    await expect(upload({ asUser: '8' })).rejects.toMatchObject({ status: 403, message: 'Forbidden' });
+    expect(updates).toEqual([]);
+  });
+
+  test('--any-assignee matches every case and reports each assignee', async () => {
+    const summary = await upload({ anyAssignee: true });
+
+    expect(caseQueries).toEqual([null]);
+    expect(summary.unmatchedCaseIds).toEqual([]);
+    expect(summary.updatedCases.map(({ tcId, assignee }) => [tcId, assignee]).sort()).toEqual([
+      ['100', 'Ana'],
+      ['101', 'bo'],
+      ['102', 'user 7']
+    ]);
+  });
+
+  test('--any-assignee with --skip-missing needs --missing-scope', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const exit = jest.spyOn(process, 'exit').mockImplementation(() => {
+      throw new Error('exit');
+    });
+
+    await expect(report({
+      apiKey: 'token',
+      project: '1',
+      testPlanId: '2',
+      apiUrl: 'http://tc.test',
+      resultFile: [path.join(process.cwd(), 'samples/reports/junit.xml')],
+      anyAssignee: true,
+      skipMissing: true
+    })).rejects.toThrow('exit');
+    expect(exit).toHaveBeenCalledWith(1);
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('limit it with --missing-scope'));
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
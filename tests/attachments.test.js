@@ -0,0 +1,219 @@
+/**
+ * Tests for result attachments (screenshots, videos, logs) in tc report.
+ *
+ * These tests verify that:
+ * 1. Mochawesome context, JUnit [[ATTACHMENT|path]] lines and Playwright
+ *    attachments are picked up as file references
+ * 2. report() resolves relative paths against the result file and uploads
+ *    each file to the matching executed case
+ * 3. Missing or oversized files are skipped, and --no-attachments skips all
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  parseJUnitReport,
+  parseMochawesomeReport,
+  parsePlaywrightReport,
+  report
+} from '../src/commands/report.js';
+
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), { status });
+}
+
+function mockApi() {
+  const uploads = [];
+  const assignedCases = [
+    { id: 500, test_plan_test_case: { id: 900, test_case: 1913 }, test_plan_config: null },
+    { id: 501, test_plan_test_case: { id: 901, test_case: 1914 }, test_plan_config: null }
+  ];
+  global.fetch = jest.fn(async (url, options = {}) => {
+    const { pathname } = new URL(url);
+    const method = options.method || 'GET';
+    if (pathname === '/system') return jsonResponse({});
+    if (pathname === '/projects/1') return jsonResponse({ id: 1 });
+    if (pathname === '/testplans/2') return jsonResponse({ id: 2, project: { id: 1 } });
+    if (pathname === '/testplanregressions') return jsonResponse([{ id: 3 }]);
+    if (pathname === '/testplanconfigurations') return jsonResponse([]);
+    if (pathname === '/users/me') return jsonResponse({ id: 7 });
+    if (pathname === '/executedtestcases' && method === 'GET') return jsonResponse(assignedCases);
+    if (pathname === '/executioncomments') return jsonResponse({ id: 1 });
+    if (pathname === '/upload') {
+      const file = options.body.get('files');
+      uploads.push({
+        refId: options.body.get('refId'),
+        ref: options.body.get('ref'),
+        name: file.name,
+        content: await file.text()
+      });
+      return jsonResponse([{ id: uploads.length }]);
+    }
+    if (pathname.endsWith('/updateTimeTaken')) return jsonResponse({});
+    const match = pathname.match(/^\/executedtestcases\/(\d+)$/);
+    if (match) return jsonResponse({ id: Number(match[1]) });
+    return jsonResponse({ message: 'not found' }, 404);
+  });
+  return uploads;
+}
+
+describe('attachment references in result files', () => {
+  test('Mochawesome context values that look like files', () => {
+    const parsed = parseMochawesomeReport({
+      results: [{
+        title: '',
+        tests: [],
+        suites: [{
+          title: 'Login',
+          tests: [{
+            title: '[TC-1914] should reject',
+            state: 'failed',
+            fail: true,
+            err: { message: 'nope' },
+            context: JSON.stringify([
+              { title: 'Screenshot', value: 'screenshots/reject.png' },
+              'https://ci.example.com/build/1',
+              'plain note'
+            ])
+          }],
+          suites: []
+        }]
+      }]
+    });
+
+    expect(parsed.resultsToUpload[0][0].attachments).toEqual([
+      { name: 'Screenshot', path: 'screenshots/reject.png' }
+    ]);
+  });
+
+  test('JUnit [[ATTACHMENT|path]] lines in system-out', () => {
+    const parsed = parseJUnitReport(`<?xml version="1.0"?>
+<testsuite name="Login">
+  <testcase classname="Login" name="[TC-1914] should reject">
+    <failure message="nope">trace</failure>
+    <system-out>[[ATTACHMENT|logs/reject.log]]</system-out>
+  </testcase>
+  <testcase classname="Login" name="[TC-1913] should pass" />
+</testsuite>`);
+
+    const [failed, passed] = parsed.resultsToUpload[0];
+    expect(failed.attachments).toEqual([{ name: 'reject.log', path: 'logs/reject.log' }]);
+    expect(passed).not.toHaveProperty('attachments');
+  });
+
+  test('Playwright attachments from every attempt, without duplicates', () => {
+    const parsed = parsePlaywrightReport({
+      config: {},
+      suites: [{
+        title: 'login.spec.ts',
+        specs: [{
+          title: '[TC-1914] should reject',
+          tests: [{
+            projectName: 'chromium',
+            results: [
+              { status: 'failed', retry: 0, attachments: [{ name: 'screenshot', contentType: 'image/png', path: 'shots/a.png' }] },
+              {
+                status: 'failed',
+                retry: 1,
+                attachments: [
+                  { name: 'screenshot', contentType: 'image/png', path: 'shots/a.png' },
+                  { name: 'video', contentType: 'video/webm', path: 'videos/b.webm' },
+                  { name: 'inline', contentType: 'text/plain', body: 'aGk=' }
+                ]
+              }
+            ]
+          }]
+        }]
+      }]
+    });
+
+    expect(parsed.resultsToUpload[0][0].attachments).toEqual([
+      { name: 'screenshot', path: 'shots/a.png', contentType: 'image/png' },
+      { name: 'video', path: 'videos/b.webm', contentType: 'video/webm' }
+    ]);
+  });
+});
+
+describe('tc report attachment upload', () => {
+  const originalFetch = global.fetch;
+  let tmpDir;
+  let resultFile;
+
+  function run(overrides = {}) {
+    return report({
+      apiKey: 'token',
+      project: '1',
+      testPlanId: '2',
+      apiUrl: 'http://tc.test',
+      resultFile: [resultFile],
+      journal: path.join(tmpDir, 'journal.json'),
+      ...overrides
+    });
+  }
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tc-attach-'));
+    fs.mkdirSync(path.join(tmpDir, 'reports', 'logs'), { recursive: true });
+    fs.writeFileSync(path.join(tmpDir, 'reports', 'logs', 'reject.log'), 'server said no');
+    fs.writeFileSync(path.join(tmpDir, 'reports', 'logs', 'big.log'), 'x'.repeat(2 * 1024 * 1024));
+    resultFile = path.join(tmpDir, 'reports', 'results.xml');
+    fs.writeFileSync(resultFile, `<?xml version="1.0"?>
+<testsuite name="Login">
+  <testcase classname="Login" name="[TC-1914] should reject">
+    <failure message="nope">trace</failure>
+    <system-out>[[ATTACHMENT|logs/reject.log]]
+[[ATTACHMENT|logs/big.log]]
+[[ATTACHMENT|logs/missing.png]]</system-out>
+  </testcase>
+  <testcase classname="Login" name="[TC-1913] should pass" />
+</testsuite>`);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('uploads files relative to the result file and skips missing or large ones', async () => {
+    const uploads = mockApi();
+    const outputPath = path.join(tmpDir, 'summary.json');
+    await run({ maxAttachmentSize: '1', outputJson: outputPath });
+
+    expect(uploads).toEqual([
+      { refId: '501', ref: 'executedtestcase', name: 'reject.log', content: 'server said no' }
+    ]);
+    expect(JSON.parse(fs.readFileSync(outputPath, 'utf8'))).toMatchObject({
+      attachmentsUploaded: 1,
+      attachmentsSkipped: 2
+    });
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Attachment too large for TC 1914'));
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Attachment not found for TC 1914'));
+  });
+
+  test('--no-attachments uploads results only', async () => {
+    const uploads = mockApi();
+    await run({ attachments: false });
+
+    expect(uploads).toEqual([]);
+    expect(global.fetch).toHaveBeenCalledWith(
+      expect.stringContaining('/executedtestcases/501'),
+      expect.objectContaining({ method: 'PUT' })
+    );
+  });
+
+  test('rejects a non-positive --max-attachment-size', async () => {
+    mockApi();
+    const exit = jest.spyOn(process, 'exit').mockImplementation(() => {
+      throw new Error('exit');
+    });
+
+    await expect(run({ maxAttachmentSize: '0' })).rejects.toThrow('exit');
+    expect(exit).toHaveBeenCalledWith(1);
+  });
+});
@@ -0,0 +1,249 @@
+/**
+ * Tests for CI build metadata on test plans.
+ *
+ * These tests verify that:
+ * 1. The build URL, commit, branch and runner are read from each supported
+ *    CI service's environment, and --build-url/--commit/--branch override them
+ * 2. The build block in a plan description is replaced, not appended, on
+ *    repeated uploads
+ * 3. uploadUsingReporterFlow() writes the block to the plan description only
+ *    with --record-build, and leaves the plan alone in a dry run
+ */
+
+import { jest } from '@jest/globals';
+import {
+  applyBuildMetadataToDescription,
+  detectCiMetadata,
+  resolveBuildMetadata
+} from '../src/utils/ciMetadata.js';
+import { uploadUsingReporterFlow } from '../src/commands/report.js';
+
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), { status });
+}
+
+describe('detectCiMetadata', () => {
+  test.each([
+    [
+      'GitHub Actions',
+      {
+        GITHUB_ACTIONS: 'true',
+        GITHUB_SERVER_URL: 'https://github.com',
+        GITHUB_REPOSITORY: 'acme/shop',
+        GITHUB_RUN_ID: '991',
+        GITHUB_RUN_NUMBER: '42',
+        GITHUB_SHA: 'a1b2c3',
+        GITHUB_REF_NAME: '17/merge',
+        GITHUB_HEAD_REF: 'feature/login',
+        RUNNER_NAME: 'GitHub Actions 3'
+      },
+      {
+        buildUrl: 'https://github.com/acme/shop/actions/runs/991',
+        buildNumber: '42',
+        commit: 'a1b2c3',
+        branch: 'feature/login',
+        runner: 'GitHub Actions 3'
+      }
+    ],
+    [
+      'GitLab CI',
+      {
+        GITLAB_CI: 'true',
+        CI_PIPELINE_URL: 'https://gitlab.com/acme/shop/-/pipelines/5',
+        CI_PIPELINE_IID: '12',
+        CI_COMMIT_SHA: 'd4e5f6',
+        CI_COMMIT_REF_NAME: 'main',
+        CI_RUNNER_DESCRIPTION: 'shared-runner'
+      },
+      {
+        buildUrl: 'https://gitlab.com/acme/shop/-/pipelines/5',
+        buildNumber: '12',
+        commit: 'd4e5f6',
+        branch: 'main',
+        runner: 'shared-runner'
+      }
+    ],
+    [
+      'Jenkins',
+      {
+        JENKINS_URL: 'https://jenkins.acme.test/',
+        BUILD_URL: 'https://jenkins.acme.test/job/shop/7/',
+        BUILD_NUMBER: '7',
+        GIT_COMMIT: '0a0b0c',
+        GIT_BRANCH: 'origin/release',
+        NODE_NAME: 'agent-2'
+      },
+      {
+        buildUrl: 'https://jenkins.acme.test/job/shop/7/',
+        buildNumber: '7',
+        commit: '0a0b0c',
+        branch: 'release',
+        runner: 'agent-2'
+      }
+    ],
+    [
+      'CircleCI',
+      {
+        CIRCLECI: 'true',
+        CIRCLE_BUILD_URL: 'https://circleci.com/gh/acme/shop/88',
+        CIRCLE_BUILD_NUM: '88',
+        CIRCLE_SHA1: 'fff000',
+        CIRCLE_BRANCH: 'develop',
+        CIRCLE_JOB: 'e2e'
+      },
+      {
+        buildUrl: 'https://circleci.com/gh/acme/shop/88',
+        buildNumber: '88',
+        commit: 'fff000',
+        branch: 'develop',
+        runner: 'e2e'
+      }
+    ],
+    [
+      'Azure Pipelines',
+      {
+        TF_BUILD: 'True',
+        SYSTEM_COLLECTIONURI: 'https://dev.azure.com/acme/',
+        SYSTEM_TEAMPROJECT: 'Shop App',
+        BUILD_BUILDID: '314',
+        BUILD_BUILDNUMBER: '20260101.1',
+        BUILD_SOURCEVERSION: 'cafe01',
+        BUILD_SOURCEBRANCH: 'refs/heads/main',
+        AGENT_NAME: 'Hosted Agent'
+      },
+      {
+        buildUrl: 'https://dev.azure.com/acme/Shop%20App/_build/results?buildId=314',
+        buildNumber: '20260101.1',
+        commit: 'cafe01',
+        branch: 'main',
+        runner: 'Hosted Agent'
+      }
+    ],
+    [
+      'Buildkite',
+      {
+        BUILDKITE: 'true',
+        BUILDKITE_BUILD_URL: 'https://buildkite.com/acme/shop/builds/9',
+        BUILDKITE_BUILD_NUMBER: '9',
+        BUILDKITE_COMMIT: 'beef99',
+        BUILDKITE_BRANCH: 'main',
+        BUILDKITE_AGENT_NAME: 'bk-agent-1'
+      },
+      {
+        buildUrl: 'https://buildkite.com/acme/shop/builds/9',
+        buildNumber: '9',
+        commit: 'beef99',
+        branch: 'main',
+        runner: 'bk-agent-1'
+      }
+    ]
+  ])('reads %s variables', (provider, env, expected) => {
+    expect(detectCiMetadata(env)).toEqual({ provider, ...expected });
+  });
+
+  test('returns null outside CI', () => {
+    expect(detectCiMetadata({ HOME: '/home/dev' })).toBeNull();
+    expect(resolveBuildMetadata({}, { HOME: '/home/dev' })).toBeNull();
+  });
+
+  test('explicit options override detected values and work outside CI', () => {
+    expect(resolveBuildMetadata(
+      { commit: 'override', branch: 'hotfix' },
+      { GITLAB_CI: 'true', CI_COMMIT_SHA: 'detected', CI_COMMIT_REF_NAME: 'main' }
+    )).toMatchObject({ provider: 'GitLab CI', commit: 'override', branch: 'hotfix' });
+
+    expect(resolveBuildMetadata({ buildUrl: 'https://ci.acme.test/1' }, {})).toEqual({
+      provider: null,
+      buildUrl: 'https://ci.acme.test/1',
+      buildNumber: null,
+      commit: null,
+      branch: null,
+      runner: null
+    });
+  });
+});
+
+describe('applyBuildMetadataToDescription', () => {
+  test('appends the block once and replaces it on later builds', () => {
+    const first = applyBuildMetadataToDescription('<p>Nightly</p>', { provider: 'Jenkins', commit: 'aaa' });
+    expect(first).toBe('<p>Nightly</p><p><strong>CI build</strong><br>Provider: Jenkins<br>Commit: aaa</p>');
+
+    const second = applyBuildMetadataToDescription(first, { commit: 'bbb', buildUrl: 'https://ci/<2>' });
+    expect(second).toBe('<p>Nightly</p><p><strong>CI build</strong><br>Build: <a href="https://ci/&lt;2&gt;">https://ci/&lt;2&gt;</a><br>Commit: bbb</p>');
+  });
+});
+
+describe('uploadUsingReporterFlow with build metadata', () => {
+  const originalFetch = global.fetch;
+  const buildMetadata = { provider: 'GitHub Actions', buildUrl: 'https://ci/run/1', commit: 'abc', branch: 'main' };
+  let planUpdates;
+
+  beforeEach(() => {
+    planUpdates = [];
+    global.fetch = jest.fn(async (url, options = {}) => {
+      const { pathname } = new URL(url);
+      const method = options.method || 'GET';
+      if (pathname === '/system') return jsonResponse({});
+      if (pathname === '/projects/1') return jsonResponse({ id: 1 });
+      if (pathname === '/testplans/2' && method === 'PUT') {
+        planUpdates.push(JSON.parse(options.body));
+        return jsonResponse({ id: 2 });
+      }
+      if (pathname === '/testplans/2') {
+        return jsonResponse({ id: 2, project: { id: 1 }, description: '<p>Regression</p>' });
+      }
+      if (pathname === '/testplanregressions') return jsonResponse([{ id: 3 }]);
+      if (pathname === '/testplanconfigurations') return jsonResponse([]);
+      if (pathname === '/users/me') return jsonResponse({ id: 7 });
+      if (pathname === '/executedtestcases' && method === 'GET') {
+        return jsonResponse([{ id: 500, test_plan_test_case: { id: 900, test_case: 100 }, test_plan_config: null }]);
+      }
+      const match = pathname.match(/^\/executedtestcases\/(\d+)$/);
+      if (match) return jsonResponse({ id: Number(match[1]) });
+      return jsonResponse({ message: 'not found' }, 404);
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    jest.restoreAllMocks();
+  });
+
+  function upload(overrides = {}) {
+    return uploadUsingReporterFlow({
+      apiKey: 'token',
+      projectId: 1,
+      testPlanId: 2,
+      apiUrl: 'http://tc.test',
+      hasConfig: false,
+      resultsToUpload: { 0: [{ tcId: '100', status: 1, title: 'a', duration: 0 }] },
+      unresolvedIds: [],
+      buildMetadata,
+      ...overrides
+    });
+  }
+
+  test('leaves the test plan description alone by default', async () => {
+    await upload();
+
+    expect(planUpdates).toEqual([]);
+  });
+
+  test('--record-build records the build in the test plan description', async () => {
+    await upload({ recordBuild: true });
+
+    expect(planUpdates).toEqual([{
+      description: '<p>Regression</p><p><strong>CI build</strong><br>Provider: GitHub Actions<br>'
+        + 'Build: <a href="https://ci/run/1">https://ci/run/1</a><br>Commit: abc<br>Branch: main</p>'
+    }]);
+  });
+
+  test('a dry run returns the build without writing it', async () => {
+    const plan = await upload({ dryRun: true, recordBuild: true });
+
+    expect(plan).toMatchObject({ build: buildMetadata, recordBuild: true });
+    expect(planUpdates).toEqual([]);
+  });
+});
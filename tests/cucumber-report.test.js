@@ -0,0 +1,210 @@
+/**
+ * Tests for the Cucumber result format (Cucumber JSON and @cucumber/messages NDJSON).
+ *
+ * These tests verify that:
+ * 1. Scenarios carry the same scenario hash `tc sync` computes for the feature file
+ * 2. Background steps and hooks are excluded from per-step results
+ * 3. Scenario Outline rows fold into one result per synced test case
+ * 4. @TC-123 tags still work as explicit IDs
+ */
+
+import { parseCucumberReport } from '../src/commands/report.js';
+import { parseGherkinFile } from '../src/commands/featuresync.js';
+
+const FEATURE_URI = 'features/login.feature';
+const FEATURE_SOURCE = `Feature: Login
+  Background:
+    Given the app is running
+
+  Scenario: Successful login
+    When I log in as "alice"
+    Then I see the dashboard
+
+  @TC-77
+  Scenario: Logout
+    When I log out
+    Then I see the login page
+
+  Scenario Outline: Lockout
+    When I fail to log in <times> times
+    Then the account is <state>
+
+    Examples:
+      | times | state  |
+      | 3     | active |
+      | 5     | locked |
+`;
+
+const syncedScenarios = parseGherkinFile(FEATURE_SOURCE, FEATURE_URI).scenarios;
+const hashOf = title => syncedScenarios.find(s => s.title === title).hash;
+const readFeatureFile = uri => (uri === FEATURE_URI ? FEATURE_SOURCE : null);
+
+const step = (keyword, name, line, status, extra = {}) => ({
+  keyword,
+  name,
+  line,
+  result: { status, duration: 500000000, ...extra }
+});
+
+const cucumberJson = JSON.stringify([
+  {
+    uri: FEATURE_URI,
+    name: 'Login',
+    elements: [
+      {
+        type: 'scenario',
+        name: 'Successful login',
+        line: 5,
+        steps: [
+          { keyword: 'Before', hidden: true, result: { status: 'passed', duration: 1000 } },
+          step('Given ', 'the app is running', 3, 'passed'),
+          step('When ', 'I log in as "alice"', 6, 'passed'),
+          step('Then ', 'I see the dashboard', 7, 'failed', { error_message: 'expected dashboard' })
+        ]
+      },
+      {
+        type: 'scenario',
+        name: 'Logout',
+        line: 10,
+        tags: [{ name: '@TC-77' }],
+        steps: [
+          step('Given ', 'the app is running', 3, 'passed'),
+          step('When ', 'I log out', 11, 'passed'),
+          step('Then ', 'I see the login page', 12, 'passed')
+        ]
+      },
+      {
+        type: 'scenario',
+        name: 'Lockout',
+        line: 20,
+        steps: [
+          step('Given ', 'the app is running', 3, 'passed'),
+          step('When ', 'I fail to log in 3 times', 15, 'passed'),
+          step('Then ', 'the account is active', 16, 'passed')
+        ]
+      },
+      {
+        type: 'scenario',
+        name: 'Lockout',
+        line: 21,
+        steps: [
+          step('Given ', 'the app is running', 3, 'passed'),
+          step('When ', 'I fail to log in 5 times', 15, 'passed'),
+          step('Then ', 'the account is locked', 16, 'undefined')
+        ]
+      }
+    ]
+  }
+]);
+
+describe('parseCucumberReport — Cucumber JSON', () => {
+  test('uses the tc sync scenario hash for each scenario', () => {
+    const report = parseCucumberReport(cucumberJson, { readFeatureFile });
+    expect(report.format).toBe('cucumber');
+    expect(report.allTests.map(t => t.scenarioHash)).toEqual([
+      hashOf('Successful login'),
+      hashOf('Logout'),
+      hashOf('Lockout')
+    ]);
+  });
+
+  test('reports per-step results without background steps or hooks', () => {
+    const report = parseCucumberReport(cucumberJson, { readFeatureFile });
+    const login = report.allTests[0];
+    expect(login.stepResults).toEqual([1, 2]);
+    expect(login.status).toBe(2);
+    expect(login.errDetails).toContain('Then I see the dashboard');
+    expect(login.errDetails).toContain('expected dashboard');
+  });
+
+  test('folds Scenario Outline rows into a single result', () => {
+    const report = parseCucumberReport(cucumberJson, { readFeatureFile });
+    const lockout = report.allTests[2];
+    expect(report.allTests).toHaveLength(3);
+    expect(lockout.stepResults).toEqual([1, 3]);
+    expect(lockout.status).toBe(3);
+    expect(lockout.duration).toBe(4);
+  });
+
+  test('uses @TC tags as explicit IDs and leaves the rest for hash resolution', () => {
+    const report = parseCucumberReport(cucumberJson, { readFeatureFile });
+    expect(report.resultsToUpload['0']).toHaveLength(1);
+    expect(report.resultsToUpload['0'][0]).toMatchObject({ tcId: '77', stepResults: [1, 1] });
+    expect(report.unresolvedIds).toEqual(['Successful login', 'Lockout']);
+  });
+
+  test('still parses results when the feature file is not available', () => {
+    const report = parseCucumberReport(cucumberJson);
+    expect(report.allTests[0].scenarioHash).toBeNull();
+    expect(report.allTests[0].stepResults).toEqual([1, 2]);
+  });
+});
+
+describe('parseCucumberReport — @cucumber/messages NDJSON', () => {
+  const envelopes = [
+    { source: { uri: FEATURE_URI, data: FEATURE_SOURCE, mediaType: 'text/x.cucumber.gherkin+plain' } },
+    {
+      gherkinDocument: {
+        uri: FEATURE_URI,
+        feature: {
+          name: 'Login',
+          children: [
+            { background: { id: 'bg', steps: [{ id: 'bg-1' }] } },
+            { scenario: { id: 'sc-1', location: { line: 5 }, steps: [{ id: 's1-1' }, { id: 's1-2' }] } }
+          ]
+        }
+      }
+    },
+    {
+      pickle: {
+        id: 'p1',
+        uri: FEATURE_URI,
+        name: 'Successful login',
+        astNodeIds: ['sc-1'],
+        tags: [],
+        steps: [
+          { id: 'ps-bg', text: 'the app is running', astNodeIds: ['bg-1'] },
+          { id: 'ps-1', text: 'I log in as "alice"', astNodeIds: ['s1-1'] },
+          { id: 'ps-2', text: 'I see the dashboard', astNodeIds: ['s1-2'] }
+        ]
+      }
+    },
+    {
+      testCase: {
+        id: 'tc1',
+        pickleId: 'p1',
+        testSteps: [{ id: 'hook' }, { id: 'ts-bg', pickleStepId: 'ps-bg' }, { id: 'ts-1', pickleStepId: 'ps-1' }, { id: 'ts-2', pickleStepId: 'ps-2' }]
+      }
+    },
+    { testCaseStarted: { id: 'run-1', testCaseId: 'tc1', attempt: 0 } },
+    { testStepFinished: { testCaseStartedId: 'run-1', testStepId: 'ts-2', testStepResult: { status: 'FAILED', message: 'boom', duration: { seconds: 1, nanos: 0 } } } },
+    { testCaseFinished: { testCaseStartedId: 'run-1', willBeRetried: true } },
+    { testCaseStarted: { id: 'run-2', testCaseId: 'tc1', attempt: 1 } },
+    { testStepFinished: { testCaseStartedId: 'run-2', testStepId: 'hook', testStepResult: { status: 'PASSED', duration: { seconds: 0, nanos: 0 } } } },
+    { testStepFinished: { testCaseStartedId: 'run-2', testStepId: 'ts-bg', testStepResult: { status: 'PASSED', duration: { seconds: 0, nanos: 200000000 } } } },
+    { testStepFinished: { testCaseStartedId: 'run-2', testStepId: 'ts-1', testStepResult: { status: 'PASSED', duration: { seconds: 1, nanos: 0 } } } },
+    { testStepFinished: { testCaseStartedId: 'run-2', testStepId: 'ts-2', testStepResult: { status: 'PASSED', duration: { seconds: 0, nanos: 500000000 } } } },
+    { testCaseFinished: { testCaseStartedId: 'run-2', willBeRetried: false } }
+  ];
+  const ndjson = envelopes.map(e => JSON.stringify(e)).join('\n');
+
+  test('hashes scenarios from the embedded source', () => {
+    const report = parseCucumberReport(ndjson);
+    expect(report.allTests).toHaveLength(1);
+    expect(report.allTests[0].scenarioHash).toBe(hashOf('Successful login'));
+    expect(report.allTests[0].suite).toBe('Login');
+  });
+
+  test('uses the last attempt and excludes background steps', () => {
+    const report = parseCucumberReport(ndjson);
+    const test = report.allTests[0];
+    expect(test.status).toBe(1);
+    expect(test.stepResults).toEqual([1, 1]);
+    expect(test.duration).toBe(2);
+    expect(report.stats).toEqual({ tests: 1, passes: 1, failures: 0, skipped: 0 });
+  });
+
+  test('rejects malformed lines with their line number', () => {
+    expect(() => parseCucumberReport(`${ndjson}\nnot json`)).toThrow(/line 14/);
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Tests for tc report --dry-run.
+ *
+ * These tests verify that:
+ * 1. buildUploadPlan() lists matched updates, unmatched results and skip-missing cases
+ * 2. A dry run performs GET lookups only
+ * 3. report() prints the plan as a table or as JSON
+ */
+
+import { jest } from '@jest/globals';
+import path from 'path';
+import { buildUploadPlan, report, uploadUsingReporterFlow } from '../src/commands/report.js';
+
+const assignedCases = [
+  { id: 500, test_plan_test_case: { id: 900, test_case: 1913 }, test_plan_config: null },
+  { id: 501, test_plan_test_case: { id: 901, test_case: 1914 }, test_plan_config: null },
+  { id: 502, test_plan_test_case: { id: 902, test_case: 2000 }, test_plan_config: null }
+];
+
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), { status });
+}
+
+function mockApi() {
+  global.fetch = jest.fn(async (url, options = {}) => {
+    const { pathname } = new URL(url);
+    if ((options.method || 'GET') !== 'GET') return jsonResponse({ message: 'unexpected write' }, 500);
+    if (pathname === '/system') return jsonResponse({});
+    if (pathname === '/projects/1') return jsonResponse({ id: 1 });
+    if (pathname === '/testplans/2') return jsonResponse({ id: 2, project: { id: 1 } });
+    if (pathname === '/testplanregressions') return jsonResponse([{ id: 3 }]);
+    if (pathname === '/testplanconfigurations') return jsonResponse([]);
+    if (pathname === '/users/me') return jsonResponse({ id: 7 });
+    if (pathname === '/executedtestcases') return jsonResponse(assignedCases);
+    return jsonResponse({ message: 'not found' }, 404);
+  });
+}
+
+describe('buildUploadPlan', () => {
+  const resultsToUpload = {
+    0: [
+      { tcId: '1913', status: 1, errDetails: null, title: 'passes' },
+      { tcId: '1914', status: 2, errDetails: 'boom', title: 'fails' },
+      { tcId: '4242', status: 1, errDetails: null, title: 'not in plan' }
+    ]
+  };
+
+  test('maps results to executed cases and lists unmatched ones', () => {
+    const plan = buildUploadPlan({ casesAssigned: assignedCases, resultsToUpload, hasConfig: false, unresolvedIds: ['no id'] });
+    expect(plan.results).toEqual([
+      { tcId: '1913', configId: '0', title: 'passes', executedCaseId: 500, status: 'pass', comment: false, attachments: 0, assignee: null },
+      { tcId: '1914', configId: '0', title: 'fails', executedCaseId: 501, status: 'fail', comment: true, attachments: 0, assignee: null }
+    ]);
+    expect(plan.unmatched).toEqual([{ tcId: '4242', configId: '0', title: 'not in plan' }]);
+    expect(plan.unresolved).toEqual(['no id']);
+    expect(plan.skipMissing).toEqual([]);
+  });
+
+  test('lists what --skip-missing would skip', () => {
+    const plan = buildUploadPlan({ casesAssigned: assignedCases, resultsToUpload, hasConfig: false, skipMissing: true });
+    expect(plan.skipMissing).toEqual([{ configId: '0', testCaseIds: [2000] }]);
+  });
+});
+
+describe('tc report --dry-run', () => {
+  const originalFetch = global.fetch;
+  const resultFile = path.join(process.cwd(), 'samples/reports/junit.xml');
+
+  beforeEach(() => {
+    mockApi();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    jest.restoreAllMocks();
+  });
+
+  test('uploadUsingReporterFlow only performs GET requests', async () => {
+    const plan = await uploadUsingReporterFlow({
+      apiKey: 'token',
+      projectId: 1,
+      testPlanId: 2,
+      apiUrl: 'http://tc.test',
+      hasConfig: false,
+      resultsToUpload: { 0: [{ tcId: '1913', status: 1, title: 'passes' }] },
+      unresolvedIds: [],
+      skipMissing: true,
+      dryRun: true
+    });
+
+    const methods = global.fetch.mock.calls.map(([, options]) => (options && options.method) || 'GET');
+    expect(new Set(methods)).toEqual(new Set(['GET']));
+    expect(plan).toMatchObject({ testPlanId: 2, runId: 3 });
+    expect(plan.skipMissing).toEqual([{ configId: '0', testCaseIds: [1914, 2000] }]);
+  });
+
+  test('prints the plan as JSON on stdout', async () => {
+    const write = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+
+    await report({
+      apiKey: 'token',
+      project: '1',
+      testPlanId: '2',
+      apiUrl: 'http://tc.test',
+      resultFile: [resultFile],
+      dryRun: 'json'
+    });
+
+    const plan = JSON.parse(write.mock.calls.map(([chunk]) => chunk).join(''));
+    expect(plan.mode).toBe('existing-plan');
+    expect(plan.results.map(item => [item.tcId, item.executedCaseId, item.status])).toEqual([
+      ['1913', 500, 'pass'],
+      ['1914', 501, 'fail']
+    ]);
+    expect(plan.unmatched).toEqual([expect.objectContaining({ tcId: '1915' })]);
+    // Progress messages went to stderr while planning
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Detected result format: JUnit XML'));
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Planning JUnit XML upload'));
+    expect(console.log).not.toHaveBeenCalled();
+  });
+
+  test('prints a table by default', async () => {
+    await report({
+      apiKey: 'token',
+      project: '1',
+      testPlanId: '2',
+      apiUrl: 'http://tc.test',
+      resultFile: [resultFile],
+      dryRun: true
+    });
+
+    const output = console.log.mock.calls.map(args => args.join(' ')).join('\n');
+    expect(output).toContain('Dry run: nothing was written to TestCollab. Planned actions for test plan 2 (run 3)');
+    expect(output).toContain('Results to upload (2)');
+    expect(output).toMatch(/1914\s+-\s+501\s+fail\s+yes\s+.*\[TC-1914\] should reject/);
+    expect(output).toContain('Unmatched results (1)');
+  });
+
+  test('shows the build only when --record-build would record it', async () => {
+    const printedBuild = async (recordBuild) => {
+      console.log.mockClear();
+      await report({
+        apiKey: 'token',
+        project: '1',
+        testPlanId: '2',
+        apiUrl: 'http://tc.test',
+        resultFile: [resultFile],
+        dryRun: true,
+        buildUrl: 'https://ci/run/1',
+        recordBuild
+      });
+      return console.log.mock.calls.some(args => String(args[0]).includes('CI build recorded in the test plan description'));
+    };
+
+    expect(await printedBuild(false)).toBe(false);
+    expect(await printedBuild(true)).toBe(true);
+  });
+});
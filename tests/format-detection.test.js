@@ -0,0 +1,49 @@
+/**
+ * Tests for result-format detection (tc report without --format).
+ *
+ * These tests verify that:
+ * 1. detectReportFormat() recognises every bundled sample file
+ * 2. XML roots and JSON shapes are told apart without a --format hint
+ * 3. Unrecognised content yields '' so report() can list supported formats
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { detectReportFormat } from '../src/commands/report.js';
+
+function readSample(name) {
+  return fs.readFileSync(path.join(process.cwd(), 'samples/reports', name), 'utf8');
+}
+
+describe('detectReportFormat', () => {
+  test.each([
+    ['junit.xml', 'junit'],
+    ['results.trx', 'trx'],
+    ['mochawesome.json', 'mochawesome'],
+    ['cucumber.json', 'cucumber'],
+    ['playwright.json', 'playwright']
+  ])('detects %s as %s', (file, expected) => {
+    expect(detectReportFormat(readSample(file))).toBe(expected);
+  });
+
+  test('detects a bare <testsuite> root after prolog and comments', () => {
+    const xml = '\uFEFF<?xml version="1.0"?>\n<!-- generated -->\n<testsuite name="a"><testcase name="x"/></testsuite>';
+    expect(detectReportFormat(xml)).toBe('junit');
+  });
+
+  test('detects @cucumber/messages NDJSON', () => {
+    const ndjson = [
+      JSON.stringify({ meta: { protocolVersion: '24.0.0' } }),
+      JSON.stringify({ source: { uri: 'features/a.feature', data: 'Feature: A' } })
+    ].join('\n');
+    expect(detectReportFormat(ndjson)).toBe('cucumber');
+  });
+
+  test('returns empty string for unknown content', () => {
+    expect(detectReportFormat('')).toBe('');
+    expect(detectReportFormat('not a report')).toBe('');
+    expect(detectReportFormat('<html><body></body></html>')).toBe('');
+    expect(detectReportFormat('{"foo": 1}')).toBe('');
+    expect(detectReportFormat('[]')).toBe('');
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Tests for Gherkin Rule blocks in tc sync.
+ *
+ * These tests verify that:
+ * 1. Scenarios under a Rule are synced and name their Rule
+ * 2. Rules, their descriptions and Backgrounds are returned for the child
+ *    suites, and a Rule Background is not mistaken for the feature's
+ * 3. Changing a Rule changes the feature content hash, but neither the feature
+ *    hash earlier releases stored nor the scenario hashes
+ * 4. Cucumber results for scenarios under a Rule get their scenario hash
+ */
+
+import { parseCucumberReport } from '../src/commands/report.js';
+import { parseGherkinFile } from '../src/commands/featuresync.js';
+
+const FEATURE_URI = 'features/account.feature';
+const FEATURE_SOURCE = `Feature: Account
+  Everything about accounts
+
+  Scenario: Sign up
+    Given I am on the sign up page
+    When I sign up
+    Then I have an account
+
+  Rule: Passwords must be strong
+    Short passwords are rejected
+
+    Background:
+      Given I am on the password page
+
+    Scenario: Short password
+      When I enter "abc"
+      Then I see "too short"
+
+    Scenario: Long password
+      When I enter "correct horse battery staple"
+      Then the password is saved
+
+  Rule: Accounts can be closed
+
+    Scenario: Close account
+      When I close my account
+      Then I am signed out
+`;
+
+describe('parseGherkinFile with Rules', () => {
+  const parsed = parseGherkinFile(FEATURE_SOURCE, FEATURE_URI);
+
+  test('keeps scenarios under Rules and names their Rule', () => {
+    expect(parsed.scenarios.map(s => [s.title, s.rule, s.line])).toEqual([
+      ['Sign up', undefined, 4],
+      ['Short password', 'Passwords must be strong', 15],
+      ['Long password', 'Passwords must be strong', 19],
+      ['Close account', 'Accounts can be closed', 25]
+    ]);
+    expect(parsed.scenarios[1].steps).toEqual(['When I enter "abc"', 'Then I see "too short"']);
+  });
+
+  test('returns each Rule with its description and Background', () => {
+    expect(parsed.feature.rules).toEqual([
+      {
+        name: 'Passwords must be strong',
+        description: 'Short passwords are rejected',
+        background: ['Given I am on the password page'],
+        line: 9
+      },
+      { name: 'Accounts can be closed', description: '', background: undefined, line: 23 }
+    ]);
+    expect(parsed.feature.FeatureDescription).toBe('Everything about accounts');
+    expect(parsed.feature.background).toBeUndefined();
+    expect(parsed.feature.backgroundText).toBeUndefined();
+  });
+
+  test('a changed Rule Background changes the feature content hash only', () => {
+    const changed = parseGherkinFile(FEATURE_SOURCE.replace('I am on the password page', 'I am on the settings page'), FEATURE_URI);
+
+    expect(changed.featureHash).toBe(parsed.featureHash);
+    expect(changed.featureContentHash).not.toBe(parsed.featureContentHash);
+    expect(changed.scenarios.map(s => s.hash)).toEqual(parsed.scenarios.map(s => s.hash));
+  });
+
+  test('Rules do not change the feature hash', () => {
+    const withoutRules = FEATURE_SOURCE.slice(0, FEATURE_SOURCE.indexOf('  Rule:'));
+
+    expect(parsed.featureHash).toBe(parseGherkinFile(withoutRules, FEATURE_URI).featureHash);
+  });
+
+  test('files without Rules have no rules', () => {
+    const plain = parseGherkinFile('Feature: Plain\n  Scenario: One\n    Given a step\n', 'features/plain.feature');
+    expect(plain.feature.rules).toBeUndefined();
+  });
+});
+
+describe('Cucumber results under a Rule', () => {
+  test('match the scenario synced for them', () => {
+    const cucumberJson = JSON.stringify([{
+      uri: FEATURE_URI,
+      name: 'Account',
+      elements: [{
+        type: 'scenario',
+        name: 'Short password',
+        line: 15,
+        steps: [
+          { keyword: 'Given ', name: 'I am on the password page', line: 12, result: { status: 'passed', duration: 1000 } },
+          { keyword: 'When ', name: 'I enter "abc"', line: 16, result: { status: 'passed', duration: 1000 } },
+          { keyword: 'Then ', name: 'I see "too short"', line: 17, result: { status: 'failed', duration: 1000 } }
+        ]
+      }]
+    }]);
+
+    const parsed = parseCucumberReport(cucumberJson, { readFeatureFile: () => FEATURE_SOURCE });
+
+    expect(parsed.allTests[0]).toMatchObject({
+      scenarioHash: parseGherkinFile(FEATURE_SOURCE, FEATURE_URI).scenarios[1].hash,
+      status: 2,
+      stepResults: [1, 2]
+    });
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Tests for custom ID patterns and parameter-based configurations.
+ *
+ * These tests verify that:
+ * 1. User patterns need a named group and are tried before the built-in ones
+ * 2. Configurations can be named by parameter values ([config: browser=chrome])
+ *    and are resolved against the test plan's configurations
+ * 3. uploadUsingReporterFlow() uploads such results into the resolved
+ *    configuration, and leaves ambiguous ones unmatched
+ */
+
+import { jest } from '@jest/globals';
+import {
+  compileIdPattern,
+  extractConfigIdFromText,
+  extractTestCaseIdFromTitle,
+  parseJUnitReport,
+  resolveConfigSelectors,
+  uploadUsingReporterFlow
+} from '../src/commands/report.js';
+
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), { status });
+}
+
+const planConfigs = [
+  { id: 11, parameters: [{ field: 'Browser', value: 'Chrome' }, { field: 'OS', value: 'Linux' }] },
+  { id: 12, parameters: [{ field: 'Browser', value: 'Firefox' }, { field: 'OS', value: 'Linux' }] },
+  { id: 13, parameters: [{ field: 'Browser', value: 'Chrome' }, { field: 'OS', value: 'Windows' }] }
+];
+
+describe('compileIdPattern', () => {
+  test('accepts /source/flags and bare sources', () => {
+    expect(compileIdPattern('/@tc:(?<id>\\d+)/').flags).toBe('');
+    expect(compileIdPattern('@TC:(?<id>\\d+)').test('@tc:5')).toBe(true);
+    expect(compileIdPattern('/cfg:(?<params>\\w+)/gi', 'config').flags).toBe('i');
+  });
+
+  test('requires a named group', () => {
+    expect(() => compileIdPattern('@tc:(\\d+)')).toThrow('needs a named group: (?<id>...)');
+    expect(() => compileIdPattern('cfg:(\\w+)', 'config')).toThrow('(?<id>...) or (?<params>...)');
+    expect(() => compileIdPattern('(?<id>[')).toThrow('Invalid test case ID pattern');
+  });
+});
+
+describe('custom patterns in parsers', () => {
+  test('are tried before the built-in patterns', () => {
+    const idPatterns = {
+      testCase: [compileIdPattern('@tc:(?<id>\\d+)')],
+      config: [compileIdPattern('\\[cfg:(?<params>[^\\]]+)\\]', 'config')]
+    };
+
+    const parsed = parseJUnitReport(`<testsuite name="Checkout">
+  <testcase classname="Checkout" name="pays by card @tc:41 [cfg:chrome]" />
+  <testcase classname="Checkout" name="[TC-42] config-id-12 pays by invoice" />
+</testsuite>`, { idPatterns });
+
+    expect(parsed.hasConfig).toBe(true);
+    expect(parsed.resultsToUpload).toEqual({
+      chrome: [expect.objectContaining({ tcId: '41' })],
+      12: [expect.objectContaining({ tcId: '42' })]
+    });
+  });
+
+  test('only apply to the parse they are passed to', () => {
+    const idPatterns = { testCase: [compileIdPattern('@tc:(?<id>\\d+)')], config: [] };
+    expect(extractTestCaseIdFromTitle('pays @tc:41', idPatterns)).toBe('41');
+    expect(extractTestCaseIdFromTitle('pays @tc:41')).toBeNull();
+
+    const source = '<testsuite name="Checkout"><testcase classname="Checkout" name="pays @tc:41" /></testsuite>';
+    expect(parseJUnitReport(source, { idPatterns }).resultsToUpload).toEqual({
+      0: [expect.objectContaining({ tcId: '41' })]
+    });
+    expect(parseJUnitReport(source).resultsToUpload).toEqual({});
+  });
+
+  test('[config: ...] names a configuration by parameter values out of the box', () => {
+    expect(extractConfigIdFromText('[TC-7] login [config: browser=chrome, os=linux]')).toBe('browser=chrome, os=linux');
+    expect(extractConfigIdFromText('[TC-7] login config-id-11')).toBe('11');
+  });
+});
+
+describe('resolveConfigSelectors', () => {
+  test('maps selectors to the single matching configuration', () => {
+    const records = id => [{ tcId: id, status: 1 }];
+    const result = resolveConfigSelectors({
+      0: records('1'),
+      11: records('2'),
+      'browser=chrome,os=linux': records('3'),
+      firefox: records('4'),
+      chrome: records('5'),
+      safari: records('6')
+    }, planConfigs);
+
+    expect(result.resultsToUpload).toEqual({
+      0: records('1'),
+      11: [...records('2'), ...records('3')],
+      12: records('4'),
+      chrome: records('5'),
+      safari: records('6')
+    });
+    expect(result.resolved).toEqual({ 'browser=chrome,os=linux': '11', firefox: '12' });
+    expect(result.unresolved).toEqual([
+      { selector: 'chrome', matches: [11, 13] },
+      { selector: 'safari', matches: [] }
+    ]);
+  });
+});
+
+describe('uploadUsingReporterFlow with configuration selectors', () => {
+  const originalFetch = global.fetch;
+  let updates;
+
+  beforeEach(() => {
+    updates = [];
+    global.fetch = jest.fn(async (url, options = {}) => {
+      const { pathname } = new URL(url);
+      const method = options.method || 'GET';
+      if (pathname === '/system') return jsonResponse({});
+      if (pathname === '/projects/1') return jsonResponse({ id: 1 });
+      if (pathname === '/testplans/2') return jsonResponse({ id: 2, project: { id: 1 } });
+      if (pathname === '/testplanregressions') return jsonResponse([{ id: 3 }]);
+      if (pathname === '/testplanconfigurations') return jsonResponse(planConfigs);
+      if (pathname === '/users/me') return jsonResponse({ id: 7 });
+      if (pathname === '/executedtestcases' && method === 'GET') {
+        return jsonResponse(planConfigs.map((config, index) => ({
+          id: 500 + index,
+          test_plan_test_case: { id: 900, test_case: 100 },
+          test_plan_config: { id: config.id }
+        })));
+      }
+      const match = pathname.match(/^\/executedtestcases\/(\d+)$/);
+      if (match && method === 'PUT') {
+        updates.push(JSON.parse(options.body));
+        return jsonResponse({ id: Number(match[1]) });
+      }
+      return jsonResponse({ message: 'not found' }, 404);
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    jest.restoreAllMocks();
+  });
+
+  test('uploads into the resolved configuration', async () => {
+    const summary = await uploadUsingReporterFlow({
+      apiKey: 'token',
+      projectId: 1,
+      testPlanId: 2,
+      apiUrl: 'http://tc.test',
+      hasConfig: true,
+      resultsToUpload: {
+        'browser=firefox': [{ tcId: '100', status: 1, title: 'a', duration: 0 }],
+        chrome: [{ tcId: '100', status: 2, errDetails: 'boom', title: 'a', duration: 0 }]
+      },
+      unresolvedIds: []
+    });
+
+    expect(updates).toEqual([expect.objectContaining({ id: 501, test_plan_config: 12, status: 1 })]);
+    expect(summary.unmatchedConfigIds).toEqual(['100:chrome']);
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('"chrome" matches 2 test plan configurations (11, 13)'));
+  });
+});
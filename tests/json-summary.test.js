@@ -0,0 +1,159 @@
+/**
+ * Tests for tc report --output-json.
+ *
+ * These tests verify that:
+ * 1. buildJsonSummary() exposes the upload counts and unmatched IDs
+ * 2. report() writes the summary file after an upload
+ * 3. A failed run still writes a summary with success: false
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { buildJsonSummary, report } from '../src/commands/report.js';
+
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), { status });
+}
+
+function mockApi({ planExists = true } = {}) {
+  const assignedCases = [
+    { id: 500, test_plan_test_case: { id: 900, test_case: 1913 }, test_plan_config: null },
+    { id: 501, test_plan_test_case: { id: 901, test_case: 1914 }, test_plan_config: null }
+  ];
+  global.fetch = jest.fn(async (url, options = {}) => {
+    const { pathname } = new URL(url);
+    const method = options.method || 'GET';
+    if (pathname === '/system') return jsonResponse({});
+    if (pathname === '/projects/1') return jsonResponse({ id: 1 });
+    if (pathname === '/testplans/2') {
+      return planExists ? jsonResponse({ id: 2, project: { id: 1 } }) : jsonResponse({ message: 'missing' }, 404);
+    }
+    if (pathname === '/testplanregressions') return jsonResponse([{ id: 3 }]);
+    if (pathname === '/testplanconfigurations') return jsonResponse([]);
+    if (pathname === '/users/me') return jsonResponse({ id: 7 });
+    if (pathname === '/executedtestcases' && method === 'GET') return jsonResponse(assignedCases);
+    if (pathname === '/executioncomments') return jsonResponse({ id: 1 });
+    if (pathname.endsWith('/updateTimeTaken')) return jsonResponse({});
+    const match = pathname.match(/^\/executedtestcases\/(\d+)$/);
+    if (match) return jsonResponse({ id: Number(match[1]) });
+    return jsonResponse({ message: 'not found' }, 404);
+  });
+}
+
+describe('buildJsonSummary', () => {
+  test('splits unmatched config pairs and keeps counts', () => {
+    const json = buildJsonSummary({
+      summary: {
+        testPlanId: 2,
+        runId: 3,
+        matched: 4,
+        updated: 3,
+        errors: 1,
+        skippedMissing: 0,
+        unresolvedIds: ['no id'],
+        unmatchedCaseIds: ['77'],
+        unmatchedConfigIds: ['12:5']
+      },
+      parsedReport: { stats: { tests: 6, passes: 4, failures: 2, skipped: 0 } },
+      formats: ['junit'],
+      resultFiles: ['/ci/results.xml'],
+      created: [{ action: 'create', type: 'test plan', id: 2, name: 'CI Run' }]
+    });
+
+    expect(json).toEqual({
+      success: true,
+      testPlanId: 2,
+      runId: 3,
+      formats: ['junit'],
+      resultFiles: ['/ci/results.xml'],
+      stats: { tests: 6, passes: 4, failures: 2, skipped: 0 },
+      matched: 4,
+      updated: 3,
+      resumed: 0,
+      errors: 1,
+      skippedMissing: 0,
+      missingAs: 'skipped',
+      attachmentsUploaded: 0,
+      attachmentsSkipped: 0,
+      unresolvedTitles: ['no id'],
+      updatedCases: [],
+      unmatchedCaseIds: ['77'],
+      unmatchedConfigPairs: [{ tcId: '12', configId: '5' }],
+      created: [{ action: 'create', type: 'test plan', id: 2, name: 'CI Run' }],
+      failedGates: [],
+      build: null
+    });
+  });
+});
+
+describe('tc report --output-json', () => {
+  const originalFetch = global.fetch;
+  const resultFile = path.join(process.cwd(), 'samples/reports/junit.xml');
+  let tmpDir;
+  let outputPath;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tc-summary-'));
+    outputPath = path.join(tmpDir, 'out', 'summary.json');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('writes the upload summary', async () => {
+    mockApi();
+    await report({
+      apiKey: 'token',
+      project: '1',
+      testPlanId: '2',
+      apiUrl: 'http://tc.test',
+      resultFile: [resultFile],
+      journal: path.join(tmpDir, 'journal.json'),
+      outputJson: outputPath
+    });
+
+    const summary = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
+    expect(summary).toMatchObject({
+      success: true,
+      testPlanId: 2,
+      runId: 3,
+      formats: ['junit'],
+      resultFiles: [resultFile],
+      matched: 2,
+      updated: 2,
+      errors: 0,
+      unmatchedCaseIds: ['1915'],
+      unmatchedConfigPairs: [],
+      created: []
+    });
+  });
+
+  test('writes success: false when the upload fails', async () => {
+    mockApi({ planExists: false });
+    const exit = jest.spyOn(process, 'exit').mockImplementation(() => undefined);
+
+    await report({
+      apiKey: 'token',
+      project: '1',
+      testPlanId: '2',
+      apiUrl: 'http://tc.test',
+      resultFile: [resultFile],
+      journal: path.join(tmpDir, 'journal.json'),
+      outputJson: outputPath
+    });
+
+    expect(exit).toHaveBeenCalledWith(1);
+    expect(JSON.parse(fs.readFileSync(outputPath, 'utf8'))).toEqual({
+      success: false,
+      error: 'Testplan could not be fetched.'
+    });
+  });
+});
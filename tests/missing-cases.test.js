@@ -0,0 +1,150 @@
+/**
+ * Tests for --missing-as and --missing-scope on --skip-missing.
+ *
+ * These tests verify that:
+ * 1. --missing-as and --missing-scope values are parsed and validated
+ * 2. selectMissingCases() keeps only unmatched cases in the suites, tags or
+ *    configurations the matched cases belong to
+ * 3. uploadUsingReporterFlow() bulk-skips by default and updates each case
+ *    with another status under --missing-as
+ */
+
+import { jest } from '@jest/globals';
+import {
+  parseMissingAs,
+  parseMissingScope,
+  selectMissingCases,
+  uploadUsingReporterFlow
+} from '../src/commands/report.js';
+
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), { status });
+}
+
+function executedCase(id, testCaseId, { suite, tags = [], config = null } = {}) {
+  return {
+    id,
+    test_plan_test_case: { id: id + 1000, test_case: testCaseId },
+    test_plan_config: config,
+    test_case_revision: { suite, tags }
+  };
+}
+
+// API suite (10) and UI suite (20), each in configs 5 and 6
+const casesAssigned = [
+  executedCase(1, 100, { suite: { id: 10 }, tags: [{ id: 1, name: 'smoke' }], config: { id: 5 } }),
+  executedCase(2, 101, { suite: { id: 10 }, tags: [{ id: 2, name: 'slow' }], config: { id: 6 } }),
+  executedCase(3, 200, { suite: { id: 20 }, tags: [{ id: 1, name: 'smoke' }], config: { id: 5 } }),
+  executedCase(4, 201, { suite: { id: 20 }, config: { id: 6 } })
+];
+
+describe('parsing', () => {
+  test('--missing-as accepts status names', () => {
+    expect(parseMissingAs()).toEqual({ status: 3, label: 'skipped' });
+    expect(parseMissingAs('Blocked')).toEqual({ status: 4, label: 'blocked' });
+    expect(parseMissingAs('unexecuted')).toEqual({ status: 0, label: 'unexecuted' });
+    expect(() => parseMissingAs('pass')).toThrow('Invalid --missing-as "pass": use skip, blocked, unexecuted or fail');
+  });
+
+  test('--missing-scope accepts repeated and comma-separated dimensions', () => {
+    expect(parseMissingScope(['suites,tag', 'configuration', 'suite'])).toEqual(['suite', 'tag', 'config']);
+    expect(parseMissingScope(undefined)).toEqual([]);
+    expect(() => parseMissingScope(['folder'])).toThrow('Invalid --missing-scope "folder": use suite, tag or config');
+  });
+});
+
+describe('selectMissingCases', () => {
+  const matched = new Set([1]);
+  const ids = cases => cases.map(c => c.id);
+
+  test('returns every unmatched case without a scope', () => {
+    expect(ids(selectMissingCases(casesAssigned, matched))).toEqual([2, 3, 4]);
+  });
+
+  test('limits unmatched cases to the touched suites, tags or configurations', () => {
+    expect(ids(selectMissingCases(casesAssigned, matched, ['suite']))).toEqual([2]);
+    expect(ids(selectMissingCases(casesAssigned, matched, ['tag']))).toEqual([3]);
+    expect(ids(selectMissingCases(casesAssigned, matched, ['config']))).toEqual([3]);
+    expect(ids(selectMissingCases(casesAssigned, matched, ['suite', 'config']))).toEqual([]);
+  });
+});
+
+describe('uploadUsingReporterFlow with --skip-missing', () => {
+  const originalFetch = global.fetch;
+  let bulkActions;
+  let updates;
+
+  beforeEach(() => {
+    bulkActions = [];
+    updates = [];
+    global.fetch = jest.fn(async (url, options = {}) => {
+      const { pathname } = new URL(url);
+      const method = options.method || 'GET';
+      if (pathname === '/system') return jsonResponse({});
+      if (pathname === '/projects/1') return jsonResponse({ id: 1 });
+      if (pathname === '/testplans/2') return jsonResponse({ id: 2, project: { id: 1 } });
+      if (pathname === '/testplanregressions') return jsonResponse([{ id: 3 }]);
+      if (pathname === '/testplanconfigurations') return jsonResponse([{ id: 5 }, { id: 6 }]);
+      if (pathname === '/users/me') return jsonResponse({ id: 7 });
+      if (pathname === '/executedtestcases' && method === 'GET') return jsonResponse(casesAssigned);
+      if (pathname === '/testplantestcases/bulkAction') {
+        const payload = JSON.parse(options.body);
+        bulkActions.push(payload);
+        return jsonResponse({ status: true, affected: payload.testcases.length });
+      }
+      const match = pathname.match(/^\/executedtestcases\/(\d+)$/);
+      if (match && method === 'PUT') {
+        updates.push(JSON.parse(options.body));
+        return jsonResponse({ id: Number(match[1]) });
+      }
+      return jsonResponse({ message: 'not found' }, 404);
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    jest.restoreAllMocks();
+  });
+
+  function upload(overrides = {}) {
+    return uploadUsingReporterFlow({
+      apiKey: 'token',
+      projectId: 1,
+      testPlanId: 2,
+      apiUrl: 'http://tc.test',
+      hasConfig: true,
+      resultsToUpload: { 5: [{ tcId: '100', status: 1, title: 'a', duration: 0 }] },
+      unresolvedIds: [],
+      skipMissing: true,
+      ...overrides
+    });
+  }
+
+  test('bulk-skips the unmatched cases in scope', async () => {
+    const summary = await upload({ missingScope: ['suite'] });
+
+    expect(bulkActions).toEqual([{ actionType: 'skip', testcases: [101], project: 1, testplan: 2, test_plan_config: 6 }]);
+    expect(summary).toMatchObject({ skippedMissing: 1, missingAs: 'skipped', errors: 0 });
+  });
+
+  test('--missing-as updates each unmatched case with the chosen status', async () => {
+    const summary = await upload({ missingAs: 'blocked', missingScope: ['config'] });
+
+    expect(bulkActions).toEqual([]);
+    expect(updates).toEqual([
+      expect.objectContaining({ id: 1, status: 1 }),
+      expect.objectContaining({ id: 3, status: 4, test_plan_config: 5 })
+    ]);
+    expect(summary).toMatchObject({ skippedMissing: 1, missingAs: 'blocked' });
+  });
+
+  test('a dry run lists what would be marked', async () => {
+    const plan = await upload({ missingAs: 'unexecuted', missingScope: ['tag'], dryRun: true });
+
+    expect(plan.skipMissing).toEqual([{ configId: '5', testCaseIds: [200] }]);
+    expect(plan.missingAs).toBe('unexecuted');
+    expect(updates).toEqual([]);
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Tests for uploading several result files in one tc report run.
+ *
+ * These tests verify that:
+ * 1. resolveResultFiles() expands paths and glob patterns, reporting misses
+ * 2. combineParsedReports() merges parsed reports into the shared shape
+ * 3. mergeResultsToUpload() keeps the last result within each file and
+ *    applies the fail-wins / last-wins rules across files
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  combineParsedReports,
+  mergeResultsToUpload,
+  parseJUnitReport,
+  resolveResultFiles
+} from '../src/commands/report.js';
+
+function junit(cases) {
+  const body = cases.map(([name, failure]) => (
+    failure
+      ? `<testcase classname="Shard" name="${name}"><failure message="${failure}">${failure}</failure></testcase>`
+      : `<testcase classname="Shard" name="${name}" />`
+  )).join('');
+  return `<testsuites><testsuite name="Shard">${body}</testsuite></testsuites>`;
+}
+
+describe('resolveResultFiles', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tc-results-'));
+    fs.mkdirSync(path.join(tmpDir, 'shard-1'));
+    fs.mkdirSync(path.join(tmpDir, 'shard-2'));
+    fs.mkdirSync(path.join(tmpDir, 'node_modules'));
+    fs.writeFileSync(path.join(tmpDir, 'shard-1', 'junit-1.xml'), '');
+    fs.writeFileSync(path.join(tmpDir, 'shard-2', 'junit-2.xml'), '');
+    fs.writeFileSync(path.join(tmpDir, 'shard-2', 'report.json'), '');
+    fs.writeFileSync(path.join(tmpDir, 'node_modules', 'junit-3.xml'), '');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('expands ** globs, skipping node_modules', () => {
+    const { files, missing } = resolveResultFiles([`${tmpDir}/**/junit-*.xml`]);
+    expect(files).toEqual([
+      path.join(tmpDir, 'shard-1', 'junit-1.xml'),
+      path.join(tmpDir, 'shard-2', 'junit-2.xml')
+    ]);
+    expect(missing).toEqual([]);
+  });
+
+  test('supports braces and de-duplicates overlapping patterns', () => {
+    const { files } = resolveResultFiles([
+      `${tmpDir}/shard-2/*.{xml,json}`,
+      path.join(tmpDir, 'shard-2', 'junit-2.xml')
+    ]);
+    expect(files).toEqual([
+      path.join(tmpDir, 'shard-2', 'junit-2.xml'),
+      path.join(tmpDir, 'shard-2', 'report.json')
+    ]);
+  });
+
+  test('reports missing paths and globs without matches', () => {
+    const { files, missing } = resolveResultFiles([
+      path.join(tmpDir, 'nope.xml'),
+      `${tmpDir}/**/*.trx`
+    ]);
+    expect(files).toEqual([]);
+    expect(missing).toEqual([path.join(tmpDir, 'nope.xml'), `${tmpDir}/**/*.trx`]);
+  });
+});
+
+describe('combineParsedReports', () => {
+  test('returns a single report unchanged', () => {
+    const report = parseJUnitReport(junit([['[TC-1] a']]));
+    expect(combineParsedReports([report])).toBe(report);
+  });
+
+  test('concatenates results, tests and stats', () => {
+    const combined = combineParsedReports([
+      parseJUnitReport(junit([['[TC-1] a'], ['[TC-2] b', 'boom']])),
+      parseJUnitReport(junit([['[TC-2] b'], ['no id here']]))
+    ]);
+    expect(combined.format).toBe('junit');
+    expect(combined.resultsToUpload['0'].map(r => [r.tcId, r.fileIndex])).toEqual([['1', 0], ['2', 0], ['2', 1]]);
+    expect(combined.allTests.map(test => test.fileIndex)).toEqual([0, 0, 1, 1]);
+    expect(combined.stats).toEqual({ tests: 4, passes: 3, failures: 1, skipped: 0 });
+    expect(combined.unresolvedIds).toEqual(['no id here']);
+  });
+});
+
+describe('mergeResultsToUpload', () => {
+  const records = {
+    0: [
+      { tcId: '1', status: 2, errDetails: 'first failure', fileIndex: 0 },
+      { tcId: '2', status: 3, fileIndex: 0 },
+      { tcId: '1', status: 1, fileIndex: 1 },
+      { tcId: '2', status: 1, fileIndex: 1 }
+    ],
+    5: [{ tcId: '1', status: 1, fileIndex: 0 }]
+  };
+
+  test('fail-wins keeps the most severe result per config', () => {
+    const { resultsToUpload, duplicates } = mergeResultsToUpload(records, 'fail-wins');
+    expect(duplicates).toBe(2);
+    expect(resultsToUpload['0']).toEqual([
+      { tcId: '1', status: 2, errDetails: 'first failure' },
+      { tcId: '2', status: 1 }
+    ]);
+    expect(resultsToUpload['5']).toEqual([{ tcId: '1', status: 1 }]);
+  });
+
+  test('last-wins keeps the last reported result', () => {
+    const { resultsToUpload } = mergeResultsToUpload(records, 'last-wins');
+    expect(resultsToUpload['0']).toEqual([
+      { tcId: '1', status: 1 },
+      { tcId: '2', status: 1 }
+    ]);
+  });
+
+  test('the last result within a file wins before the rule applies across files', () => {
+    const { resultsToUpload, duplicates } = mergeResultsToUpload({
+      0: [
+        { tcId: '1', status: 2, fileIndex: 0 },
+        { tcId: '1', status: 1, fileIndex: 0 },
+        { tcId: '2', status: 1, fileIndex: 0 },
+        { tcId: '2', status: 2, fileIndex: 1 },
+        { tcId: '2', status: 1, fileIndex: 1 }
+      ]
+    }, 'fail-wins');
+    expect(duplicates).toBe(3);
+    expect(resultsToUpload['0']).toEqual([
+      { tcId: '1', status: 1 },
+      { tcId: '2', status: 1 }
+    ]);
+  });
+
+  test('a single file keeps its last result', () => {
+    const { resultsToUpload } = mergeResultsToUpload({
+      0: [{ tcId: '1', status: 2 }, { tcId: '1', status: 1 }]
+    }, 'fail-wins');
+    expect(resultsToUpload['0']).toEqual([{ tcId: '1', status: 1 }]);
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Tests for tc report --new-run.
+ *
+ * These tests verify that:
+ * 1. Without --new-run results go into the latest run of the test plan
+ * 2. --new-run starts a new run and uploads into its executed cases
+ * 3. A dry run starts nothing, and --resume continues in the run an
+ *    interrupted --new-run upload started
+ * 4. A run that cannot be started fails with the API's status and message
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { uploadUsingReporterFlow } from '../src/commands/report.js';
+
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), { status });
+}
+
+/**
+ * TestCollab API whose runs each hold one executed case for test case 100.
+ * POST /testplanregressions appends a run, or is rejected with
+ * `newRunError` when given.
+ */
+function mockApi({ failUpdates = false, newRunError = null } = {}) {
+  const state = { runs: [3], caseQueries: [], updates: [], createdRuns: [] };
+  global.fetch = jest.fn(async (url, options = {}) => {
+    const { pathname, searchParams } = new URL(url);
+    const method = options.method || 'GET';
+    if (pathname === '/system') return jsonResponse({});
+    if (pathname === '/projects/1') return jsonResponse({ id: 1 });
+    if (pathname === '/testplans/2') return jsonResponse({ id: 2, project: { id: 1 } });
+    if (pathname === '/testplanregressions' && method === 'POST' && newRunError) {
+      return jsonResponse({ message: newRunError.message }, newRunError.status);
+    }
+    if (pathname === '/testplanregressions' && method === 'POST') {
+      const runId = state.runs[state.runs.length - 1] + 1;
+      state.runs.push(runId);
+      state.createdRuns.push(JSON.parse(options.body));
+      return jsonResponse({ id: runId, testplan: 2 });
+    }
+    if (pathname === '/testplanregressions') return jsonResponse([{ id: state.runs[state.runs.length - 1] }]);
+    if (pathname === '/testplanconfigurations') return jsonResponse([]);
+    if (pathname === '/users/me') return jsonResponse({ id: 7 });
+    if (pathname === '/executedtestcases' && method === 'GET') {
+      const runId = Number(searchParams.get('regression'));
+      state.caseQueries.push(runId);
+      return jsonResponse([{ id: runId * 100, test_plan_test_case: { id: 900, test_case: 100 }, test_plan_config: null }]);
+    }
+    const match = pathname.match(/^\/executedtestcases\/(\d+)$/);
+    if (match && method === 'PUT') {
+      state.updates.push(Number(match[1]));
+      return failUpdates ? jsonResponse({ message: 'bad' }, 400) : jsonResponse({ id: Number(match[1]) });
+    }
+    return jsonResponse({ message: 'not found' }, 404);
+  });
+  return state;
+}
+
+describe('uploadUsingReporterFlow with newRun', () => {
+  const originalFetch = global.fetch;
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tc-new-run-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  function upload(overrides = {}) {
+    return uploadUsingReporterFlow({
+      apiKey: 'token',
+      projectId: 1,
+      testPlanId: 2,
+      apiUrl: 'http://tc.test',
+      hasConfig: false,
+      resultsToUpload: { 0: [{ tcId: '100', status: 1, title: 'a', duration: 0 }] },
+      unresolvedIds: [],
+      ...overrides
+    });
+  }
+
+  test('uploads into the latest run by default', async () => {
+    const state = mockApi();
+    const summary = await upload();
+
+    expect(state.createdRuns).toEqual([]);
+    expect(summary.runId).toBe(3);
+    expect(state.updates).toEqual([300]);
+  });
+
+  test('starts a new run and uploads into it', async () => {
+    const state = mockApi();
+    const summary = await upload({ newRun: true });
+
+    expect(state.createdRuns).toEqual([{ project: 1, testplan: 2 }]);
+    expect(summary.runId).toBe(4);
+    expect(state.caseQueries).toEqual([4]);
+    expect(state.updates).toEqual([400]);
+  });
+
+  test('reports why a new run could not be started', async () => {
+    const state = mockApi({ newRunError: { status: 403, message: 'You are not allowed to run this test plan' } });
+
+    await expect(upload({ newRun: true })).rejects.toMatchObject({
+      status: 403,
+      message: 'A new run could not be started on the test plan (HTTP 403): You are not allowed to run this test plan'
+    });
+    expect(state.updates).toEqual([]);
+  });
+
+  test('a dry run starts nothing and plans against the latest run', async () => {
+    const state = mockApi();
+    const plan = await upload({ newRun: true, dryRun: true });
+
+    expect(state.createdRuns).toEqual([]);
+    expect(plan).toMatchObject({ runId: 3, newRun: true });
+    expect(plan.results).toEqual([expect.objectContaining({ executedCaseId: 300 })]);
+  });
+
+  test('--resume continues in the run an interrupted upload started', async () => {
+    const journalPath = path.join(tmpDir, 'journal.jsonl');
+    const state = mockApi({ failUpdates: true });
+    await upload({ newRun: true, journalPath });
+    expect(state.runs).toEqual([3, 4]);
+
+    const retryState = mockApi();
+    retryState.runs = [3, 4];
+    const summary = await upload({ newRun: true, journalPath, resume: true });
+
+    expect(retryState.createdRuns).toEqual([]);
+    expect(summary.runId).toBe(4);
+    expect(retryState.updates).toEqual([400]);
+  });
+});
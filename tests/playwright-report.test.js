@@ -0,0 +1,114 @@
+/**
+ * Tests for the Playwright JSON reporter format.
+ *
+ * These tests verify that:
+ * 1. parsePlaywrightReport() returns the shared report shape
+ * 2. TC IDs are read from test titles and tags, config IDs from project names
+ * 3. Retried tests that eventually pass are reported as passed with a flaky comment
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parsePlaywrightReport } from '../src/commands/report.js';
+
+const sample = JSON.parse(
+  fs.readFileSync(path.join(process.cwd(), 'samples/reports/playwright.json'), 'utf8')
+);
+
+function makeTest(projectName, results, status) {
+  return { projectId: projectName, projectName, expectedStatus: 'passed', status, results };
+}
+
+function makeReport(specs) {
+  return { suites: [{ title: 'cart.spec.ts', file: 'cart.spec.ts', specs, suites: [] }] };
+}
+
+describe('parsePlaywrightReport', () => {
+  test('returns the shared report shape', () => {
+    const report = parsePlaywrightReport(sample);
+    expect(report.format).toBe('playwright');
+    expect(report.hasConfig).toBe(false);
+    expect(Object.keys(report.resultsToUpload)).toEqual(['0']);
+    expect(report.allTests).toHaveLength(4);
+    expect(report.unresolvedIds).toEqual([]);
+  });
+
+  test('reads TC IDs from titles and tags', () => {
+    const report = parsePlaywrightReport(sample);
+    expect(report.resultsToUpload['0'].map(r => r.tcId)).toEqual(['1913', '1914', '1915', '1916']);
+  });
+
+  test('maps final outcomes to run statuses and counts stats', () => {
+    const report = parsePlaywrightReport(sample);
+    expect(report.allTests.map(t => t.status)).toEqual([1, 2, 1, 3]);
+    expect(report.stats).toEqual({ tests: 4, passes: 2, failures: 1, skipped: 1 });
+  });
+
+  test('uses describe blocks as suite path', () => {
+    const report = parsePlaywrightReport(sample);
+    expect(report.allTests[0].suite).toBe('Authentication');
+    expect(report.allTests[0].suitePath).toEqual(['auth/login.spec.ts', 'Authentication']);
+  });
+
+  test('keeps the final error for failed tests', () => {
+    const report = parsePlaywrightReport(sample);
+    expect(report.allTests[1].errDetails).toContain('Expected: 401');
+    expect(report.allTests[1].errDetails).toContain('login.spec.ts:18:30');
+  });
+
+  test('reports flaky tests as passed with a comment', () => {
+    const report = parsePlaywrightReport(sample);
+    const flaky = report.resultsToUpload['0'][2];
+    expect(flaky.status).toBe(1);
+    expect(flaky.errDetails).toBeNull();
+    expect(flaky.comment).toContain('Flaky: failed 1 time(s) before passing on retry #1');
+    expect(flaky.comment).toContain('Test timeout of 30000ms exceeded.');
+    expect(flaky.duration).toBe(3);
+  });
+
+  test('maps projects to configurations', () => {
+    const report = parsePlaywrightReport(makeReport([{
+      title: '[TC-7] adds item',
+      tests: [
+        makeTest('config-id-11', [{ retry: 0, status: 'passed', duration: 10 }], 'expected'),
+        makeTest('config-id-12', [{ retry: 0, status: 'failed', duration: 10, error: { message: 'boom' } }], 'unexpected')
+      ]
+    }]));
+    expect(report.hasConfig).toBe(true);
+    expect(report.resultsToUpload['11']).toEqual([
+      expect.objectContaining({ tcId: '7', status: 1 })
+    ]);
+    expect(report.resultsToUpload['12']).toEqual([
+      expect.objectContaining({ tcId: '7', status: 2, errDetails: 'boom' })
+    ]);
+  });
+
+  test('folds projects without config IDs, any failure wins', () => {
+    const report = parsePlaywrightReport(makeReport([{
+      title: '[TC-8] checks out',
+      tests: [
+        makeTest('chromium', [{ retry: 0, status: 'passed', duration: 10 }], 'expected'),
+        makeTest('firefox', [{ retry: 0, status: 'failed', duration: 10, error: { message: 'boom' } }], 'unexpected'),
+        makeTest('webkit', [{ retry: 0, status: 'skipped', duration: 0 }], 'skipped')
+      ]
+    }]));
+    expect(report.allTests).toHaveLength(1);
+    expect(report.resultsToUpload['0']).toEqual([
+      expect.objectContaining({ tcId: '8', status: 2, errDetails: 'boom' })
+    ]);
+  });
+
+  test('strips terminal colors from error messages', () => {
+    const report = parsePlaywrightReport(makeReport([{
+      title: '[TC-9] totals',
+      tests: [
+        makeTest('chromium', [{ retry: 0, status: 'failed', error: { message: '\u001b[31mExpected: 3\u001b[39m' } }], 'unexpected')
+      ]
+    }]));
+    expect(report.allTests[0].errDetails).toBe('Expected: 3');
+  });
+
+  test('throws when the report has no suites', () => {
+    expect(() => parsePlaywrightReport({ config: {} })).toThrow('Playwright JSON has no suites');
+  });
+});
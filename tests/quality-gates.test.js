@@ -0,0 +1,146 @@
+/**
+ * Tests for tc report quality-gate exit codes.
+ *
+ * These tests verify that:
+ * 1. Each gate (--fail-on-upload-errors, --fail-on-unmatched, --max-failures)
+ *    fails only when its condition is met, with its own exit code
+ * 2. Several failed gates are all reported, the first one decides the exit code
+ * 3. report() exits with that code after the upload, keeping the
+ *    --output-json summary it wrote
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { evaluateQualityGates, report } from '../src/commands/report.js';
+
+const cleanSummary = { errors: 0, unresolvedIds: [], unmatchedCaseIds: [], unmatchedConfigIds: [] };
+const stats = { tests: 10, passes: 7, failures: 3, skipped: 0 };
+
+describe('evaluateQualityGates', () => {
+  test('passes when no gate is enabled', () => {
+    const summary = { ...cleanSummary, errors: 2, unmatchedCaseIds: ['1'] };
+    expect(evaluateQualityGates({ summary, stats })).toEqual([]);
+  });
+
+  test('--fail-on-upload-errors exits with 3', () => {
+    expect(evaluateQualityGates({ summary: cleanSummary, stats, failOnUploadErrors: true })).toEqual([]);
+    expect(evaluateQualityGates({ summary: { ...cleanSummary, errors: 2 }, stats, failOnUploadErrors: true }))
+      .toEqual([{ gate: 'fail-on-upload-errors', exitCode: 3, message: '2 testcase update(s) failed' }]);
+  });
+
+  test('--fail-on-unmatched counts unresolved titles, IDs and config pairs', () => {
+    const summary = { ...cleanSummary, unresolvedIds: ['no id'], unmatchedCaseIds: ['7'], unmatchedConfigIds: ['8:2'] };
+    expect(evaluateQualityGates({ summary: cleanSummary, stats, failOnUnmatched: true })).toEqual([]);
+    expect(evaluateQualityGates({ summary, stats, failOnUnmatched: true })).toEqual([{
+      gate: 'fail-on-unmatched',
+      exitCode: 2,
+      message: '3 result(s) could not be matched to a test case in the test plan'
+    }]);
+  });
+
+  test('--max-failures exits with 4 only above the limit', () => {
+    expect(evaluateQualityGates({ summary: cleanSummary, stats, maxFailures: 3 })).toEqual([]);
+    expect(evaluateQualityGates({ summary: cleanSummary, stats, maxFailures: 0 })).toEqual([{
+      gate: 'max-failures',
+      exitCode: 4,
+      message: '3 test(s) failed, more than the allowed 0'
+    }]);
+  });
+
+  test('reports every failed gate, upload errors first', () => {
+    const summary = { ...cleanSummary, errors: 1, unmatchedCaseIds: ['7'] };
+    const failedGates = evaluateQualityGates({
+      summary,
+      stats,
+      failOnUnmatched: true,
+      failOnUploadErrors: true,
+      maxFailures: 1
+    });
+    expect(failedGates.map(gate => gate.exitCode)).toEqual([3, 2, 4]);
+  });
+});
+
+describe('tc report quality gates', () => {
+  const originalFetch = global.fetch;
+  const resultFile = path.join(process.cwd(), 'samples/reports/junit.xml');
+  let tmpDir;
+
+  function jsonResponse(data, status = 200) {
+    return new Response(JSON.stringify(data), { status });
+  }
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tc-gates-'));
+    global.fetch = jest.fn(async (url, options = {}) => {
+      const { pathname } = new URL(url);
+      const method = options.method || 'GET';
+      if (pathname === '/system') return jsonResponse({});
+      if (pathname === '/projects/1') return jsonResponse({ id: 1 });
+      if (pathname === '/testplans/2') return jsonResponse({ id: 2, project: { id: 1 } });
+      if (pathname === '/testplanregressions') return jsonResponse([{ id: 3 }]);
+      if (pathname === '/testplanconfigurations') return jsonResponse([]);
+      if (pathname === '/users/me') return jsonResponse({ id: 7 });
+      if (pathname === '/executedtestcases' && method === 'GET') {
+        return jsonResponse([{ id: 500, test_plan_test_case: { id: 900, test_case: 1913 }, test_plan_config: null }]);
+      }
+      const match = pathname.match(/^\/executedtestcases\/(\d+)$/);
+      if (match) return jsonResponse({ id: Number(match[1]) });
+      return jsonResponse({});
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  function run(extraOptions) {
+    return report({
+      apiKey: 'token',
+      project: '1',
+      testPlanId: '2',
+      apiUrl: 'http://tc.test',
+      resultFile: [resultFile],
+      journal: path.join(tmpDir, 'journal.json'),
+      ...extraOptions
+    });
+  }
+
+  test('exits with the unmatched code after uploading', async () => {
+    const exit = jest.spyOn(process, 'exit').mockImplementation(() => undefined);
+    await run({ failOnUnmatched: true });
+
+    expect(exit).toHaveBeenCalledWith(2);
+    expect(console.error).toHaveBeenCalledWith(
+      '❌ Quality gate --fail-on-unmatched failed: 2 result(s) could not be matched to a test case in the test plan'
+    );
+    const updates = global.fetch.mock.calls.filter(([, options]) => options && options.method === 'PUT');
+    expect(updates.length).toBeGreaterThan(0);
+  });
+
+  test('exits after writing the summary, without reporting a failed upload', async () => {
+    const outputPath = path.join(tmpDir, 'summary.json');
+    const exit = jest.spyOn(process, 'exit').mockImplementation((code) => {
+      throw new Error(`exit ${code}`);
+    });
+
+    await expect(run({ failOnUnmatched: true, outputJson: outputPath })).rejects.toThrow('exit 2');
+    expect(exit.mock.calls).toEqual([[2]]);
+    expect(JSON.parse(fs.readFileSync(outputPath, 'utf8'))).toMatchObject({
+      success: true,
+      failedGates: [expect.objectContaining({ gate: 'fail-on-unmatched', exitCode: 2 })]
+    });
+  });
+
+  test('does not exit when every gate passes', async () => {
+    const exit = jest.spyOn(process, 'exit').mockImplementation(() => undefined);
+    await run({ maxFailures: '1', failOnUploadErrors: true });
+    expect(exit).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Tests for the comments tc report posts on executed cases.
+ *
+ * These tests verify that:
+ * 1. Failure comments are HTML with the assertion message, file and line,
+ *    duration, retries, a build link and a collapsible stack trace
+ * 2. Parsers record the message, file, line and retries of failed tests
+ * 3. uploadUsingReporterFlow() posts the rendered HTML, not escaped text
+ */
+
+import { jest } from '@jest/globals';
+import { formatFailureComment, formatNoteComment } from '../src/utils/resultComment.js';
+import {
+  getResultComment,
+  parseJUnitReport,
+  parseMochawesomeReport,
+  parsePlaywrightReport,
+  uploadUsingReporterFlow
+} from '../src/commands/report.js';
+
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), { status });
+}
+
+const buildMetadata = { provider: 'GitHub Actions', buildNumber: '42', buildUrl: 'https://ci.test/runs/1?a=1&b=2' };
+
+describe('formatFailureComment', () => {
+  test('renders every known detail', () => {
+    const html = formatFailureComment({
+      errDetails: 'AssertionError: expected 1 to equal 2\n    at Context.<anonymous> (cart.spec.js:12:5)',
+      failure: { message: 'expected 1 to equal 2', file: 'cart.spec.js', line: 12, retries: 2 },
+      duration: 1.5
+    }, { buildMetadata });
+
+    expect(html).toBe(
+      '<p><strong>Failure</strong><br>expected 1 to equal 2</p>'
+      + '<p>File: <code>cart.spec.js:12</code><br>Duration: 1.5 s<br>Retries: 2<br>'
+      + 'Build: <a href="https://ci.test/runs/1?a=1&amp;b=2">GitHub Actions #42</a></p>'
+      + '<details><summary>Stack trace</summary><pre>AssertionError: expected 1 to equal 2\n'
+      + '    at Context.&lt;anonymous&gt; (cart.spec.js:12:5)</pre></details>'
+    );
+  });
+
+  test('falls back to the first line of the error text', () => {
+    expect(formatFailureComment({ errDetails: 'Timed out <5s>' })).toBe('<p><strong>Failure</strong><br>Timed out &lt;5s&gt;</p>');
+  });
+
+  test('notes keep their line breaks', () => {
+    expect(formatNoteComment('Flaky: failed once\n\nLast failure:\nboom')).toBe('<p>Flaky: failed once<br><br>Last failure:<br>boom</p>');
+    expect(formatNoteComment('  ')).toBe('');
+  });
+});
+
+describe('failure details in parsers', () => {
+  test('JUnit reads file, line, message and surefire reruns', () => {
+    const parsed = parseJUnitReport(`<testsuite name="Cart">
+  <testcase classname="tests.test_cart" name="test_total TC-1" file="tests/test_cart.py" line="12">
+    <failure message="assert 1 == 2">def test_total(): assert 1 == 2</failure>
+    <rerunFailure message="assert 1 == 2">first attempt</rerunFailure>
+  </testcase>
+  <testcase classname="tests.test_cart" name="test_empty TC-2" file="tests/test_cart.py" line="20" />
+</testsuite>`);
+
+    expect(parsed.resultsToUpload[0][0].failure).toEqual({
+      message: 'assert 1 == 2',
+      file: 'tests/test_cart.py',
+      line: 12,
+      retries: 1
+    });
+    expect(parsed.allTests[1]).not.toHaveProperty('failure');
+  });
+
+  test('Mochawesome takes the line from the stack trace of the spec file', () => {
+    const parsed = parseMochawesomeReport({
+      results: [{
+        file: 'cypress/e2e/cart.cy.js',
+        suites: [{
+          title: 'Cart',
+          tests: [{
+            title: 'adds TC-3',
+            fullTitle: 'Cart adds TC-3',
+            state: 'failed',
+            fail: true,
+            err: { message: 'expected 1 to equal 2', estack: 'AssertionError: expected 1 to equal 2\n    at Context.eval (webpack:///./cypress/e2e/cart.cy.js:8:14)' }
+          }],
+          suites: []
+        }]
+      }]
+    });
+
+    expect(parsed.resultsToUpload[0][0].failure).toEqual({ message: 'expected 1 to equal 2', file: 'cypress/e2e/cart.cy.js', line: 8 });
+  });
+
+  test('Playwright uses the spec location and the retry of the final attempt', () => {
+    const parsed = parsePlaywrightReport({
+      suites: [{
+        title: 'cart.spec.ts',
+        specs: [{
+          title: 'checks out TC-4',
+          file: 'cart.spec.ts',
+          line: 5,
+          tests: [{
+            projectName: 'chromium',
+            status: 'unexpected',
+            results: [
+              { retry: 0, status: 'failed', duration: 100, error: { message: 'boom', stack: 'Error: boom' } },
+              { retry: 1, status: 'failed', duration: 120, error: { message: '\u001b[31mboom\u001b[39m', stack: 'Error: boom' } }
+            ]
+          }]
+        }]
+      }]
+    });
+
+    expect(parsed.allTests[0].failure).toEqual({ message: 'boom', file: 'cart.spec.ts', line: 5, retries: 1 });
+  });
+});
+
+describe('getResultComment', () => {
+  test('renders failures, blocked results and notes', () => {
+    const failed = { status: 2, errDetails: 'boom', duration: 0 };
+    expect(getResultComment(failed, buildMetadata)).toContain('Build: <a href=');
+    expect(getResultComment({ ...failed, status: 4 })).toBe('<p><strong>Failure</strong><br>boom</p>');
+    expect(getResultComment({ status: 1, errDetails: null, comment: 'Flaky' })).toBe('<p>Flaky</p>');
+    expect(getResultComment({ status: 1, errDetails: null })).toBeNull();
+  });
+});
+
+describe('uploadUsingReporterFlow comments', () => {
+  const originalFetch = global.fetch;
+  let comments;
+
+  beforeEach(() => {
+    comments = [];
+    global.fetch = jest.fn(async (url, options = {}) => {
+      const { pathname } = new URL(url);
+      const method = options.method || 'GET';
+      if (pathname === '/system') return jsonResponse({});
+      if (pathname === '/projects/1') return jsonResponse({ id: 1 });
+      if (pathname === '/testplans/2') return jsonResponse({ id: 2, project: { id: 1 } });
+      if (pathname === '/testplanregressions') return jsonResponse([{ id: 3 }]);
+      if (pathname === '/testplanconfigurations') return jsonResponse([]);
+      if (pathname === '/users/me') return jsonResponse({ id: 7 });
+      if (pathname === '/executedtestcases' && method === 'GET') {
+        return jsonResponse([{ id: 500, test_plan_test_case: { id: 900, test_case: 100 }, test_plan_config: null }]);
+      }
+      if (pathname === '/executioncomments') {
+        comments.push(JSON.parse(options.body).comment);
+        return jsonResponse({ id: 1 });
+      }
+      if (pathname.endsWith('/updateTimeTaken')) return jsonResponse({});
+      const match = pathname.match(/^\/executedtestcases\/(\d+)$/);
+      if (match) return jsonResponse({ id: Number(match[1]) });
+      return jsonResponse({ message: 'not found' }, 404);
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    jest.restoreAllMocks();
+  });
+
+  test('posts the rendered failure comment', async () => {
+    await uploadUsingReporterFlow({
+      apiKey: 'token',
+      projectId: 1,
+      testPlanId: 2,
+      apiUrl: 'http://tc.test',
+      hasConfig: false,
+      resultsToUpload: {
+        0: [{ tcId: '100', status: 2, errDetails: 'Error: 100% <broken>', failure: { message: '100% <broken>' }, title: 'a', duration: 2 }]
+      },
+      unresolvedIds: []
+    });
+
+    expect(comments).toEqual([
+      '<p><strong>Failure</strong><br>100% &lt;broken&gt;</p><p>Duration: 2 s</p>'
+      + '<details><summary>Stack trace</summary><pre>Error: 100% &lt;broken&gt;</pre></details>'
+    ]);
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * Tests for resumable uploads (tc report --resume).
+ *
+ * These tests verify that:
+ * 1. An interrupted upload leaves a journal of finished work behind
+ * 2. Resuming skips result PUTs and comments that already went through
+ * 3. A journal for another run is ignored, and a clean run removes it
+ * 4. Without a journal path nothing is written
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { uploadUsingReporterFlow } from '../src/commands/report.js';
+
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), { status });
+}
+
+/**
+ * Minimal TestCollab API with three assigned cases. `failingUpdates` holds
+ * executed-case IDs whose result PUT is rejected.
+ */
+function mockApi({ runId = 3, failingUpdates = new Set() } = {}) {
+  const calls = { updates: [], comments: [], timeTaken: [] };
+  const assignedCases = [0, 1, 2].map(index => ({
+    id: 500 + index,
+    time_taken: 0,
+    test_plan_test_case: { id: 900 + index, test_case: 100 + index },
+    test_plan_config: null
+  }));
+
+  global.fetch = jest.fn(async (url, options = {}) => {
+    const { pathname } = new URL(url);
+    const method = options.method || 'GET';
+    const body = options.body ? JSON.parse(options.body) : null;
+
+    if (pathname === '/system') return jsonResponse({});
+    if (pathname === '/projects/1') return jsonResponse({ id: 1 });
+    if (pathname === '/testplans/2') return jsonResponse({ id: 2, project: { id: 1 } });
+    if (pathname === '/testplanregressions') return jsonResponse([{ id: runId }]);
+    if (pathname === '/testplanconfigurations') return jsonResponse([]);
+    if (pathname === '/users/me') return jsonResponse({ id: 7 });
+    if (pathname === '/executedtestcases' && method === 'GET') return jsonResponse(assignedCases);
+    if (pathname === '/executioncomments') {
+      calls.comments.push(body.executed_test_case);
+      return jsonResponse({ id: 1 });
+    }
+
+    const timeMatch = pathname.match(/^\/executedtestcases\/(\d+)\/updateTimeTaken$/);
+    if (timeMatch) {
+      calls.timeTaken.push([Number(timeMatch[1]), body.time_taken]);
+      return jsonResponse({});
+    }
+
+    const updateMatch = pathname.match(/^\/executedtestcases\/(\d+)$/);
+    if (updateMatch && method === 'PUT') {
+      const id = Number(updateMatch[1]);
+      calls.updates.push(id);
+      return failingUpdates.has(id) ? jsonResponse({ message: 'bad' }, 400) : jsonResponse({ id });
+    }
+    return jsonResponse({ message: 'not found' }, 404);
+  });
+
+  return calls;
+}
+
+/**
+ * Write a journal as JSON Lines: the scope, then one line per entry
+ */
+function writeJournal(filePath, scope, entries) {
+  const lines = [{ scope }, ...Object.entries(entries).map(([id, fields]) => ({ id: Number(id), ...fields }))];
+  fs.writeFileSync(filePath, lines.map(line => `${JSON.stringify(line)}\n`).join(''));
+}
+
+const resultsToUpload = {
+  0: [
+    { tcId: '100', status: 2, errDetails: 'boom', title: 'a', duration: 2 },
+    { tcId: '101', status: 2, errDetails: 'bang', title: 'b', duration: 0 },
+    { tcId: '102', status: 1, errDetails: null, title: 'c', duration: 0 }
+  ]
+};
+
+describe('uploadUsingReporterFlow with a journal', () => {
+  const originalFetch = global.fetch;
+  let tmpDir;
+  let journalPath;
+
+  function upload(overrides = {}) {
+    return uploadUsingReporterFlow({
+      apiKey: 'token',
+      projectId: 1,
+      testPlanId: 2,
+      apiUrl: 'http://tc.test',
+      hasConfig: false,
+      resultsToUpload,
+      unresolvedIds: [],
+      concurrency: 1,
+      journalPath,
+      ...overrides
+    });
+  }
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tc-journal-'));
+    journalPath = path.join(tmpDir, 'journal.jsonl');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('keeps the journal when an upload has errors', async () => {
+    mockApi({ failingUpdates: new Set([501]) });
+    const summary = await upload();
+
+    expect(summary).toMatchObject({ matched: 3, updated: 2, errors: 1 });
+    const lines = fs.readFileSync(journalPath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    expect(lines).toEqual([
+      { scope: { project: 1, testPlan: 2, run: 3 } },
+      { id: 500, updated: true, timeTaken: 2000 },
+      { id: 500, commented: true },
+      { id: 500, timeTakenUpdated: true },
+      { id: 502, updated: true }
+    ]);
+  });
+
+  test('--resume only redoes unfinished work and then removes the journal', async () => {
+    mockApi({ failingUpdates: new Set([501]) });
+    await upload();
+
+    const calls = mockApi();
+    const summary = await upload({ resume: true });
+
+    expect(calls.updates).toEqual([501]);
+    expect(calls.comments).toEqual([501]);
+    expect(calls.timeTaken).toEqual([]);
+    expect(summary).toMatchObject({ matched: 3, updated: 1, resumed: 2, errors: 0 });
+    expect(fs.existsSync(journalPath)).toBe(false);
+  });
+
+  test('reuses the recorded time taken when only that step is pending', async () => {
+    writeJournal(journalPath, { project: 1, testPlan: 2, run: 3 }, { 500: { updated: true, timeTaken: 2000, commented: true } });
+
+    const calls = mockApi();
+    await upload({ resume: true });
+
+    expect(calls.updates).toEqual([501, 502]);
+    expect(calls.timeTaken).toEqual([[500, 2000]]);
+  });
+
+  test('ignores a journal written for a different run', async () => {
+    writeJournal(journalPath, { project: 1, testPlan: 2, run: 99 }, { 500: { updated: true, commented: true } });
+
+    const calls = mockApi();
+    const summary = await upload({ resume: true });
+
+    expect(calls.updates).toEqual([500, 501, 502]);
+    expect(summary).toMatchObject({ updated: 3, resumed: 0 });
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('belongs to a different project, test plan or run'));
+  });
+
+  test('without --resume an existing journal is overwritten', async () => {
+    writeJournal(journalPath, { project: 1, testPlan: 2, run: 3 }, { 500: { updated: true, commented: true } });
+
+    const calls = mockApi();
+    await upload();
+
+    expect(calls.updates).toEqual([500, 501, 502]);
+  });
+
+  test('skips a line torn by a killed upload', async () => {
+    writeJournal(journalPath, { project: 1, testPlan: 2, run: 3 }, { 500: { updated: true, timeTaken: 2000, commented: true } });
+    fs.appendFileSync(journalPath, '{"id":501,"upd');
+
+    const calls = mockApi();
+    const summary = await upload({ resume: true });
+
+    expect(calls.updates).toEqual([501, 502]);
+    expect(summary).toMatchObject({ resumed: 1, errors: 0 });
+  });
+
+  test('writes no journal without a journal path', async () => {
+    const originalCwd = process.cwd();
+    process.chdir(tmpDir);
+    try {
+      mockApi({ failingUpdates: new Set([501]) });
+      await upload({ journalPath: null });
+    } finally {
+      process.chdir(originalCwd);
+    }
+
+    expect(fs.readdirSync(tmpDir)).toEqual([]);
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Tests for syncing Scenario Outline examples (tc sync --examples).
+ *
+ * These tests verify that:
+ * 1. In table mode an outline is one scenario carrying its Examples tables;
+ *    changing a row changes its content hash, while its hash stays the one
+ *    earlier releases stored
+ * 2. In rows mode each example row is its own scenario with the row's values
+ *    filled into the title and steps, and repeated rows still hash apart
+ * 3. Scenarios without examples hash the same in both modes
+ * 4. tc report --format cucumber --examples rows matches each row to its own case
+ */
+
+import { createHash } from 'crypto';
+import { parseCucumberReport } from '../src/commands/report.js';
+import { parseExamplesMode, parseGherkinFile } from '../src/commands/featuresync.js';
+
+const FEATURE_URI = 'features/discount.feature';
+const FEATURE_SOURCE = `Feature: Discounts
+
+  Scenario: No discount
+    Given a cart worth 10
+    Then the total is 10
+
+  @pricing
+  Scenario Outline: Voucher discount
+    Given a cart worth <amount>
+    When I apply the voucher "<code>"
+    Then the total is <total>
+
+    @smoke
+    Examples: Percentages
+      | amount | code  | total |
+      | 100    | TEN   | 90    |
+      | 50     | HALF  | 25    |
+
+    Examples: Fixed
+      | amount | code  | total |
+      | 100    | MINUS5 | 95   |
+`;
+
+describe('parseExamplesMode', () => {
+  test('accepts table and rows', () => {
+    expect(parseExamplesMode()).toBe('table');
+    expect(parseExamplesMode('Rows')).toBe('rows');
+    expect(() => parseExamplesMode('cases')).toThrow('Invalid --examples "cases": use table or rows');
+  });
+});
+
+describe('parseGherkinFile with Scenario Outlines', () => {
+  test('table mode keeps one scenario with its Examples tables', () => {
+    const { scenarios } = parseGherkinFile(FEATURE_SOURCE, FEATURE_URI);
+
+    expect(scenarios.map(s => s.title)).toEqual(['No discount', 'Voucher discount']);
+    expect(scenarios[0]).not.toHaveProperty('examples');
+    expect(scenarios[1]).toMatchObject({
+      steps: ['Given a cart worth &lt;amount&gt;', 'When I apply the voucher "&lt;code&gt;"', 'Then the total is &lt;total&gt;'],
+      tags: ['pricing'],
+      line: 8,
+      examples: [
+        { name: 'Percentages', tags: ['smoke'], header: ['amount', 'code', 'total'], rows: [['100', 'TEN', '90'], ['50', 'HALF', '25']] },
+        { name: 'Fixed', tags: [], header: ['amount', 'code', 'total'], rows: [['100', 'MINUS5', '95']] }
+      ]
+    });
+  });
+
+  test('changing an example row changes the outline content hash only', () => {
+    const before = parseGherkinFile(FEATURE_SOURCE, FEATURE_URI).scenarios;
+    const after = parseGherkinFile(FEATURE_SOURCE.replace('| 50     | HALF  | 25    |', '| 60     | HALF  | 30    |'), FEATURE_URI).scenarios;
+
+    expect(after[0]).toEqual(before[0]);
+    expect(after[1].hash).toBe(before[1].hash);
+    expect(after[1].contentHash).not.toBe(before[1].contentHash);
+  });
+
+  test('outlines keep the hash earlier releases stored, so they still resolve', () => {
+    const baselineHash = createHash('sha1')
+      .update(`${FEATURE_URI}:Given a cart worth <amount>\nWhen I apply the voucher "<code>"\nThen the total is <total>`, 'utf8')
+      .digest('hex');
+
+    expect(parseGherkinFile(FEATURE_SOURCE, FEATURE_URI).scenarios[1].hash).toBe(baselineHash);
+  });
+
+  test('rows mode returns one scenario per example row', () => {
+    const { scenarios } = parseGherkinFile(FEATURE_SOURCE, FEATURE_URI, { examples: 'rows' });
+
+    expect(scenarios.map(s => [s.title, s.line])).toEqual([
+      ['No discount', 3],
+      ['Voucher discount (amount: 100, code: TEN, total: 90)', 16],
+      ['Voucher discount (amount: 50, code: HALF, total: 25)', 17],
+      ['Voucher discount (amount: 100, code: MINUS5, total: 95)', 21]
+    ]);
+    expect(scenarios[1]).toMatchObject({
+      steps: ['Given a cart worth 100', 'When I apply the voucher "TEN"', 'Then the total is 90'],
+      tags: ['pricing', 'smoke']
+    });
+    expect(scenarios[3].tags).toEqual(['pricing']);
+    expect(new Set(scenarios.map(s => s.hash)).size).toBe(4);
+    expect(scenarios[0].hash).toBe(parseGherkinFile(FEATURE_SOURCE, FEATURE_URI).scenarios[0].hash);
+  });
+
+  test('rows mode fills placeholders used in the outline title', () => {
+    const source = FEATURE_SOURCE.replace('Scenario Outline: Voucher discount', 'Scenario Outline: Voucher <code>');
+    const { scenarios } = parseGherkinFile(source, FEATURE_URI, { examples: 'rows' });
+
+    expect(scenarios.slice(1).map(s => s.title)).toEqual(['Voucher TEN', 'Voucher HALF', 'Voucher MINUS5']);
+  });
+
+  test('rows mode gives repeated rows their own hash', () => {
+    const source = FEATURE_SOURCE.replace('| 50     | HALF  | 25    |', '| 100    | TEN   | 90    |');
+    const rows = parseGherkinFile(source, FEATURE_URI, { examples: 'rows' }).scenarios.slice(1);
+    const original = parseGherkinFile(FEATURE_SOURCE, FEATURE_URI, { examples: 'rows' }).scenarios.slice(1);
+
+    expect(new Set(rows.map(s => s.hash)).size).toBe(3);
+    expect(rows[0].hash).toBe(original[0].hash);
+    expect(rows[2].hash).toBe(original[2].hash);
+  });
+});
+
+describe('Cucumber results with --examples rows', () => {
+  const outlineElement = (line, amount, code, total, status) => ({
+    type: 'scenario',
+    name: 'Voucher discount',
+    line,
+    steps: [
+      { keyword: 'Given ', name: `a cart worth ${amount}`, line: 9, result: { status: 'passed', duration: 1000 } },
+      { keyword: 'When ', name: `I apply the voucher "${code}"`, line: 10, result: { status: 'passed', duration: 1000 } },
+      { keyword: 'Then ', name: `the total is ${total}`, line: 11, result: { status, duration: 1000 } }
+    ]
+  });
+  const cucumberJson = JSON.stringify([{
+    uri: FEATURE_URI,
+    name: 'Discounts',
+    elements: [
+      outlineElement(16, 100, 'TEN', 90, 'passed'),
+      outlineElement(17, 50, 'HALF', 25, 'failed'),
+      outlineElement(21, 100, 'MINUS5', 95, 'passed')
+    ]
+  }]);
+  const readFeatureFile = uri => (uri === FEATURE_URI ? FEATURE_SOURCE : null);
+
+  test('matches each row to the case synced for it', () => {
+    const rowScenarios = parseGherkinFile(FEATURE_SOURCE, FEATURE_URI, { examples: 'rows' }).scenarios;
+    const parsed = parseCucumberReport(cucumberJson, { readFeatureFile, examples: 'rows' });
+
+    expect(parsed.allTests.map(test => [test.scenarioHash, test.status])).toEqual([
+      [rowScenarios[1].hash, 1],
+      [rowScenarios[2].hash, 2],
+      [rowScenarios[3].hash, 1]
+    ]);
+  });
+
+  test('table mode still folds the rows into the outline', () => {
+    const [outline] = parseGherkinFile(FEATURE_SOURCE, FEATURE_URI).scenarios.slice(1);
+    const parsed = parseCucumberReport(cucumberJson, { readFeatureFile });
+
+    expect(parsed.allTests).toHaveLength(1);
+    expect(parsed.allTests[0]).toMatchObject({ scenarioHash: outline.hash, status: 2 });
+  });
+});
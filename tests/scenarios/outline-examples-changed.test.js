@@ -0,0 +1,114 @@
+/**
+ * Outline Examples Changed Test
+ *
+ * Tests the synchronization when only the Examples table of a Scenario
+ * Outline changes. The outline was synced by an earlier release, which
+ * hashed only its step lines: that hash must still resolve to the existing
+ * test case, and the changed examples are sent with a new content hash so the
+ * case is updated rather than recreated.
+ */
+
+import { describe, test, beforeEach, afterEach, expect, jest } from '@jest/globals';
+import { createHash } from 'crypto';
+import {
+  createTempDir,
+  initGitRepo,
+  cleanupTempDir,
+  createFeatureFile,
+  commitAllChanges
+} from '../utils/git-helpers.js';
+import {
+  setupApiMocks,
+  createApiResponse,
+  mockFetch,
+  mockSuccessfulSync,
+  getFinalSyncPayload,
+  resetApiMocks
+} from '../utils/api-mocks.js';
+import { featuresync } from '../../src/commands/featuresync.js';
+
+const FEATURE_PATH = 'features/discount.feature';
+const OUTLINE = `Feature: Discounts
+
+  Scenario Outline: Voucher discount
+    Given a cart worth <amount>
+    When I apply the voucher "<code>"
+    Then the total is <total>
+
+    Examples:
+      | amount | code | total |
+      | 100    | TEN  | 90    |
+`;
+
+// The hash earlier releases stored for the outline: its step lines only
+const BASELINE_OUTLINE_HASH = createHash('sha1')
+  .update(`${FEATURE_PATH}:Given a cart worth <amount>\nWhen I apply the voucher "<code>"\nThen the total is <total>`, 'utf8')
+  .digest('hex');
+
+describe('Scenario Outline examples changed', () => {
+  let tempDir;
+  let git;
+  let originalEnv;
+  let originalCwd;
+
+  beforeEach(async () => {
+    originalCwd = process.cwd();
+    tempDir = await createTempDir();
+    git = await initGitRepo(tempDir);
+
+    setupApiMocks();
+
+    originalEnv = process.env.TESTCOLLAB_TOKEN;
+    process.env.TESTCOLLAB_TOKEN = 'test-token-12345';
+
+    process.chdir(tempDir);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    process.chdir(originalCwd);
+    await cleanupTempDir(tempDir);
+    resetApiMocks();
+
+    if (originalEnv) {
+      process.env.TESTCOLLAB_TOKEN = originalEnv;
+    } else {
+      delete process.env.TESTCOLLAB_TOKEN;
+    }
+  });
+
+  test('resolves the outline by its earlier hash and sends the new examples', async () => {
+    await createFeatureFile(tempDir, FEATURE_PATH, OUTLINE);
+    const initialCommit = await commitAllChanges(git, 'Add discount outline');
+    await createFeatureFile(tempDir, FEATURE_PATH, OUTLINE.replace('| 100    | TEN  | 90    |', '| 100    | TEN  | 80    |'));
+    await commitAllChanges(git, 'Change the expected total');
+
+    mockFetch.mockImplementation((url, options = {}) => {
+      if (url.includes('/bdd/resolve-ids')) {
+        return createApiResponse({
+          success: true,
+          results: { suites: {}, cases: { [BASELINE_OUTLINE_HASH]: { caseId: 555 } } }
+        });
+      }
+      if (url.includes('/bdd/sync') && options.method === 'POST') {
+        return mockSuccessfulSync({ createdSuites: 0, createdCases: 0, updatedCases: 1 });
+      }
+      return createApiResponse({ projectId: 42, lastSyncedCommit: initialCommit });
+    });
+
+    await featuresync({ project: '42', apiUrl: 'https://api.testcollab.com' });
+
+    const [change] = getFinalSyncPayload().changes;
+    const [scenario] = change.scenarios;
+    expect(change.scenarios).toHaveLength(1);
+    expect(scenario).toMatchObject({
+      hash: BASELINE_OUTLINE_HASH,
+      prevHash: BASELINE_OUTLINE_HASH,
+      caseId: 555,
+      examples: [{ name: '', tags: [], header: ['amount', 'code', 'total'], rows: [['100', 'TEN', '80']] }]
+    });
+    expect(scenario.contentHash).toEqual(expect.any(String));
+    expect(scenario.contentHash).not.toBe(BASELINE_OUTLINE_HASH);
+  });
+});
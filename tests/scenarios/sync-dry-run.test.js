@@ -0,0 +1,159 @@
+/**
+ * Sync Dry Run Test
+ *
+ * Tests `tc sync --dry-run`: the CLI fetches the sync state and resolves IDs
+ * as usual, then prints which suites and test cases would be created,
+ * renamed, updated or deleted instead of posting the payload. With
+ * --payload-file the payload is written to disk.
+ */
+
+import { describe, test, beforeEach, afterEach, expect, jest } from '@jest/globals';
+import fs from 'fs';
+import path from 'path';
+import {
+  createTempDir,
+  initGitRepo,
+  cleanupTempDir,
+  createFeatureFile,
+  commitAllChanges
+} from '../utils/git-helpers.js';
+import {
+  setupApiMocks,
+  createApiResponse,
+  mockFetch,
+  getAllApiCalls,
+  resetApiMocks
+} from '../utils/api-mocks.js';
+import { featuresync } from '../../src/commands/featuresync.js';
+
+const CART_BEFORE = `Feature: Cart
+
+  Scenario: Adds an item
+    Given an empty cart
+    When I add a book
+    Then the cart has 1 item
+
+  Scenario: Removes an item
+    Given a cart with a book
+    When I remove the book
+    Then the cart is empty
+
+  Scenario: Shows the total
+    Given a cart with a book
+    Then the total is 10`;
+
+const CART_AFTER = `Feature: Cart
+
+  Scenario: Adds a single item
+    Given an empty cart
+    When I add a book
+    Then the cart has 1 item
+
+  Scenario: Removes an item
+    Given a cart with a book
+    When I remove the book
+    Then the cart has 0 items
+
+  Scenario: Applies a voucher
+    Given a cart with a book
+    When I apply a voucher
+    Then the total is 5
+
+  Scenario: Empties the cart
+    Given a cart with two books
+    When I empty the cart
+    Then the cart is empty`;
+
+const CHECKOUT = `Feature: Checkout
+
+  Scenario: Pays by card
+    Given a cart with a book
+    When I pay by card
+    Then the order is placed`;
+
+describe('tc sync --dry-run', () => {
+  let tempDir;
+  let git;
+  let originalEnv;
+  let originalCwd;
+  let output;
+
+  beforeEach(async () => {
+    originalCwd = process.cwd();
+    tempDir = await createTempDir();
+    git = await initGitRepo(tempDir);
+
+    setupApiMocks();
+
+    originalEnv = process.env.TESTCOLLAB_TOKEN;
+    process.env.TESTCOLLAB_TOKEN = 'test-token-12345';
+
+    process.chdir(tempDir);
+
+    output = [];
+    jest.spyOn(console, 'log').mockImplementation((...args) => output.push(args.join(' ')));
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    process.chdir(originalCwd);
+    await cleanupTempDir(tempDir);
+    resetApiMocks();
+
+    if (originalEnv) {
+      process.env.TESTCOLLAB_TOKEN = originalEnv;
+    } else {
+      delete process.env.TESTCOLLAB_TOKEN;
+    }
+  });
+
+  test('prints the planned changes and never posts the sync', async () => {
+    await createFeatureFile(tempDir, 'features/cart.feature', CART_BEFORE);
+    const initialCommit = await commitAllChanges(git, 'Add cart feature');
+    await createFeatureFile(tempDir, 'features/cart.feature', CART_AFTER);
+    await createFeatureFile(tempDir, 'features/checkout.feature', CHECKOUT);
+    await commitAllChanges(git, 'Update cart, add checkout');
+
+    // Every old hash resolves: the suite to 101, scenarios to 1001, 1002, ...
+    mockFetch.mockImplementation((url, options) => {
+      if (url.includes('/bdd/resolve-ids')) {
+        const body = JSON.parse(options.body);
+        return createApiResponse({
+          success: true,
+          results: {
+            suites: Object.fromEntries((body.features || []).map(hash => [hash, { suiteId: 101 }])),
+            cases: Object.fromEntries((body.scenarios || []).map((hash, index) => [hash, { caseId: 1001 + index }]))
+          }
+        });
+      }
+      return createApiResponse({ projectId: 42, lastSyncedCommit: initialCommit });
+    });
+
+    const payloadFile = path.join(tempDir, 'tmp', 'sync-payload.json');
+    await featuresync({
+      project: '42',
+      apiUrl: 'https://api.testcollab.com',
+      dryRun: true,
+      payloadFile
+    });
+
+    const calls = getAllApiCalls();
+    expect(calls.map(call => `${call.method} ${new URL(call.url).pathname}`)).toEqual([
+      'GET /bdd/sync',
+      'POST /bdd/resolve-ids'
+    ]);
+
+    const payload = JSON.parse(fs.readFileSync(payloadFile, 'utf8'));
+    expect(payload.changes.map(change => change.newPath).sort()).toEqual(['features/cart.feature', 'features/checkout.feature']);
+
+    const lines = output.join('\n');
+    expect(lines).toContain('✨ create features/checkout.feature "Checkout"');
+    expect(lines).toContain('🔄 update features/cart.feature "Cart" (suite 101)');
+    expect(lines).toContain('🔄 rename "Adds an item" -> "Adds a single item" in features/cart.feature (case 1001)');
+    expect(lines).toContain('🔄 update "Removes an item" in features/cart.feature (case 1002)');
+    expect(lines).toContain('🗑️  delete "Shows the total" in features/cart.feature (case 1003)');
+    expect(lines).toContain('✨ create "Pays by card" in features/checkout.feature');
+    expect(lines).toContain('📊 Would create 1 suite(s), update 1 suite(s), create 3 test case(s), rename 1 test case(s), update 1 test case(s), delete 1 test case(s)');
+    expect(lines).toContain('🔎 Dry run: nothing was sent to TestCollab');
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Tests for tc report --status-map.
+ *
+ * These tests verify that:
+ * 1. Mappings are parsed from outcome=status pairs and resolved to built-in
+ *    statuses, numeric IDs or the project's custom statuses
+ * 2. Parsers keep the reporter's own outcome (JUnit <error>, todo tests)
+ * 3. applyStatusMap() changes statuses and stats, and blocked results still
+ *    carry their error details as a comment
+ * 4. report() stops with a clear error when custom statuses can't be loaded
+ */
+
+import { jest } from '@jest/globals';
+import path from 'path';
+import {
+  applyStatusMap,
+  buildUploadPlan,
+  parseJUnitReport,
+  parseStatusMap,
+  report,
+  resolveStatusMap
+} from '../src/commands/report.js';
+
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), { status });
+}
+
+const junitXml = `<testsuite name="Checkout">
+  <testcase classname="Checkout" name="[TC-1] pays by card">
+    <failure message="expected 200">AssertionError</failure>
+  </testcase>
+  <testcase classname="Checkout" name="[TC-2] pays by invoice">
+    <error message="ECONNREFUSED">Error: connect ECONNREFUSED</error>
+  </testcase>
+  <testcase classname="Checkout" name="[TC-3] pays by voucher">
+    <skipped type="todo"/>
+  </testcase>
+  <testcase classname="Checkout" name="[TC-4] refunds" />
+</testsuite>`;
+
+describe('parseStatusMap', () => {
+  test('reads comma-separated and repeated pairs', () => {
+    expect(parseStatusMap(['error=blocked,todo=skip', 'Pending = unexecuted'])).toEqual({
+      error: 'blocked',
+      todo: 'skip',
+      pending: 'unexecuted'
+    });
+  });
+
+  test('built-in status names on the left stand for the state', () => {
+    expect(parseStatusMap('failed=blocked')).toEqual({ fail: 'blocked' });
+  });
+
+  test('rejects pairs without an outcome or status', () => {
+    expect(() => parseStatusMap(['error'])).toThrow('Invalid status mapping "error": expected <outcome>=<status>');
+    expect(() => parseStatusMap(['=blocked'])).toThrow('Invalid status mapping');
+  });
+});
+
+describe('resolveStatusMap', () => {
+  const executionStatuses = [{ id: 101, name: 'Needs Retest' }];
+
+  test('resolves built-in names, IDs and custom status names', () => {
+    expect(resolveStatusMap({ error: 'Blocked', todo: '7', flaky: 'needs retest' }, executionStatuses)).toEqual({
+      error: { status: 4, name: 'blocked' },
+      todo: { status: 7, name: '7' },
+      flaky: { status: 101, name: 'Needs Retest' }
+    });
+  });
+
+  test('fails on unknown status names', () => {
+    expect(() => resolveStatusMap({ error: 'broken' }, executionStatuses))
+      .toThrow('Unknown status "broken" for "error" in --status-map; use pass, fail, skip, blocked, unexecuted, or one of the project\'s statuses: Needs Retest');
+  });
+});
+
+describe('reporter outcomes', () => {
+  test('JUnit keeps <error> and todo tests apart from failures and skips', () => {
+    const parsed = parseJUnitReport(junitXml);
+
+    expect(parsed.allTests.map(test => [test.tcId, test.status, test.outcome])).toEqual([
+      ['1', 2, undefined],
+      ['2', 2, 'error'],
+      ['3', 3, 'todo'],
+      ['4', 1, undefined]
+    ]);
+    expect(parsed.resultsToUpload[0][1]).toMatchObject({ tcId: '2', outcome: 'error' });
+  });
+});
+
+describe('applyStatusMap', () => {
+  test('changes statuses and stats by outcome before state', () => {
+    const parsed = parseJUnitReport(junitXml);
+    const changes = applyStatusMap(parsed, resolveStatusMap(parseStatusMap(['error=blocked', 'fail=skip', 'todo=unexecuted'])));
+
+    expect(changes).toEqual({ 'error → blocked': 1, 'fail → skip': 1, 'todo → unexecuted': 1 });
+    expect(parsed.resultsToUpload[0].map(record => record.status)).toEqual([3, 4, 0, 1]);
+    expect(parsed.stats).toMatchObject({ tests: 4, passes: 1, failures: 0, skipped: 2 });
+  });
+
+  test('blocked results still carry their error details', () => {
+    const parsed = parseJUnitReport(junitXml);
+    applyStatusMap(parsed, resolveStatusMap({ error: 'blocked' }));
+
+    const plan = buildUploadPlan({
+      casesAssigned: [{ id: 502, test_plan_test_case: { test_case: 2 }, test_plan_config: null }],
+      resultsToUpload: parsed.resultsToUpload,
+      hasConfig: false
+    });
+    expect(plan.results).toEqual([expect.objectContaining({ tcId: '2', status: 'block', comment: true })]);
+  });
+});
+
+describe('tc report --status-map with custom statuses', () => {
+  const originalFetch = global.fetch;
+
+  beforeEach(() => {
+    global.fetch = jest.fn(async (url) => {
+      const { pathname } = new URL(url);
+      if (pathname === '/executionstatuses') return jsonResponse({ message: 'Not Found' }, 404);
+      return jsonResponse({});
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    jest.restoreAllMocks();
+  });
+
+  test('stops before uploading when the custom statuses cannot be loaded', async () => {
+    const exit = jest.spyOn(process, 'exit').mockImplementation(() => undefined);
+
+    await report({
+      apiKey: 'token',
+      project: '1',
+      testPlanId: '2',
+      apiUrl: 'http://tc.test',
+      resultFile: [path.join(process.cwd(), 'samples/reports/junit.xml')],
+      statusMap: ['fail=needs retest']
+    });
+
+    expect(exit).toHaveBeenCalledWith(1);
+    expect(console.error).toHaveBeenCalledWith(
+      '❌ Error: Custom status map could not be resolved: the project\'s execution statuses could not be loaded (HTTP 404): Not Found. '
+      + 'Map to pass, fail, skip, blocked, unexecuted or a numeric status ID instead'
+    );
+    expect(global.fetch.mock.calls.map(([url]) => new URL(url).pathname)).toEqual(['/executionstatuses']);
+  });
+});
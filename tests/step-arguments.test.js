@@ -0,0 +1,110 @@
+/**
+ * Tests for step arguments (doc strings and data tables) in tc sync.
+ *
+ * These tests verify that:
+ * 1. Doc strings are synced as code blocks and data tables as tables
+ * 2. Editing a step argument changes the content hash, while the hash stays
+ *    on the step lines so cases synced earlier still resolve
+ * 3. Steps are always HTML: step text is escaped, with or without an argument
+ * 4. Example rows fill their values into step arguments
+ */
+
+import { createHash } from 'crypto';
+import { parseGherkinFile } from '../src/commands/featuresync.js';
+
+const FEATURE_URI = 'features/users-api.feature';
+const FEATURE_SOURCE = `Feature: Users API
+
+  Background:
+    Given the API accepts
+      | header       | value            |
+      | Content-Type | application/json |
+
+  Scenario: Create a user
+    When I POST to "/users"
+      """json
+      {"name": "<alice>", "admin": false}
+      """
+    Then the response status is 201
+
+  Scenario: List users
+    When I GET "/users"
+    Then the response status is 200
+`;
+
+describe('step arguments', () => {
+  const parsed = parseGherkinFile(FEATURE_SOURCE, FEATURE_URI);
+
+  test('doc strings become code blocks', () => {
+    expect(parsed.scenarios[0].steps).toEqual([
+      'When I POST to "/users"<pre><code class="language-json">{"name": "&lt;alice&gt;", "admin": false}</code></pre>',
+      'Then the response status is 201'
+    ]);
+  });
+
+  test('data tables become tables', () => {
+    expect(parsed.feature.background).toEqual([
+      'Given the API accepts<table><tr><td>header</td><td>value</td></tr><tr><td>Content-Type</td><td>application/json</td></tr></table>'
+    ]);
+  });
+
+  test('editing a doc string or data table changes the content hash only', () => {
+    const editedBody = parseGherkinFile(FEATURE_SOURCE.replace('"admin": false', '"admin": true'), FEATURE_URI);
+    expect(editedBody.scenarios[0].hash).toBe(parsed.scenarios[0].hash);
+    expect(editedBody.scenarios[0].contentHash).not.toBe(parsed.scenarios[0].contentHash);
+    expect(editedBody.scenarios[1]).toEqual(parsed.scenarios[1]);
+
+    const editedTable = parseGherkinFile(FEATURE_SOURCE.replace('application/json', 'text/plain'), FEATURE_URI);
+    expect(editedTable.featureHash).toBe(parsed.featureHash);
+    expect(editedTable.featureContentHash).not.toBe(parsed.featureContentHash);
+  });
+
+  test('scenarios hash their step lines only, as before', () => {
+    const lineHash = text => createHash('sha1').update(`${FEATURE_URI}:${text}`, 'utf8').digest('hex');
+
+    expect(parsed.scenarios[0].hash).toBe(lineHash('When I POST to "/users"\nThen the response status is 201'));
+    expect(parsed.scenarios[1].hash).toBe(lineHash('When I GET "/users"\nThen the response status is 200'));
+    expect(parsed.scenarios[1]).not.toHaveProperty('contentHash');
+  });
+
+  test('step text is escaped, with or without an argument', () => {
+    const source = `Feature: Markup
+
+  Scenario: Tags
+    Given the page shows "<b>"
+      """
+      text
+      """
+    Then I see "<b>"
+`;
+    const [scenario] = parseGherkinFile(source, FEATURE_URI).scenarios;
+
+    expect(scenario.steps).toEqual([
+      'Given the page shows "&lt;b&gt;"<pre><code>text</code></pre>',
+      'Then I see "&lt;b&gt;"'
+    ]);
+  });
+
+  test('example rows fill their values into step arguments', () => {
+    const source = `Feature: Users API
+
+  Scenario Outline: Create a user
+    When I POST to "/users"
+      """
+      {"name": "<name>"}
+      """
+    Then the user has the roles
+      | <role> |
+
+    Examples:
+      | name | role  |
+      | bob  | admin |
+`;
+    const [row] = parseGherkinFile(source, FEATURE_URI, { examples: 'rows' }).scenarios;
+
+    expect(row.steps).toEqual([
+      'When I POST to "/users"<pre><code>{"name": "bob"}</code></pre>',
+      'Then the user has the roles<table><tr><td>admin</td></tr></table>'
+    ]);
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Tests for structured steps (tc sync --steps structured).
+ *
+ * These tests verify that:
+ * 1. Given/When steps become actions and the Then block after each action
+ *    becomes its expected result
+ * 2. Flat mode (the default) keeps one step per line, and structured steps
+ *    escape each line before joining them with <br>
+ * 3. Structured scenarios keep the flat hash, so they resolve to the same
+ *    cases, and a different content hash, so switching modes updates them
+ * 4. tc report --format cucumber --steps structured reports one result per
+ *    action, the worst of its steps
+ */
+
+import { parseCucumberReport } from '../src/commands/report.js';
+import { parseGherkinFile, parseStepsMode } from '../src/commands/featuresync.js';
+
+const FEATURE_URI = 'features/cart.feature';
+const FEATURE_SOURCE = `Feature: Cart
+
+  Scenario: Checkout
+    Given an empty cart
+    And a book in stock
+    When I add the book
+    Then the cart has 1 item
+    And the total is 10
+    When I check out
+    Then I see the payment page
+    But no order is placed yet
+`;
+
+describe('parseStepsMode', () => {
+  test('accepts flat and structured', () => {
+    expect(parseStepsMode()).toBe('flat');
+    expect(parseStepsMode('Structured')).toBe('structured');
+    expect(() => parseStepsMode('pairs')).toThrow('Invalid --steps "pairs": use flat or structured');
+  });
+});
+
+describe('parseGherkinFile with --steps structured', () => {
+  const [flat] = parseGherkinFile(FEATURE_SOURCE, FEATURE_URI).scenarios;
+  const [structured] = parseGherkinFile(FEATURE_SOURCE, FEATURE_URI, { steps: 'structured' }).scenarios;
+
+  test('maps each Then block to the expected result of the action before it', () => {
+    expect(structured.steps).toEqual([
+      { step: 'Given an empty cart', expectedResult: '' },
+      { step: 'And a book in stock', expectedResult: '' },
+      { step: 'When I add the book', expectedResult: 'Then the cart has 1 item<br>And the total is 10' },
+      { step: 'When I check out', expectedResult: 'Then I see the payment page<br>But no order is placed yet' }
+    ]);
+    expect(structured.stepGroups).toEqual([[0], [1], [2, 3, 4], [5, 6, 7]]);
+  });
+
+  test('flat mode keeps one step per line', () => {
+    expect(flat.steps).toHaveLength(8);
+    expect(flat).not.toHaveProperty('stepGroups');
+  });
+
+  test('structured steps keep the flat hash and change the content hash', () => {
+    expect(structured.hash).toBe(flat.hash);
+    expect(structured.contentHash).not.toBe(flat.contentHash || flat.hash);
+    expect(parseGherkinFile(FEATURE_SOURCE, FEATURE_URI, { steps: 'structured' }).featureHash)
+      .toBe(parseGherkinFile(FEATURE_SOURCE, FEATURE_URI).featureHash);
+  });
+
+  test('escapes each line of an expected result', () => {
+    const source = 'Feature: Cart\n  Scenario Outline: Count\n    When I add <count> items\n    Then I see <count> < 10\n    And a "<b>" badge\n\n    Examples:\n      | count |\n      | 3     |\n';
+    const [scenario] = parseGherkinFile(source, FEATURE_URI, { steps: 'structured' }).scenarios;
+
+    expect(scenario.steps).toEqual([{
+      step: 'When I add &lt;count&gt; items',
+      expectedResult: 'Then I see &lt;count&gt; &lt; 10<br>And a "&lt;b&gt;" badge'
+    }]);
+  });
+
+  test('a Then without an action before it is a step of its own', () => {
+    const [scenario] = parseGherkinFile('Feature: Home\n  Scenario: Landing\n    Then I see the home page\n    And I see the menu\n', FEATURE_URI, { steps: 'structured' }).scenarios;
+
+    expect(scenario.steps).toEqual([{ step: 'Then I see the home page', expectedResult: 'And I see the menu' }]);
+  });
+});
+
+describe('Cucumber results with --steps structured', () => {
+  const step = (keyword, name, line, status) => ({ keyword, name, line, result: { status, duration: 1000 } });
+  const cucumberJson = JSON.stringify([{
+    uri: FEATURE_URI,
+    name: 'Cart',
+    elements: [{
+      type: 'scenario',
+      name: 'Checkout',
+      line: 3,
+      steps: [
+        step('Given ', 'an empty cart', 4, 'passed'),
+        step('And ', 'a book in stock', 5, 'passed'),
+        step('When ', 'I add the book', 6, 'passed'),
+        step('Then ', 'the cart has 1 item', 7, 'passed'),
+        step('And ', 'the total is 10', 8, 'failed'),
+        step('When ', 'I check out', 9, 'skipped'),
+        step('Then ', 'I see the payment page', 10, 'skipped'),
+        step('But ', 'no order is placed yet', 11, 'skipped')
+      ]
+    }]
+  }]);
+
+  test('reports one result per action and its expected result', () => {
+    const [structured] = parseGherkinFile(FEATURE_SOURCE, FEATURE_URI, { steps: 'structured' }).scenarios;
+    const parsed = parseCucumberReport(cucumberJson, { readFeatureFile: () => FEATURE_SOURCE, steps: 'structured' });
+
+    expect(parsed.allTests[0]).toMatchObject({
+      scenarioHash: structured.hash,
+      status: 2,
+      stepResults: [1, 1, 2, 3]
+    });
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * Tests for mapping files (tc report --mapping, tc generateMapping).
+ *
+ * These tests verify that:
+ * 1. JSON, YAML and CSV mapping files parse to the same key -> case ID map
+ * 2. The JUnit, TRX, Mochawesome and Playwright parsers look tests up by
+ *    key before reading IDs from titles
+ * 3. generateMapping() turns an --auto-create record into a mapping file,
+ *    keeping entries already in it
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  buildAutoCreateRecord,
+  parseMappingContent,
+  readMappingFile
+} from '../src/utils/testMapping.js';
+import {
+  parseJUnitReport,
+  parseMochawesomeReport,
+  parsePlaywrightReport,
+  parseTrxReport
+} from '../src/commands/report.js';
+import { generateMapping } from '../src/commands/generateMapping.js';
+
+describe('parseMappingContent', () => {
+  const expected = new Map([
+    ['com.acme.LoginTest#shouldLogin', '101'],
+    ['cypress/e2e/cart.cy.js#Cart adds an item, twice', '102']
+  ]);
+
+  test('reads a JSON object', () => {
+    expect(parseMappingContent(JSON.stringify({
+      'com.acme.LoginTest#shouldLogin': 101,
+      'cypress/e2e/cart.cy.js#Cart adds an item, twice': 'TC-102'
+    }), 'json')).toEqual(expected);
+  });
+
+  test('reads a YAML list of entries', () => {
+    expect(parseMappingContent([
+      '- key: com.acme.LoginTest#shouldLogin',
+      '  testCaseId: 101',
+      '- key: "cypress/e2e/cart.cy.js#Cart adds an item, twice"',
+      '  testCaseId: 102'
+    ].join('\n'), 'yaml')).toEqual(expected);
+  });
+
+  test('reads CSV with a header and quoted keys', () => {
+    expect(parseMappingContent([
+      'key,testCaseId',
+      'com.acme.LoginTest#shouldLogin,101',
+      '"cypress/e2e/cart.cy.js#Cart adds an item, twice",102',
+      ''
+    ].join('\r\n'), 'csv')).toEqual(expected);
+  });
+
+  test('rejects entries without a case ID', () => {
+    expect(() => parseMappingContent('{"a#b": "soon"}', 'json')).toThrow('Invalid test case ID "soon" for "a#b"');
+  });
+});
+
+describe('parsers with a mapping', () => {
+  test('JUnit looks up classname#name, and the mapping wins over the title', () => {
+    const mapping = new Map([
+      ['com.acme.LoginTest#shouldLogin', '101'],
+      ['com.acme.LoginTest#[TC-5] shouldLogout', '102']
+    ]);
+    const parsed = parseJUnitReport(`<testsuite name="Login">
+  <testcase classname="com.acme.LoginTest" name="shouldLogin" />
+  <testcase classname="com.acme.LoginTest" name="[TC-5] shouldLogout" />
+  <testcase classname="com.acme.LoginTest" name="shouldRemember" />
+</testsuite>`, { mapping });
+
+    expect(parsed.resultsToUpload[0].map(record => record.tcId)).toEqual(['101', '102']);
+    expect(parsed.unresolvedIds).toEqual(['shouldRemember']);
+    expect(parsed.allTests[2].testKey).toBe('com.acme.LoginTest#shouldRemember');
+  });
+
+  test('TRX looks up className#testName before categories', () => {
+    const trx = fs.readFileSync(path.join(process.cwd(), 'samples/reports/results.trx'), 'utf8');
+    const parsed = parseTrxReport(trx, {
+      mapping: new Map([['Sample.Api.Tests.AuthenticationTests#LoginShouldSucceedWithValidCredentials', '77']])
+    });
+
+    expect(parsed.resultsToUpload[0].map(record => record.tcId)).toEqual(['77', '1914', '1915']);
+  });
+
+  test('Mochawesome looks up file#fullTitle', () => {
+    const parsed = parseMochawesomeReport({
+      results: [{
+        file: 'cypress/e2e/cart.cy.js',
+        suites: [{
+          title: 'Cart',
+          tests: [{ title: 'adds an item', fullTitle: 'Cart adds an item', state: 'passed', pass: true }],
+          suites: []
+        }]
+      }]
+    }, { mapping: new Map([['cypress/e2e/cart.cy.js#Cart adds an item', '103']]) });
+
+    expect(parsed.resultsToUpload[0]).toEqual([
+      expect.objectContaining({ tcId: '103', title: 'Cart adds an item' })
+    ]);
+  });
+
+  test('Playwright looks up file#describe + title', () => {
+    const parsed = parsePlaywrightReport({
+      config: {},
+      suites: [{
+        title: 'cart.spec.ts',
+        file: 'cart.spec.ts',
+        specs: [],
+        suites: [{
+          title: 'Cart',
+          specs: [{
+            title: 'adds an item',
+            file: 'cart.spec.ts',
+            tests: [{ projectName: 'chromium', results: [{ status: 'passed', retry: 0 }] }]
+          }]
+        }]
+      }]
+    }, { mapping: new Map([['cart.spec.ts#Cart adds an item', '104']]) });
+
+    expect(parsed.allTests[0]).toMatchObject({ tcId: '104', testKey: 'cart.spec.ts#Cart adds an item' });
+  });
+});
+
+describe('generateMapping', () => {
+  let tmpDir;
+  let recordPath;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tc-mapping-'));
+    recordPath = path.join(tmpDir, 'tc_auto_create.json');
+    fs.writeFileSync(recordPath, JSON.stringify(buildAutoCreateRecord({
+      projectId: 1,
+      testPlanId: 2,
+      allTests: [
+        { title: 'shouldLogin', testKey: 'com.acme.LoginTest#shouldLogin', tcId: '101' },
+        { title: 'shouldLogout', testKey: 'com.acme.LoginTest#shouldLogout', tcId: '102' },
+        { title: 'no case', testKey: 'com.acme.LoginTest#noCase', tcId: null }
+      ]
+    })));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('writes every matched test and keeps existing entries', async () => {
+    const output = path.join(tmpDir, 'tc-mapping.json');
+    fs.writeFileSync(output, JSON.stringify({ 'legacy#test': 9, 'com.acme.LoginTest#shouldLogout': 50 }));
+
+    await generateMapping({ input: recordPath, output });
+
+    expect(JSON.parse(fs.readFileSync(output, 'utf8'))).toEqual({
+      'com.acme.LoginTest#shouldLogin': 101,
+      'com.acme.LoginTest#shouldLogout': 102,
+      'legacy#test': 9
+    });
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('3 test(s) mapped (1 added, 1 changed) from test plan 2'));
+  });
+
+  test('writes the format the output extension asks for', async () => {
+    const output = path.join(tmpDir, 'mapping.csv');
+    await generateMapping({ input: recordPath, output });
+
+    expect(fs.readFileSync(output, 'utf8')).toBe(
+      'key,testCaseId\ncom.acme.LoginTest#shouldLogin,101\ncom.acme.LoginTest#shouldLogout,102\n'
+    );
+    expect(readMappingFile(output).get('com.acme.LoginTest#shouldLogin')).toBe('101');
+  });
+
+  test('fails when there is no auto-create record', async () => {
+    const exit = jest.spyOn(process, 'exit').mockImplementation(() => {
+      throw new Error('exit');
+    });
+
+    await expect(generateMapping({ input: path.join(tmpDir, 'missing.json') })).rejects.toThrow('exit');
+    expect(exit).toHaveBeenCalledWith(1);
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Tests for structured test metadata (JUnit <properties>, Mochawesome context).
+ *
+ * These tests verify that:
+ * 1. Case IDs, config IDs, tags and requirement keys are read from JUnit
+ *    <property> elements and Mochawesome `addContext` entries
+ * 2. Structured metadata wins over IDs in test names, and a mapping file
+ *    entry still wins over both
+ * 3. Metadata context entries are not mistaken for attachments
+ */
+
+import {
+  parseJUnitReport,
+  parseMochawesomeReport,
+  parseTrxXml
+} from '../src/commands/report.js';
+
+describe('JUnit <properties>', () => {
+  const junitXml = `<testsuite name="Checkout">
+  <testcase classname="tests.test_checkout" name="test_pays_by_card" time="1.5">
+    <properties>
+      <property name="testcase_id" value="123"/>
+      <property name="tags" value="smoke, @payments"/>
+      <property name="requirement">PAY-7</property>
+      <property name="requirement" value="PAY-9"/>
+    </properties>
+  </testcase>
+  <testcase classname="tests.test_checkout" name="[TC-5] test_pays_by_invoice">
+    <properties>
+      <property name="tc_id" value="TC-6"/>
+      <property name="config_id" value="12"/>
+    </properties>
+    <failure message="declined">AssertionError</failure>
+  </testcase>
+  <testcase classname="tests.test_checkout" name="test_refund">
+    <properties>
+      <property name="test_case" value="not-an-id"/>
+      <property name="configuration" value="browser=firefox"/>
+    </properties>
+  </testcase>
+</testsuite>`;
+
+  test('reads case IDs, tags and requirement keys', () => {
+    const parsed = parseJUnitReport(junitXml);
+
+    expect(parsed.allTests[0]).toMatchObject({
+      tcId: '123',
+      tags: ['smoke', 'payments'],
+      requirements: ['PAY-7', 'PAY-9']
+    });
+    expect(parsed.unresolvedIds).toEqual(['test_refund']);
+  });
+
+  test('properties win over IDs in the test name', () => {
+    const parsed = parseJUnitReport(junitXml);
+
+    expect(parsed.hasConfig).toBe(true);
+    expect(parsed.resultsToUpload[12]).toEqual([expect.objectContaining({ tcId: '6', status: 2 })]);
+    expect(parsed.allTests[2]).toMatchObject({ tcId: null, configId: 'browser=firefox' });
+    expect(parsed.allTests[1]).not.toHaveProperty('tags');
+  });
+
+  test('a mapping file entry wins over properties', () => {
+    const parsed = parseJUnitReport(junitXml, {
+      mapping: new Map([['tests.test_checkout#test_pays_by_card', '900']])
+    });
+
+    expect(parsed.allTests[0].tcId).toBe('900');
+  });
+});
+
+describe('Mochawesome context', () => {
+  function report(context) {
+    return {
+      results: [{
+        file: 'cypress/e2e/login.cy.js',
+        suites: [{
+          title: 'Login',
+          tests: [{ title: 'logs in TC-1', fullTitle: 'Login logs in TC-1', state: 'passed', pass: true, context }],
+          suites: []
+        }]
+      }]
+    };
+  }
+
+  test('reads addContext entries and keeps attachments separate', () => {
+    const parsed = parseMochawesomeReport(report(JSON.stringify([
+      { title: 'testcase_id', value: 42 },
+      { title: 'config', value: 'config-id-3' },
+      { title: 'tags', value: ['smoke', 'login.ui'] },
+      { title: 'requirements', value: 'AUTH-1,AUTH-2' },
+      { title: 'screenshot', value: 'screenshots/login.png' }
+    ])));
+
+    expect(parsed.hasConfig).toBe(true);
+    expect(parsed.allTests[0]).toMatchObject({
+      tcId: '42',
+      configId: '3',
+      tags: ['smoke', 'login.ui'],
+      requirements: ['AUTH-1', 'AUTH-2'],
+      attachments: [{ name: 'screenshot', path: 'screenshots/login.png' }]
+    });
+    expect(Object.keys(parsed.resultsToUpload)).toEqual(['3']);
+  });
+
+  test('falls back to the title without metadata', () => {
+    const parsed = parseMochawesomeReport(report('"plain note"'));
+
+    expect(parsed.resultsToUpload[0]).toEqual([expect.objectContaining({ tcId: '1' })]);
+    expect(parsed.allTests[0]).not.toHaveProperty('tags');
+  });
+});
+
+describe('TRX properties', () => {
+  test('win over IDs in the test name', () => {
+    const [testCase] = parseTrxXml(`<TestRun>
+  <Results>
+    <UnitTestResult testId="a" testName="TC-5 Logs in" outcome="Passed" />
+  </Results>
+  <TestDefinitions>
+    <UnitTest name="TC-5 Logs in" id="a">
+      <Properties>
+        <Property><Key>TestCaseId</Key><Value>77</Value></Property>
+        <Property><Key>Tags</Key><Value>smoke</Value></Property>
+      </Properties>
+      <TestMethod className="Shop.Tests.LoginTests" name="LogsIn" />
+    </UnitTest>
+  </TestDefinitions>
+</TestRun>`);
+
+    expect(testCase).toMatchObject({ testCaseId: '77', tags: ['smoke'] });
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Tests for the TRX (Visual Studio / dotnet test) result format.
+ *
+ * These tests verify that:
+ * 1. parseTrxReport() returns the same report shape as the JUnit parser
+ * 2. TC IDs are read from test names, TestCategory items and Properties
+ * 3. TRX outcomes, durations and error details are mapped correctly
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseTrxReport, parseTrxXml } from '../src/commands/report.js';
+
+const sampleTrx = fs.readFileSync(path.join(process.cwd(), 'samples/reports/results.trx'), 'utf8');
+
+describe('parseTrxReport', () => {
+  test('returns the shared report shape', () => {
+    const report = parseTrxReport(sampleTrx);
+    expect(report.format).toBe('trx');
+    expect(report.hasConfig).toBe(false);
+    expect(Object.keys(report.resultsToUpload)).toEqual(['0']);
+    expect(report.allTests).toHaveLength(3);
+    expect(report.unresolvedIds).toEqual([]);
+  });
+
+  test('reads TC IDs from TestCategory items and test names', () => {
+    const report = parseTrxReport(sampleTrx);
+    const ids = report.resultsToUpload['0'].map(r => r.tcId);
+    expect(ids).toEqual(['1913', '1914', '1915']);
+  });
+
+  test('maps outcomes to run statuses and counts stats', () => {
+    const report = parseTrxReport(sampleTrx);
+    expect(report.allTests.map(t => t.status)).toEqual([1, 2, 3]);
+    expect(report.stats).toEqual({ tests: 3, passes: 1, failures: 1, skipped: 1 });
+  });
+
+  test('keeps error message and stack trace for failures', () => {
+    const report = parseTrxReport(sampleTrx);
+    const failed = report.allTests[1];
+    expect(failed.errDetails).toContain('Expected:<401>. Actual:<200>.');
+    expect(failed.errDetails).toContain('AuthenticationTests.cs:line 42');
+  });
+
+  test('uses the class name without namespace as suite', () => {
+    const report = parseTrxReport(sampleTrx);
+    expect(report.allTests[0].suite).toBe('AuthenticationTests');
+    expect(report.allTests[0].suitePath).toEqual(['AuthenticationTests']);
+  });
+});
+
+describe('parseTrxXml', () => {
+  const xunitTrx = `\uFEFF<?xml version="1.0" encoding="utf-8"?>
+<TestRun xmlns="http://microsoft.com/schemas/VisualStudio/TeamTest/2010">
+  <Results>
+    <UnitTestResult testId="a" testName="Shop.Tests.CartTests.AddsItem(quantity: 2)" duration="00:01:02.5000000" outcome="Passed" />
+    <UnitTestResult testId="b" testName="Shop.Tests.CartTests.RemovesItem" duration="00:00:00.2000000" outcome="Passed" />
+    <UnitTestResult testId="c" testName="Shop.Tests.CartTests.Checkout" duration="00:00:01" outcome="Failed">
+      <InnerResults>
+        <UnitTestResult testId="c" testName="Checkout (row 1)" outcome="Failed" />
+      </InnerResults>
+    </UnitTestResult>
+  </Results>
+  <TestDefinitions>
+    <UnitTest name="AddsItem" id="a">
+      <Properties>
+        <Property><Key>Priority</Key><Value>1</Value></Property>
+        <Property><Key>TestCaseId</Key><Value>77</Value></Property>
+      </Properties>
+      <TestMethod className="Shop.Tests.CartTests" name="AddsItem" />
+    </UnitTest>
+    <UnitTest name="RemovesItem" id="b">
+      <TestCategory><TestCategoryItem TestCategory="Priority-1" /><TestCategoryItem TestCategory="config-id-4" /></TestCategory>
+      <TestMethod className="Shop.Tests.CartTests" name="RemovesItem" />
+    </UnitTest>
+    <UnitTest name="Checkout" id="c">
+      <TestMethod className="Shop.Tests.CartTests" name="Checkout" />
+    </UnitTest>
+  </TestDefinitions>
+</TestRun>`;
+
+  test('strips the class prefix from fully-qualified test names', () => {
+    const cases = parseTrxXml(xunitTrx);
+    expect(cases.map(c => c.title)).toEqual(['AddsItem(quantity: 2)', 'RemovesItem', 'Checkout']);
+  });
+
+  test('reads TC IDs from case-ID properties but ignores other numeric traits', () => {
+    const cases = parseTrxXml(xunitTrx);
+    expect(cases[0].testCaseId).toBe('77');
+    expect(cases[1].testCaseId).toBeNull();
+  });
+
+  test('reads config IDs from test categories', () => {
+    const cases = parseTrxXml(xunitTrx);
+    expect(cases[1].configId).toBe('4');
+  });
+
+  test('reports only top-level results for data-driven tests', () => {
+    const cases = parseTrxXml(xunitTrx);
+    expect(cases).toHaveLength(3);
+  });
+
+  test('converts hh:mm:ss durations to seconds', () => {
+    const cases = parseTrxXml(xunitTrx);
+    expect(cases[0].duration).toBe(63);
+    expect(cases[2].duration).toBe(1);
+  });
+
+  test('throws when the file has no results', () => {
+    expect(() => parseTrxXml('<TestRun><Results></Results></TestRun>')).toThrow(/UnitTestResult/);
+  });
+});
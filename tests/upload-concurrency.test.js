@@ -0,0 +1,196 @@
+/**
+ * Tests for the reporter upload flow's worker pool and retry handling.
+ *
+ * These tests verify that:
+ * 1. Results are uploaded with at most `concurrency` requests in flight
+ * 2. 429 responses are retried, honoring Retry-After, and 5xx responses are
+ *    retried for idempotent requests only
+ * 3. matched / updated / errors counts stay accurate under both
+ */
+
+import { jest } from '@jest/globals';
+import { uploadUsingReporterFlow } from '../src/commands/report.js';
+
+const CASE_COUNT = 10;
+
+function jsonResponse(data, status = 200, headers = {}) {
+  return new Response(JSON.stringify(data), { status, headers });
+}
+
+/**
+ * Minimal TestCollab API: every request is routed by method and path.
+ * `onUpdate` handles PUT /executedtestcases/:id and `onComment` handles
+ * POST /executioncomments so tests can inject delays and failures.
+ */
+function mockApi({ onUpdate, onComment = async () => jsonResponse({ id: 1 }) }) {
+  const assignedCases = Array.from({ length: CASE_COUNT }, (_, index) => ({
+    id: 500 + index,
+    test_plan_test_case: { id: 900 + index, test_case: 100 + index },
+    test_plan_config: null
+  }));
+
+  global.fetch = jest.fn(async (url, options = {}) => {
+    const { pathname } = new URL(url);
+    const method = options.method || 'GET';
+
+    if (pathname === '/system') return jsonResponse({});
+    if (pathname === '/projects/1') return jsonResponse({ id: 1 });
+    if (pathname === '/testplans/2') return jsonResponse({ id: 2, project: { id: 1 } });
+    if (pathname === '/testplanregressions') return jsonResponse([{ id: 3 }]);
+    if (pathname === '/testplanconfigurations') return jsonResponse([]);
+    if (pathname === '/users/me') return jsonResponse({ id: 7 });
+    if (pathname === '/executedtestcases' && method === 'GET') return jsonResponse(assignedCases);
+    if (pathname === '/executioncomments') return onComment();
+    if (pathname.endsWith('/updateTimeTaken')) return jsonResponse({});
+
+    const match = pathname.match(/^\/executedtestcases\/(\d+)$/);
+    if (match && method === 'PUT') {
+      return onUpdate(Number(match[1]));
+    }
+    return jsonResponse({ message: 'not found' }, 404);
+  });
+}
+
+function buildResults(count = CASE_COUNT) {
+  return {
+    0: Array.from({ length: count }, (_, index) => ({
+      tcId: String(100 + index),
+      status: index === 0 ? 2 : 1,
+      errDetails: index === 0 ? 'boom' : null,
+      title: `case ${index}`,
+      duration: 0
+    }))
+  };
+}
+
+function upload(overrides = {}) {
+  return uploadUsingReporterFlow({
+    apiKey: 'token',
+    projectId: 1,
+    testPlanId: 2,
+    apiUrl: 'http://tc.test',
+    hasConfig: false,
+    resultsToUpload: buildResults(),
+    unresolvedIds: [],
+    retry: { baseDelayMs: 1, maxDelayMs: 5 },
+    ...overrides
+  });
+}
+
+describe('uploadUsingReporterFlow', () => {
+  const originalFetch = global.fetch;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    jest.restoreAllMocks();
+  });
+
+  test('keeps at most `concurrency` updates in flight', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    mockApi({
+      onUpdate: async (id) => {
+        inFlight += 1;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        inFlight -= 1;
+        return jsonResponse({ id });
+      }
+    });
+
+    const summary = await upload({ concurrency: 3 });
+
+    expect(maxInFlight).toBe(3);
+    expect(summary).toMatchObject({ matched: CASE_COUNT, updated: CASE_COUNT, errors: 0 });
+  });
+
+  test('retries 429 responses, honoring Retry-After', async () => {
+    const attempts = {};
+    mockApi({
+      onUpdate: async (id) => {
+        attempts[id] = (attempts[id] || 0) + 1;
+        if (attempts[id] === 1 && id % 2 === 0) {
+          return jsonResponse({ message: 'slow down' }, 429, { 'Retry-After': '0' });
+        }
+        return jsonResponse({ id });
+      }
+    });
+
+    const summary = await upload({ concurrency: 4 });
+
+    expect(summary).toMatchObject({ matched: CASE_COUNT, updated: CASE_COUNT, errors: 0 });
+    expect(attempts[500]).toBe(2);
+    expect(attempts[501]).toBe(1);
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('HTTP 429 from PUT /executedtestcases/500, retrying in 0s'));
+  });
+
+  test('counts an error once retries on 5xx are exhausted', async () => {
+    const attempts = {};
+    mockApi({
+      onUpdate: async (id) => {
+        attempts[id] = (attempts[id] || 0) + 1;
+        if (id === 503) {
+          return jsonResponse({ message: 'unavailable' }, 503);
+        }
+        return jsonResponse({ id });
+      }
+    });
+
+    const summary = await upload({ concurrency: 2, retry: { maxRetries: 2, baseDelayMs: 1, maxDelayMs: 5 } });
+
+    expect(attempts[503]).toBe(3);
+    expect(summary).toMatchObject({ matched: CASE_COUNT, updated: CASE_COUNT - 1, errors: 1 });
+  });
+
+  test('does not retry 5xx on POSTs, which may have been processed', async () => {
+    let commentAttempts = 0;
+    mockApi({
+      onUpdate: async id => jsonResponse({ id }),
+      onComment: async () => {
+        commentAttempts += 1;
+        return jsonResponse({ message: 'bad gateway' }, 502);
+      }
+    });
+
+    await upload({ concurrency: 1 });
+
+    expect(commentAttempts).toBe(1);
+  });
+
+  test('retries 429 on POSTs', async () => {
+    let commentAttempts = 0;
+    mockApi({
+      onUpdate: async id => jsonResponse({ id }),
+      onComment: async () => {
+        commentAttempts += 1;
+        return commentAttempts === 1
+          ? jsonResponse({ message: 'slow down' }, 429, { 'Retry-After': '0' })
+          : jsonResponse({ id: 1 });
+      }
+    });
+
+    await upload({ concurrency: 1 });
+
+    expect(commentAttempts).toBe(2);
+  });
+
+  test('does not retry other client errors', async () => {
+    const attempts = {};
+    mockApi({
+      onUpdate: async (id) => {
+        attempts[id] = (attempts[id] || 0) + 1;
+        return id === 500 ? jsonResponse({ message: 'bad' }, 400) : jsonResponse({ id });
+      }
+    });
+
+    const summary = await upload({ concurrency: 1 });
+
+    expect(attempts[500]).toBe(1);
+    expect(summary).toMatchObject({ matched: CASE_COUNT, updated: CASE_COUNT - 1, errors: 1 });
+  });
+});